@@ -0,0 +1,330 @@
+/**
+ * Control Flow Graph Export
+ *
+ * Describes the control flow graph of every function of a VM instance (the
+ * top level and each BUILD_FUNCTION body) for --cfg-format, and prints it as
+ * Graphviz DOT, Mermaid or JSON:
+ *
+ * - blocks: address range, instructions, immediate dominator and
+ *   post-dominator
+ * - edges: true/false branches of conditional jumps, unconditional jumps,
+ *   fallthrough, and exception edges from a TRY_PUSH to its handler; edges
+ *   back to a block that dominates their source are back edges
+ * - loops and regions: the structures the generator detected (if/else,
+ *   ternary, logical, switch, try), as address ranges and the blocks inside.
+ *   In DOT and Mermaid they are drawn as nested clusters; a region that
+ *   overlaps another without nesting is only listed in JSON
+ *
+ * Structures come from the generator's analysis, so it must have lifted the
+ * program first.
+ */
+
+import { ControlFlowGraph } from '../lib/cfg.js';
+import { formatListingLine } from '../lib/sourceMap.js';
+
+const MAX_LABEL_LINE = 60;
+
+const EDGE_COLORS = {
+  true: 'darkgreen',
+  false: 'red3',
+  jump: 'blue',
+  fallthrough: 'gray40',
+  exception: 'darkorange'
+};
+
+const MERMAID_EDGE_COLORS = {
+  true: 'green',
+  false: 'red',
+  jump: 'blue',
+  fallthrough: 'gray',
+  exception: 'orange'
+};
+
+const STRUCTURE_COLORS = {
+  loop: '#fff2cc',
+  if: '#dae8fc',
+  ternary: '#e1d5e7',
+  logical: '#f8cecc',
+  switch: '#d5e8d4',
+  try: '#ffe6cc'
+};
+
+/**
+ * Describe the graph of every function lifted by a generator.
+ *
+ * @param {CodeGenerator} generator - Top-level generator, after generateProgram()
+ * @param {number|null} instance - Index of the VM instance, to keep graph
+ *   names apart when the input has several, or null
+ * @returns {Array} Per function, in id order: { name, title, id, parentId,
+ *   addr, stateMachine, blocks, edges, structures }
+ */
+export function buildFunctionGraphs(generator, instance = null) {
+  const generators = [...generator.functionGenerators.values()].sort((a, b) => a.functionId - b.functionId);
+
+  return generators.map(fnGenerator => {
+    const { id, parentId, addr } = generator.functions[fnGenerator.functionId];
+    const prefix = instance === null ? '' : `instance_${instance}_`;
+    let title = id === 0 ? 'Top level' : `Function #${id} (built at ${formatAddr(addr)} in #${parentId})`;
+    if (instance !== null) title += `, instance ${instance}`;
+    const stateMachine = fnGenerator.conservative || (fnGenerator.unstructured && !fnGenerator.hasExceptionRegions());
+
+    return {
+      name: `${prefix}function_${id}`,
+      title,
+      id,
+      parentId,
+      addr,
+      stateMachine,
+      ...describeGraph(fnGenerator, stateMachine)
+    };
+  });
+}
+
+/**
+ * Blocks, edges and structures of one function. The structures of a
+ * function lifted as a state machine were not used, so none are listed.
+ */
+function describeGraph(generator, stateMachine) {
+  const cfg = new ControlFlowGraph(generator.bodyInstructions);
+  cfg.build();
+  if (cfg.blocks.size > 0) cfg.computeDominators();
+
+  const blockList = [...cfg.blocks.values()];
+  const blocks = blockList.map(block => ({
+    id: block.id,
+    startAddr: block.instructions[0].addr,
+    endAddr: block.instructions[block.instructions.length - 1].addr,
+    instructions: block.instructions.map(instr => formatListingLine(instr, generator.strings)),
+    idom: cfg.immediateDominators.get(block.id) ?? null,
+    ipdom: cfg.immediatePostDominators.get(block.id) ?? null
+  }));
+
+  const edges = blockList.flatMap(block => block.successors.map(succ => ({
+    from: block.id,
+    to: succ.id,
+    kind: edgeKind(block, succ),
+    back: succ.startIdx <= block.startIdx && cfg.dominators.get(block.id).has(succ.id)
+  })));
+
+  // The graph itself has no edges into catch handlers
+  for (const [idx, instr] of generator.bodyInstructions.entries()) {
+    if (instr.opName !== 'TRY_PUSH') continue;
+    const handlerIdx = cfg.addrToIdx.get(instr.args[0]?.value);
+    const handler = handlerIdx !== undefined ? cfg.idxToBlock.get(handlerIdx) : null;
+    if (handler) {
+      edges.push({ from: cfg.idxToBlock.get(idx).id, to: handler.id, kind: 'exception', back: false });
+    }
+  }
+
+  const structures = (stateMachine ? [] : collectStructures(generator)).map(structure => ({
+    ...structure,
+    blocks: blocks
+      .filter(block => block.startAddr >= structure.startAddr && block.startAddr < structure.endAddr)
+      .map(block => block.id)
+  }));
+
+  return { blocks, edges, structures };
+}
+
+function edgeKind(block, succ) {
+  if (block.isConditional) {
+    return succ === block.trueSuccessor ? 'true' : 'false';
+  }
+  const last = block.instructions[block.instructions.length - 1];
+  return last.opName === 'JUMP' ? 'jump' : 'fallthrough';
+}
+
+/**
+ * The loops and regions the generator detected, as { type, kind,
+ * startAddr, endAddr } with endAddr exclusive
+ */
+function collectStructures(generator) {
+  const { instructions, structures } = generator;
+  if (!structures) return [];
+
+  const addrOf = idx => idx < instructions.length ? instructions[idx].addr : Infinity;
+  const range = (type, kind, startIdx, endIdx) => ({
+    type,
+    kind,
+    startAddr: addrOf(startIdx),
+    endAddr: addrOf(endIdx)
+  });
+
+  const result = [];
+  for (const loop of structures.loopsByCondJump.values()) {
+    result.push(range('loop', loop.type === 'doWhile' ? 'do-while' : loop.type, loop.startIdx, loop.exitIdx));
+  }
+  for (const [condIdx, region] of structures.regionsByCondIdx) {
+    // The jump of a short-circuit expression also looks like an if
+    if (structures.logicals.has(condIdx)) continue;
+    const type = structures.ternaries.has(condIdx) ? 'ternary' : 'if';
+    result.push(range(type, type, region.startIdx, region.endIdx));
+  }
+  for (const logical of structures.logicals.values()) {
+    result.push(range('logical', logical.operator, logical.duplicateIdx, logical.targetIdx));
+  }
+  for (const [dupIdx, switchInfo] of structures.switches) {
+    result.push(range('switch', 'switch', dupIdx, switchInfo.endIdx));
+  }
+  for (const [tryIdx, region] of structures.tryRegions) {
+    result.push(range('try', region.finallyIdx != null ? 'try-finally' : 'try', tryIdx, region.endIdx));
+  }
+
+  return result.sort((a, b) => a.startAddr - b.startAddr || b.endAddr - a.endAddr);
+}
+
+/**
+ * Nest structures by address range. Returns the top-level nodes, each
+ * { structure, children, blocks }, and the blocks outside every structure;
+ * a block belongs to the innermost structure it starts in.
+ */
+function nestStructures(graph) {
+  const root = { structure: null, children: [], blocks: [] };
+  const open = [root];
+
+  for (const structure of graph.structures) {
+    while (open.length > 1 && open[open.length - 1].structure.endAddr <= structure.startAddr) {
+      open.pop();
+    }
+    const parent = open[open.length - 1];
+    // Partial overlaps cannot be drawn as clusters
+    if (parent.structure && structure.endAddr > parent.structure.endAddr) continue;
+    if (structure.blocks.length === 0) continue;
+
+    const node = { structure, children: [], blocks: [] };
+    parent.children.push(node);
+    open.push(node);
+  }
+
+  for (const block of graph.blocks) {
+    let node = root;
+    for (;;) {
+      const child = node.children.find(({ structure }) =>
+        block.startAddr >= structure.startAddr && block.startAddr < structure.endAddr
+      );
+      if (!child) break;
+      node = child;
+    }
+    node.blocks.push(block);
+  }
+  return root;
+}
+
+function structureLabel({ type, kind, startAddr, endAddr }) {
+  const name = type === 'loop' ? `${kind} loop` : kind;
+  const end = endAddr === Infinity ? 'end' : formatAddr(endAddr);
+  return `${name} ${formatAddr(startAddr)}-${end}`;
+}
+
+function blockLabelLines(block) {
+  const header = `Block ${block.id}  ${formatAddr(block.startAddr)}-${formatAddr(block.endAddr)}`;
+  const lines = block.instructions.map(line =>
+    line.length > MAX_LABEL_LINE ? `${line.substring(0, MAX_LABEL_LINE - 3)}...` : line
+  );
+  return [header, ...lines];
+}
+
+/**
+ * Print graphs as Graphviz DOT, one digraph per function
+ */
+export function toDot(graphs) {
+  const quote = text => `"${text.replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+
+  return graphs.map(graph => {
+    const lines = [`digraph ${quote(graph.name)} {`];
+    lines.push(`  label=${quote(graph.stateMachine ? `${graph.title}, lifted as a state machine` : graph.title)};`);
+    lines.push('  labelloc=t;');
+    lines.push('  node [shape=box, fontname="monospace", fontsize=10];');
+    lines.push('  edge [fontname="monospace", fontsize=9];');
+
+    let clusterCount = 0;
+    const emitNode = (node, indent) => {
+      for (const block of node.blocks) {
+        // \l left-aligns each line of the label
+        const label = blockLabelLines(block).map(line => `${line.replace(/\\/g, '\\\\').replace(/"/g, '\\"')}\\l`).join('');
+        lines.push(`${indent}b${block.id} [label="${label}"];`);
+      }
+      for (const child of node.children) {
+        lines.push(`${indent}subgraph cluster_${clusterCount++} {`);
+        lines.push(`${indent}  label=${quote(structureLabel(child.structure))};`);
+        lines.push(`${indent}  style=filled;`);
+        lines.push(`${indent}  fillcolor=${quote(STRUCTURE_COLORS[child.structure.type])};`);
+        emitNode(child, `${indent}  `);
+        lines.push(`${indent}}`);
+      }
+    };
+    emitNode(nestStructures(graph), '  ');
+
+    for (const edge of graph.edges) {
+      const attrs = [`color=${EDGE_COLORS[edge.kind]}`];
+      if (edge.kind === 'true' || edge.kind === 'false') attrs.push(`label=${edge.kind}`);
+      if (edge.kind === 'exception') attrs.push('style=dashed');
+      if (edge.back) attrs.push('style=bold', 'constraint=false');
+      lines.push(`  b${edge.from} -> b${edge.to} [${attrs.join(', ')}];`);
+    }
+
+    lines.push('}');
+    return lines.join('\n');
+  }).join('\n\n') + '\n';
+}
+
+/**
+ * Print graphs as Markdown with one Mermaid flowchart per function
+ */
+export function toMermaid(graphs) {
+  // Mermaid labels take HTML entities but no raw quotes or angle brackets
+  const escape = text => text
+    .replace(/&/g, '#amp;')
+    .replace(/"/g, '#quot;')
+    .replace(/</g, '#lt;')
+    .replace(/>/g, '#gt;');
+
+  return graphs.map(graph => {
+    const title = graph.stateMachine ? `${graph.title}, lifted as a state machine` : graph.title;
+    const lines = [`## ${title}`, '', '```mermaid', 'flowchart TD'];
+
+    let subgraphCount = 0;
+    const styles = [];
+    const emitNode = (node, indent) => {
+      for (const block of node.blocks) {
+        lines.push(`${indent}b${block.id}["${blockLabelLines(block).map(escape).join('<br/>')}"]`);
+      }
+      for (const child of node.children) {
+        const id = `s${subgraphCount++}`;
+        lines.push(`${indent}subgraph ${id} ["${escape(structureLabel(child.structure))}"]`);
+        emitNode(child, `${indent}  `);
+        lines.push(`${indent}end`);
+        styles.push(`  style ${id} fill:${STRUCTURE_COLORS[child.structure.type]}`);
+      }
+    };
+    emitNode(nestStructures(graph), '  ');
+
+    graph.edges.forEach((edge, index) => {
+      const arrow = edge.back ? '==>' : edge.kind === 'exception' ? '-.->' : '-->';
+      const label = edge.kind === 'true' || edge.kind === 'false' ? `|${edge.kind}|` : '';
+      lines.push(`  b${edge.from} ${arrow}${label} b${edge.to}`);
+      styles.push(`  linkStyle ${index} stroke:${MERMAID_EDGE_COLORS[edge.kind]}`);
+    });
+
+    lines.push(...styles, '```');
+    return lines.join('\n');
+  }).join('\n\n') + '\n';
+}
+
+/**
+ * Graphs as plain data for JSON.stringify; Infinity (a structure running
+ * to the end of the function) becomes null
+ */
+export function toJSONGraphs(graphs) {
+  return graphs.map(graph => ({
+    ...graph,
+    structures: graph.structures.map(structure => ({
+      ...structure,
+      endAddr: structure.endAddr === Infinity ? null : structure.endAddr
+    }))
+  }));
+}
+
+function formatAddr(addr) {
+  return String(addr).padStart(6, '0');
+}
@@ -0,0 +1,62 @@
+/**
+ * Disassembly Tree
+ *
+ * The full disassembly of a VM instance as plain data, for --disasm --json:
+ * the top level and every BUILD_FUNCTION body, disassembled recursively.
+ *
+ * Functions are listed depth-first in address order, the top level being
+ * #0, and refer to their parent by id. Each instruction has its address,
+ * the raw opcode byte, the opcode name and its operands with their types;
+ * string table indices come with the string they resolve to, in full.
+ */
+
+import { Disassembler } from '../lib/disassembler.js';
+
+const STRING_OPERANDS = new Set(['string_index', 'pattern_index', 'flags_index']);
+
+/**
+ * Build the disassembly tree of one VM instance.
+ *
+ * @param {Array} instructions - Its top-level disassembly
+ * @param {Array} strings - Its string table
+ * @param {Object} opcodeMap - Its handler -> opcode name map
+ * @returns {Array} Functions: { id, parentId, addr, instructions }, where
+ *   addr is the BUILD_FUNCTION instruction in the parent (null for the top
+ *   level) and each instruction is { addr, opcode, name, operands, error? }
+ *   with BUILD_FUNCTION also naming the function it builds
+ */
+export function buildDisassemblyTree(instructions, strings, opcodeMap) {
+  const functions = [];
+
+  const visit = (body, parentId, addr) => {
+    const fn = { id: functions.length, parentId, addr, instructions: [] };
+    functions.push(fn);
+
+    for (const instr of body) {
+      const entry = {
+        addr: instr.addr,
+        opcode: instr.opcode,
+        name: instr.opName,
+        operands: instr.args.map(arg => describeOperand(arg, strings))
+      };
+      if (instr.error) entry.error = instr.error;
+      fn.instructions.push(entry);
+
+      if (instr.opName === 'BUILD_FUNCTION' && instr.fnBody) {
+        entry.function = functions.length;
+        visit(Disassembler.disassembleFunctionBody(instr, strings, opcodeMap), fn.id, instr.addr);
+      }
+    }
+  };
+  visit(instructions, null, null);
+
+  return functions;
+}
+
+function describeOperand({ type, value }, strings) {
+  const operand = { type, value };
+  if (STRING_OPERANDS.has(type)) {
+    operand.string = value >= 0 && value < strings.length ? strings[value] : null;
+  }
+  return operand;
+}
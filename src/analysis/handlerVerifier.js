@@ -0,0 +1,531 @@
+/**
+ * Dynamic Handler Verifier
+ *
+ * Static fingerprints depend on how a handler is written. This module checks
+ * them against what a handler actually does: the handler is compiled on its
+ * own in a node:vm context and run against a synthetic VM state, and the
+ * observed effects are compared with a model of every opcode.
+ *
+ * Key concepts:
+ * - Probe state: A fresh stack primed with known values, scope objects that
+ *   record writes, a string table, arguments, this and a global object. The
+ *   push/pop/read helpers are replaced by instrumented stubs; every operand
+ *   read returns OPERAND and advances the pointer by its width
+ * - Scenario: One choice of the two values on top of the stack. Several
+ *   scenarios are needed to tell apart operators that agree on some inputs
+ *   (< and <=, == and ===, >> and >>>)
+ * - Observation: What one run did - values popped and pushed, operand bytes
+ *   read, scope writes, state writes (jumps), calls made, try stack pushes
+ *   and pops, and whether it threw
+ * - Model: The expected observation of an opcode for a scenario. Binary
+ *   operators are modeled in both operand orders, which also tells whether
+ *   the handler is swapped
+ *
+ * Opcodes without a model (compound assignments, property updates, RETURN,
+ * ...) can never be confirmed or contradicted.
+ *
+ * This runs code taken from the input, so it only happens when asked for
+ * (--verify-handlers). node:vm is not a security boundary; the probe
+ * context is kept apart from the host realm as far as it goes: its global
+ * object has no prototype, and every object and function a handler can
+ * reach (the probe state, the helper stubs, the Proxy traps, the stack
+ * values and `this`) is created inside the context, since a single host
+ * object would hand the handler the host's Function constructor. A handler
+ * can still loop forever in a trap the host reads after the run, and
+ * node:vm itself may have escapes; only verify handlers of input you would
+ * be willing to run.
+ */
+
+import vm from 'node:vm';
+import { parse } from '@babel/parser';
+import _traverse from '@babel/traverse';
+import _generate from '@babel/generator';
+import { BINARY_OPERATORS, UNARY_OPERATORS } from '../runtime/emulator.js';
+
+const traverse = typeof _traverse === 'object' ? _traverse.default : _traverse;
+const generate = typeof _generate === 'object' ? _generate.default : _generate;
+
+const PROBE_TIMEOUT = 50;
+const PROBE_RUNNER = '__nebulaProbeRun__';
+
+// Value of every operand read: small enough to be a valid scope depth,
+// variable slot, string index, argument count and boolean flag
+const OPERAND = 1;
+
+/**
+ * Top two stack values per scenario, first is popped first
+ */
+const SCENARIOS = [
+  ['numbers', () => [5, 3]],
+  ['equal', () => [3, 3]],
+  ['loose', () => [3, '3']],
+  ['strings', () => ['a', 'b']],
+  ['negative', () => [-12, 2]],
+  ['falsy', () => [0, '']],
+  ['member', (env) => ['k', env.memberObj]],
+  ['callable', (env) => [env.probeFn, 'x']],
+  ['regexp', () => ['g', 'ab']],
+];
+
+/**
+ * Expected value that is checked with a predicate instead of Object.is
+ */
+class Match {
+  constructor(test) {
+    this.test = test;
+  }
+}
+
+const like = (test) => new Match(test);
+
+const sameValue = (actual, expected) =>
+  expected instanceof Match ? expected.test(actual) : Object.is(actual, expected);
+
+const isRegExp = (value) => Object.prototype.toString.call(value) === '[object RegExp]';
+
+/**
+ * Value stored in scope slot [depth][key] before the handler runs
+ */
+const slotValue = (depth, key) => 100 + depth * 10 + (Number(key) || 0);
+
+/**
+ * Expectation for a call made by a handler: the model computes which
+ * function should run and with what, or throws like the handler should
+ */
+function callExpectation(fn, thisArg, args, isNew, popped, env) {
+  if (typeof fn !== 'function') return { threw: true };
+  const call = { fn, args, isNew };
+  if (thisArg !== undefined) call.thisArg = thisArg;
+  return { popped, pushed: [env.returnValue], calls: [call] };
+}
+
+/**
+ * Opcode models. Each returns the expected observation for a scenario:
+ * { popped, pushed, bytes, scopeWrites, jumped, calls, tryPushes, tryPops,
+ *   check, threw, thrown }. Fields left out must not be observed (no pops,
+ * no writes, ...), except bytes which is only checked when given.
+ */
+const OPCODE_MODELS = {
+  STACK_PUSH_STRING: (s) => ({ pushed: [s.strings[OPERAND]], bytes: 4 }),
+  STACK_PUSH_DWORD: () => ({ pushed: [OPERAND], bytes: 4 }),
+  STACK_PUSH_DOUBLE: () => ({ pushed: [like(v => typeof v === 'number')], bytes: 8 }),
+  STACK_PUSH_BOOLEAN: () => ({ pushed: [OPERAND === 1], bytes: 1 }),
+  STACK_PUSH_NULL: () => ({ pushed: [null], bytes: 0 }),
+  STACK_PUSH_UNDEFINED: () => ({ pushed: [undefined], bytes: 0 }),
+  STACK_PUSH_DUPLICATE: (s) => ({ pushed: [s.first], bytes: 0 }),
+  STACK_POP: () => ({ popped: 1, bytes: 0 }),
+
+  UNARY_THROW: (s) => ({ threw: true, thrown: s.first }),
+
+  UPDATE_PLUS: () => updateModel(1),
+  UPDATE_MINUS: () => updateModel(-1),
+
+  LOAD_VARIABLE: () => ({ pushed: [slotValue(OPERAND, OPERAND)] }),
+  STORE_VARIABLE: (s) => ({
+    popped: 1,
+    scopeWrites: [{ depth: OPERAND, key: String(OPERAND), value: s.first }]
+  }),
+  // The operand flag may select a compound assignment; whatever is stored
+  // must also be pushed
+  ASSIGN_VARIABLE: () => ({
+    popped: 1,
+    pushed: [like(() => true)],
+    scopeWrites: [{ depth: OPERAND, key: String(OPERAND), value: like(() => true) }],
+    check: (obs) => Object.is(obs.pushed[0], obs.scopeWrites[0].value)
+  }),
+
+  LOAD_GLOBAL: (s) => ({ pushed: [s.global] }),
+  LOAD_GLOBAL_PROP: (s) => ({ popped: 1, pushed: [s.global[s.first]] }),
+  LOAD_THIS: (s) => ({ pushed: [s.thisRef] }),
+  LOAD_ARGUMENT: (s) => ({ pushed: [s.args[OPERAND]], bytes: 4 }),
+  LOAD_ARGUMENTS: (s) => ({ pushed: [s.args] }),
+
+  CALL_FUNCTION: (s) => callExpectation(s.first, undefined, [s.second], false, 2, s),
+  CALL_METHOD: (s) => callExpectation(s.second[s.first], s.second, [s.third], false, 3, s),
+  CONSTRUCT: (s) => callExpectation(s.first, undefined, [s.second], true, 2, s),
+
+  GET_PROPERTY: (s) => ({ popped: 2, pushed: [s.second[s.first]] }),
+  SET_PROPERTY: (s) => ({ popped: 2, check: () => Object.is(s.third[s.second], s.first) }),
+
+  BUILD_ARRAY: (s) => ({
+    popped: 1,
+    pushed: [like(v => Array.isArray(v) && v.length === 1 && Object.is(v[0], s.first))]
+  }),
+  BUILD_OBJECT: (s) => ({
+    popped: 2,
+    pushed: [like(v => v !== null && typeof v === 'object' && !Array.isArray(v) && Object.is(v[s.second], s.first))]
+  }),
+  BUILD_FUNCTION: () => ({ pushed: [like(v => typeof v === 'function')] }),
+  BUILD_REGEXP: (s) => {
+    let expected;
+    try {
+      expected = new RegExp(s.second, s.first);
+    } catch {
+      return { threw: true };
+    }
+    return {
+      popped: 2,
+      pushed: [like(v => isRegExp(v) && v.source === expected.source && v.flags === expected.flags)]
+    };
+  },
+
+  JUMP: () => ({ jumped: true }),
+  JUMP_IF_TRUE: (s) => ({ popped: 1, jumped: Boolean(s.first) }),
+  JUMP_IF_FALSE: (s) => ({ popped: 1, jumped: !s.first }),
+
+  TRY_PUSH: () => ({ tryPushes: 1 }),
+  TRY_POP: () => ({ tryPops: 1 }),
+};
+
+/**
+ * Models without an observable effect. They may confirm a static guess but
+ * never replace one, since any handler that does nothing would match.
+ */
+const CONFIRM_ONLY_MODELS = {
+  DEBUGGER: () => ({ bytes: 0 }),
+};
+
+for (const [opcode, operator] of Object.entries(BINARY_OPERATORS)) {
+  OPCODE_MODELS[opcode] = (s, swapped) => {
+    let value;
+    try {
+      value = swapped ? operator(s.second, s.first) : operator(s.first, s.second);
+    } catch {
+      return { threw: true };
+    }
+    return { popped: 2, pushed: [value], bytes: 0 };
+  };
+}
+
+for (const [opcode, operator] of Object.entries(UNARY_OPERATORS)) {
+  OPCODE_MODELS[opcode] = (s) => ({ popped: 1, pushed: [operator(s.first)], bytes: 0 });
+}
+
+function updateModel(delta) {
+  const updated = slotValue(OPERAND, OPERAND) + delta;
+  return {
+    pushed: [like(v => v === updated || v === updated - delta)],
+    scopeWrites: [{ depth: OPERAND, key: String(OPERAND), value: updated }]
+  };
+}
+
+/**
+ * Whether an opcode can be checked dynamically
+ */
+export function isVerifiableOpcode(opcode) {
+  return opcode in OPCODE_MODELS || opcode in CONFIRM_ONLY_MODELS;
+}
+
+let probeContext = null;
+let contextGlobals = null;
+let contextCreateEnvironment = null;
+
+/**
+ * The context handlers are compiled in. Shared by all handlers: a handler
+ * only sees the probe state passed to it.
+ */
+function getProbeContext() {
+  if (!probeContext) {
+    // A global object with the host's Object.prototype would leak it
+    probeContext = vm.createContext(Object.create(null));
+    contextGlobals = new Set(vm.runInContext('Object.getOwnPropertyNames(globalThis)', probeContext));
+    contextCreateEnvironment = vm.runInContext(`(${createEnvironment})`, probeContext);
+  }
+  return probeContext;
+}
+
+/**
+ * Compile a handler into a factory taking its free identifiers
+ */
+function compileHandler(funcNode) {
+  const code = generate(funcNode).code;
+  const ast = parse(`(${code})`);
+
+  let freeNames = [];
+  traverse(ast, {
+    Program(path) {
+      freeNames = Object.keys(path.scope.globals);
+      path.stop();
+    },
+  });
+
+  const context = getProbeContext();
+  freeNames = freeNames.filter(name => name !== 'arguments' && !contextGlobals.has(name));
+
+  const factory = vm.runInContext(`(function (${freeNames.join(', ')}) {\nreturn (${code});\n})`, context);
+  return { factory, freeNames };
+}
+
+/**
+ * Build the probe environment for one run: state, helper stubs and the
+ * observation they record into.
+ *
+ * Never called in the host: getProbeContext compiles it from its source in
+ * the probe context, so it may use nothing from this module and takes its
+ * configuration as JSON.
+ */
+function createEnvironment(config) {
+  const { helperFns, vmState, operand } = JSON.parse(config);
+  // Same as the module's slotValue
+  const slotValue = (depth, key) => 100 + depth * 10 + (Number(key) || 0);
+
+  const obs = {
+    bytes: 0,
+    scopeWrites: [],
+    stateWrites: [],
+    calls: [],
+    tryPushes: 0,
+    tryPops: 0,
+    unresolved: 0,
+  };
+
+  const returnValue = { probe: 'return value' };
+  const probeFn = function (...args) {
+    obs.calls.push({ fn: probeFn, thisArg: this, args, isNew: new.target !== undefined });
+    return returnValue;
+  };
+
+  const scopes = [0, 1, 2].map(depth => new Proxy({}, {
+    get: (target, key) => {
+      if (key in target || typeof key === 'symbol') return target[key];
+      return slotValue(depth, key);
+    },
+    set: (target, key, value) => {
+      obs.scopeWrites.push({ depth, key: String(key), value });
+      target[key] = value;
+      return true;
+    },
+  }));
+
+  const env = {
+    obs,
+    probeFn,
+    returnValue,
+    memberObj: { k: probeFn },
+    third: {},
+    deep: [{ probe: 'deep 0' }, { probe: 'deep 1' }],
+    strings: ['probe string 0', 'probe string 1', 'probe string 2'],
+    args: [{ probe: 'argument 0' }, { probe: 'argument 1' }, { probe: 'argument 2' }],
+    thisRef: { probe: 'this' },
+    global: new Proxy({}, { get: (target, key) => `global.${String(key)}` }),
+    scopes,
+    stack: [],
+  };
+
+  // Arrays behind state properties with no known role, like the try stack
+  const auxiliaryArray = () => {
+    const array = [{ probe: 'auxiliary' }];
+    array.push = (...values) => {
+      obs.tryPushes++;
+      return Array.prototype.push.apply(array, values);
+    };
+    array.pop = () => {
+      obs.tryPops++;
+      return Array.prototype.pop.call(array);
+    };
+    return array;
+  };
+
+  const roles = new Map();
+  const setRole = (prop, value) => {
+    if (prop) roles.set(prop, value);
+  };
+  setRole(vmState.stack, env.stack);
+  setRole(vmState.scopes, scopes);
+  setRole(vmState.stringTable, env.strings);
+  setRole(vmState.arguments, env.args);
+  setRole(vmState.thisRef, env.thisRef);
+  setRole(vmState.global, env.global);
+
+  const state = new Proxy({}, {
+    get: (target, prop) => {
+      if (prop in target) return target[prop];
+      if (roles.has(prop)) return roles.get(prop);
+      target[prop] = auxiliaryArray();
+      return target[prop];
+    },
+    set: (target, prop, value) => {
+      obs.stateWrites.push({ prop, value });
+      target[prop] = value;
+      return true;
+    },
+  });
+
+  // Anything else the handler refers to outside itself. Only uses during
+  // the run count; matching may inspect a pushed value afterwards.
+  let running = true;
+  env.finish = () => {
+    running = false;
+  };
+  const unresolvedUse = () => {
+    if (running) obs.unresolved++;
+  };
+  const unresolved = new Proxy(function () {}, {
+    apply: unresolvedUse,
+    construct: () => {
+      unresolvedUse();
+      return {};
+    },
+    get: () => {
+      unresolvedUse();
+      return undefined;
+    },
+  });
+
+  const readOperand = (width) => () => {
+    obs.bytes += width;
+    return operand;
+  };
+
+  const bindings = {
+    [helperFns.push]: (value) => {
+      env.stack.push(value);
+    },
+    [helperFns.pop]: () => {
+      const value = env.stack.pop();
+      env.lowWater = Math.min(env.lowWater, env.stack.length);
+      return value;
+    },
+    [helperFns.readInstr]: readOperand(1),
+    [helperFns.readDword]: readOperand(4),
+  };
+  if (helperFns.readDouble) bindings[helperFns.readDouble] = readOperand(8);
+  if (vmState.stateObjName) bindings[vmState.stateObjName] = state;
+
+  env.bind = (name) => (name in bindings ? bindings[name] : unresolved);
+
+  // Run with a `this` and a catch of this realm; the host only sees a
+  // timeout
+  env.runner = (handler) => () => {
+    try {
+      handler.call({});
+      obs.threw = false;
+    } catch (e) {
+      obs.threw = true;
+      obs.thrown = e;
+    }
+  };
+  return env;
+}
+
+/**
+ * Run the handler once in a scenario and observe its effects
+ */
+function runScenario(compiled, helperFns, vmState, makeOperands) {
+  const context = getProbeContext();
+  const env = contextCreateEnvironment(JSON.stringify({ helperFns, vmState, operand: OPERAND }));
+  const [first, second] = makeOperands(env);
+  const initial = [...env.deep, env.third, second, first];
+  env.stack.push(...initial);
+  env.lowWater = initial.length;
+
+  const scenario = { ...env, first, second };
+  const { obs } = env;
+
+  const handler = compiled.factory(...compiled.freeNames.map(env.bind));
+  context[PROBE_RUNNER] = env.runner(handler);
+  try {
+    vm.runInContext(`${PROBE_RUNNER}()`, context, { timeout: PROBE_TIMEOUT });
+  } catch {
+    throw new Error('handler did not finish');
+  } finally {
+    delete context[PROBE_RUNNER];
+    env.finish();
+  }
+
+  // Values still in place at the bottom of the stack were not popped. The
+  // pop helper's low-water mark tells `t(o() | o())` with equal operands
+  // apart from a single pop.
+  let kept = 0;
+  while (kept < env.lowWater && kept < env.stack.length && Object.is(env.stack[kept], initial[kept])) {
+    kept++;
+  }
+  obs.popped = initial.length - kept;
+  obs.pushed = env.stack.slice(kept);
+
+  return { scenario, obs };
+}
+
+/**
+ * Compare an observation with a model's expectation
+ */
+function matchesExpectation(obs, expected) {
+  if (obs.unresolved > 0) return false;
+
+  if (expected.threw) {
+    return obs.threw && (!('thrown' in expected) || Object.is(obs.thrown, expected.thrown));
+  }
+  if (obs.threw) return false;
+
+  if (obs.popped !== (expected.popped || 0)) return false;
+
+  const pushed = expected.pushed || [];
+  if (obs.pushed.length !== pushed.length) return false;
+  if (!pushed.every((value, i) => sameValue(obs.pushed[i], value))) return false;
+
+  if ('bytes' in expected && obs.bytes !== expected.bytes) return false;
+
+  const scopeWrites = expected.scopeWrites || [];
+  if (obs.scopeWrites.length !== scopeWrites.length) return false;
+  const writesMatch = scopeWrites.every((write, i) => {
+    const actual = obs.scopeWrites[i];
+    return actual.depth === write.depth && actual.key === write.key && sameValue(actual.value, write.value);
+  });
+  if (!writesMatch) return false;
+
+  const jumped = obs.stateWrites.some(write => write.value === OPERAND);
+  if (Boolean(expected.jumped) !== jumped) return false;
+  if (!expected.jumped && obs.stateWrites.length > 0) return false;
+
+  const calls = expected.calls || [];
+  if (obs.calls.length !== calls.length) return false;
+  const callsMatch = calls.every((call, i) => {
+    const actual = obs.calls[i];
+    return actual.fn === call.fn && actual.isNew === call.isNew &&
+      (!('thisArg' in call) || actual.thisArg === call.thisArg) &&
+      actual.args.length === call.args.length &&
+      call.args.every((arg, j) => Object.is(actual.args[j], arg));
+  });
+  if (!callsMatch) return false;
+
+  if (obs.tryPushes !== (expected.tryPushes || 0)) return false;
+  if (obs.tryPops !== (expected.tryPops || 0)) return false;
+
+  return expected.check ? expected.check(obs) : true;
+}
+
+/**
+ * Run a handler in the probe context and list the opcodes its behavior matches.
+ *
+ * @param {Object} funcNode - Babel AST node of the handler function
+ * @param {Object} helperFns - Helper function names (push, pop, readDword, readInstr)
+ * @param {Object} vmState - Identified VM state properties
+ * @returns {{matches: Array}|{error: string}} matches holds
+ *   { opcode, swapped, confirmOnly } for every consistent model, binary
+ *   operators once per operand order that fits
+ */
+export function verifyHandler(funcNode, helperFns, vmState = {}) {
+  let runs;
+  try {
+    const compiled = compileHandler(funcNode);
+    runs = SCENARIOS.map(([, makeOperands]) => runScenario(compiled, helperFns, vmState, makeOperands));
+  } catch (e) {
+    return { error: e.message };
+  }
+
+  const fits = (model, swapped) =>
+    runs.every(({ scenario, obs }) => matchesExpectation(obs, model(scenario, swapped)));
+
+  const matches = [];
+  for (const [opcode, model] of Object.entries(OPCODE_MODELS)) {
+    const orders = opcode in BINARY_OPERATORS ? [false, true] : [false];
+    for (const swapped of orders) {
+      if (fits(model, swapped)) matches.push({ opcode, swapped, confirmOnly: false });
+    }
+  }
+  for (const [opcode, model] of Object.entries(CONFIRM_ONLY_MODELS)) {
+    if (fits(model, false)) matches.push({ opcode, swapped: false, confirmOnly: true });
+  }
+
+  return { matches };
+}
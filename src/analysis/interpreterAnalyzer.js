@@ -39,9 +39,12 @@
  *   handlers[opcode]();
  * }
  *
- * This module targets Pattern B, where opcodes map to handler functions stored
- * as numeric keys in an object. The handler functions reveal their purpose
- * through structural patterns (stack operations, arithmetic, etc.).
+ * Both patterns are supported. For Pattern B the handler functions are the
+ * values of numeric keys in an object. For Pattern A each numeric SwitchCase
+ * body is wrapped in a synthetic function expression (see
+ * getSwitchCaseHandlers) so the same fingerprinting applies. The handlers
+ * reveal their purpose through structural patterns (stack operations,
+ * arithmetic, etc.).
  *
  * =============================================================================
  * VM STATE LAYOUT
@@ -163,6 +166,12 @@
  *
  * Each opcode handler has distinctive patterns that allow identification:
  *
+ * Every rule that matches a handler yields a scored candidate (see
+ * OPCODE_RULES); the highest scoring one is used. On request the guess is
+ * then checked by running the handler in a node:vm context (see
+ * handlerVerifier.js), which can override it when the handler behaves like
+ * a different opcode.
+ *
  * Stack Push Operations:
  * - String push: reads from string table using double-bracket access + readDword
  * - Dword push: calls readDword, no string table access, simple body
@@ -199,6 +208,7 @@
 
 import _traverse from '@babel/traverse';
 import * as t from '@babel/types';
+import { verifyHandler, isVerifiableOpcode } from './handlerVerifier.js';
 
 const traverse = typeof _traverse === 'object' ? _traverse.default : _traverse;
 
@@ -341,8 +351,9 @@ function analyzeHelperFunction(funcNode, name, helpers) {
  *    - global: contains 'global' in name or stores globalThis
  *    - thisRef: direct access only, no bracket notation
  *
- * 3. Handler Object Detection:
- *    - Finds object with 10+ numeric keys mapping to FunctionExpressions
+ * 3. Handler Detection:
+ *    - Finds object with 10+ numeric keys mapping to FunctionExpressions,
+ *      or a switch with 10+ numeric cases
  *    - This is the opcode handler dispatch table
  */
 export function findVMStateProperties(ast) {
@@ -484,27 +495,33 @@ export function findVMStateProperties(ast) {
     },
   });
 
-  let opcodeHandlerObject = null;
+  let handlerFunctions = null;
   traverse(ast, {
     ObjectExpression(path) {
+      if (handlerFunctions) return;
       const props = path.node.properties;
       const numericHandlers = props.filter(p =>
         t.isProperty(p) && t.isNumericLiteral(p.key) && t.isFunctionExpression(p.value)
-      ).length;
-      if (numericHandlers >= 10 && !opcodeHandlerObject) {
-        opcodeHandlerObject = path.node;
+      );
+      if (numericHandlers.length >= MIN_DISPATCHER_HANDLERS) {
+        handlerFunctions = numericHandlers.map(p => p.value);
+      }
+    },
+    SwitchStatement(path) {
+      if (handlerFunctions) return;
+      const handlers = getSwitchCaseHandlers(path.node);
+      if (handlers.length >= MIN_DISPATCHER_HANDLERS) {
+        handlerFunctions = handlers.map(h => h.funcNode);
       }
     },
   });
 
-  if (!opcodeHandlerObject) {
+  if (!handlerFunctions) {
     return vmState;
   }
 
-  for (const prop of opcodeHandlerObject.properties) {
-    if (!t.isProperty(prop) || !t.isFunctionExpression(prop.value)) continue;
-
-    const funcBody = prop.value.body;
+  for (const handler of handlerFunctions) {
+    const funcBody = handler.body;
 
     traverse(funcBody, {
       noScope: true,
@@ -602,6 +619,67 @@ export function findVMStateProperties(ast) {
   return vmState;
 }
 
+/**
+ * =============================================================================
+ * SWITCH DISPATCHER SUPPORT
+ * =============================================================================
+ *
+ * Forks of NebulaVM inline handlers into the fetch loop:
+ *
+ *   switch (opcode) {
+ *     case 12: { push(pop() + pop()); break; }
+ *     case 13:
+ *     case 14: push(pop() - pop()); break;
+ *     case 72: return pop();
+ *   }
+ *
+ * Each numeric case becomes { opcode, funcNode, returns }:
+ * - funcNode: function () { <case body> } with a surrounding block and the
+ *   trailing break/continue removed, so statement counts match the object
+ *   dispatcher's handler functions
+ * - Empty cases fall through and share the next non-empty body
+ * - returns: the body exits the fetch loop with a top-level return, which
+ *   marks the RETURN handler
+ */
+export const MIN_DISPATCHER_HANDLERS = 10;
+
+export function getSwitchCaseHandlers(switchNode) {
+  const handlers = [];
+  let pendingOpcodes = [];
+
+  for (const switchCase of switchNode.cases) {
+    if (switchCase.test && t.isNumericLiteral(switchCase.test)) {
+      pendingOpcodes.push(switchCase.test.value);
+    } else if (switchCase.test) {
+      pendingOpcodes = [];
+      continue;
+    }
+
+    if (switchCase.consequent.length === 0) continue;
+
+    let statements = switchCase.consequent;
+    if (statements.length === 1 && t.isBlockStatement(statements[0])) {
+      statements = statements[0].body;
+    }
+    const last = statements[statements.length - 1];
+    if ((t.isBreakStatement(last) || t.isContinueStatement(last)) && !last.label) {
+      statements = statements.slice(0, -1);
+    }
+
+    const returns = statements.some(stmt => t.isReturnStatement(stmt));
+    for (const opcode of pendingOpcodes) {
+      handlers.push({
+        opcode,
+        funcNode: t.functionExpression(null, [], t.blockStatement(statements)),
+        returns
+      });
+    }
+    pendingOpcodes = [];
+  }
+
+  return handlers;
+}
+
 /**
  * =============================================================================
  * OPCODE CLASSIFIER
@@ -1007,10 +1085,25 @@ function detectScopeAccessPattern(memberExpr) {
 }
 
 /**
- * Maps extracted features to semantic opcode names.
+ * Confidence of each fingerprinting rule.
+ *
+ * Rules are listed from most to least distinctive pattern and their
+ * confidence never increases down the table, so the best candidate is also
+ * the first rule that matches. Rules with equal confidence keep table order.
+ */
+const CONFIDENCE = {
+  EXACT: 1,       // A construct only one handler uses (debugger, Float64Array)
+  STRONG: 0.9,    // Operand reads or state accesses specific to one opcode
+  OPERATOR: 0.75, // A distinctive operator with the expected pop/push shape
+  WEAK: 0.5,      // Generic stack shapes (property access, jumps)
+  FALLBACK: 0.25, // Last resort guesses from nested accesses alone
+};
+
+/**
+ * Fingerprinting rules, mapping extracted features to semantic opcode names.
  *
- * This is the core fingerprinting logic. Each opcode has a unique
- * combination of features that distinguishes it from others:
+ * Each opcode has a unique combination of features that distinguishes it
+ * from others:
  *
  * - Debugger: contains DebuggerStatement
  * - Stack pushes: specific patterns for string/dword/bool/null/undefined
@@ -1018,312 +1111,229 @@ function detectScopeAccessPattern(memberExpr) {
  * - Variables: scope access + assignment/load pattern
  * - Control flow: jump target reads + conditional operators
  * - Calls: apply/spread/new patterns
+ *
+ * A handler usually matches several rules; every match is kept as a
+ * candidate so ambiguous handlers can be reported.
  */
-function mapFeaturesToOpcode(features) {
-  const {
-    pushCount, popCount, helperPushCount, helperPopCount,
-    readsFromStringTable, readsIndex, readsDword, readsInstr,
-    hasForLoop, operators, callsApply, callsNew, accessesGlobal,
-    usesReflectGet, accessesThis, accessesArguments, accessesScopes,
-    accessesScopesWithBracket, hasAssignment, hasNullaryAssign,
-    pushesNull, pushesUndefined, pushesFloat64, hasEqualsOne,
-    hasIncrement, hasDecrement, hasArrayLiteral, hasObjectLiteral,
-    hasSpread, hasFunctionExpr, hasTryFinally, hasThrow, hasDebugger,
-    hasRegExpCall, bodyStmtCount, hasArrayFrom,
-    hasDirectReadDwordInBracket, hasVariableReadDwordInBracket,
-    hasNewRegExp, hasTryStackPush, hasTryStackPop,
-  } = features;
-
-  if (hasDebugger) {
-    return 'DEBUGGER';
-  }
-
-  if (hasNewRegExp && pushCount >= 1) {
-    return 'BUILD_REGEXP';
-  }
-
-  if (hasTryStackPush && !hasTryStackPop && helperPopCount === 0) {
-    return 'TRY_PUSH';
-  }
-
-  if (hasTryStackPop && !hasTryStackPush && helperPopCount === 0 && helperPushCount === 0) {
-    return 'TRY_POP';
-  }
-
-  if (readsFromStringTable && readsDword && pushCount >= 1 && popCount === 0) {
-    return 'STACK_PUSH_STRING';
-  }
-
-  if (hasDirectReadDwordInBracket && pushCount >= 1 && popCount === 0 && 
-      bodyStmtCount === 1 && !accessesScopesWithBracket) {
-    return 'STACK_PUSH_STRING';
-  }
-
-  if (hasEqualsOne && pushCount >= 1 && readsInstr && !readsDword &&
-      !hasIncrement && !hasDecrement && !hasForLoop && bodyStmtCount <= 2) {
-    return 'STACK_PUSH_BOOLEAN';
-  }
-
-  if (pushCount >= 1 && readsDword && popCount === 0 && !readsFromStringTable &&
-      bodyStmtCount <= 2 && !hasForLoop && !hasArrayLiteral &&
-      !accessesArguments && !accessesScopesWithBracket && !accessesScopes) {
-    return 'STACK_PUSH_DWORD';
-  }
-
-  if (pushesFloat64) {
-    return 'STACK_PUSH_DOUBLE';
-  }
-
-  if (pushesNull && !popCount && pushCount >= 1 && bodyStmtCount === 1) {
-    return 'STACK_PUSH_NULL';
-  }
-
-  if (pushesUndefined && !popCount && pushCount >= 1 && bodyStmtCount === 1) {
-    return 'STACK_PUSH_UNDEFINED';
-  }
-
-  if (popCount === 1 && pushCount === 0 && bodyStmtCount === 1 && !hasTryStackPop) {
-    return 'STACK_POP';
-  }
-
-  if (features.accessesStackLast && pushCount >= 1 && popCount === 0 && bodyStmtCount === 1) {
-    return 'STACK_PUSH_DUPLICATE';
-  }
-
-  if (accessesThis && pushCount >= 1 && popCount === 0 && bodyStmtCount <= 2) {
-    return 'LOAD_THIS';
-  }
-
-  if (accessesGlobal || usesReflectGet) {
-    if (popCount >= 1) {
-      return 'LOAD_GLOBAL_PROP';
-    }
-    return 'LOAD_GLOBAL';
-  }
-
-  if (accessesArguments && readsIndex && pushCount >= 1 && !hasForLoop && !accessesScopesWithBracket) {
-    return 'LOAD_ARGUMENT';
-  }
-
-  if (hasVariableReadDwordInBracket && pushCount >= 1 && popCount === 0 &&
-      bodyStmtCount === 2 && !accessesScopesWithBracket) {
-    return 'LOAD_ARGUMENT';
-  }
-
-  if (accessesScopesWithBracket) {
-    if (pushCount >= 1 && readsIndex && !hasAssignment && !hasIncrement && !hasDecrement) {
-      return 'LOAD_VARIABLE';
-    }
-    if (hasNullaryAssign || (hasAssignment && !pushCount)) {
-      return 'STORE_VARIABLE';
-    }
-    if (hasAssignment && pushCount >= 1) {
-      return 'ASSIGN_VARIABLE';
-    }
-    if (hasIncrement) {
-      if (popCount >= 1) {
-        return 'PROP_UPDATE_PLUS';
-      }
-      return 'UPDATE_PLUS';
-    }
-    if (hasDecrement) {
-      if (popCount >= 1) {
-        return 'PROP_UPDATE_MINUS';
-      }
-      return 'UPDATE_MINUS';
-    }
-  }
-
-  if (accessesArguments && pushCount >= 1 && !popCount && !readsIndex) {
-    return 'LOAD_ARGUMENTS';
-  }
-
-  if (callsApply) {
-    return 'CALL_METHOD';
-  }
-
-  if (hasFunctionExpr && (hasTryFinally || hasArrayFrom || hasForLoop)) {
-    return 'BUILD_FUNCTION';
-  }
-
-  if (hasSpread && popCount >= 1 && pushCount >= 1 && hasForLoop) {
-    if (callsNew && !hasArrayLiteral) {
-      return 'CONSTRUCT';
-    }
-    return 'CALL_FUNCTION';
-  }
-
-  if (callsNew && popCount >= 1 && pushCount >= 1 && !hasFunctionExpr && !hasArrayLiteral) {
-    return 'CONSTRUCT';
-  }
-
-  if (hasArrayLiteral && hasForLoop && !hasFunctionExpr && !hasArrayFrom) {
-    if (hasObjectLiteral) {
-      return 'BUILD_OBJECT';
-    }
-    return 'BUILD_ARRAY';
-  }
-
-  if (hasObjectLiteral && hasForLoop) {
-    return 'BUILD_OBJECT';
-  }
+const OPCODE_RULES = [
+  // Unique constructs
+  { opcode: 'DEBUGGER', confidence: CONFIDENCE.EXACT,
+    test: f => f.hasDebugger },
+  { opcode: 'BUILD_REGEXP', confidence: CONFIDENCE.EXACT,
+    test: f => f.hasNewRegExp && f.pushCount >= 1 },
+  { opcode: 'TRY_PUSH', confidence: CONFIDENCE.EXACT,
+    test: f => f.hasTryStackPush && !f.hasTryStackPop && f.helperPopCount === 0 },
+  { opcode: 'TRY_POP', confidence: CONFIDENCE.EXACT,
+    test: f => f.hasTryStackPop && !f.hasTryStackPush && f.helperPopCount === 0 && f.helperPushCount === 0 },
+
+  // Stack pushes
+  { opcode: 'STACK_PUSH_STRING', confidence: CONFIDENCE.STRONG,
+    test: f => f.readsFromStringTable && f.readsDword && f.pushCount >= 1 && f.popCount === 0 },
+  { opcode: 'STACK_PUSH_STRING', confidence: CONFIDENCE.STRONG,
+    test: f => f.hasDirectReadDwordInBracket && f.pushCount >= 1 && f.popCount === 0 &&
+      f.bodyStmtCount === 1 && !f.accessesScopesWithBracket },
+  { opcode: 'STACK_PUSH_BOOLEAN', confidence: CONFIDENCE.STRONG,
+    test: f => f.hasEqualsOne && f.pushCount >= 1 && f.readsInstr && !f.readsDword &&
+      !f.hasIncrement && !f.hasDecrement && !f.hasForLoop && f.bodyStmtCount <= 2 },
+  { opcode: 'STACK_PUSH_DWORD', confidence: CONFIDENCE.STRONG,
+    test: f => f.pushCount >= 1 && f.readsDword && f.popCount === 0 && !f.readsFromStringTable &&
+      f.bodyStmtCount <= 2 && !f.hasForLoop && !f.hasArrayLiteral &&
+      !f.accessesArguments && !f.accessesScopesWithBracket && !f.accessesScopes },
+  { opcode: 'STACK_PUSH_DOUBLE', confidence: CONFIDENCE.STRONG,
+    test: f => f.pushesFloat64 },
+  { opcode: 'STACK_PUSH_NULL', confidence: CONFIDENCE.STRONG,
+    test: f => f.pushesNull && !f.popCount && f.pushCount >= 1 && f.bodyStmtCount === 1 },
+  { opcode: 'STACK_PUSH_UNDEFINED', confidence: CONFIDENCE.STRONG,
+    test: f => f.pushesUndefined && !f.popCount && f.pushCount >= 1 && f.bodyStmtCount === 1 },
+  { opcode: 'STACK_POP', confidence: CONFIDENCE.STRONG,
+    test: f => f.popCount === 1 && f.pushCount === 0 && f.bodyStmtCount === 1 && !f.hasTryStackPop },
+  { opcode: 'STACK_PUSH_DUPLICATE', confidence: CONFIDENCE.STRONG,
+    test: f => f.accessesStackLast && f.pushCount >= 1 && f.popCount === 0 && f.bodyStmtCount === 1 },
+
+  // Special loads
+  { opcode: 'LOAD_THIS', confidence: CONFIDENCE.STRONG,
+    test: f => f.accessesThis && f.pushCount >= 1 && f.popCount === 0 && f.bodyStmtCount <= 2 },
+  { opcode: 'LOAD_GLOBAL_PROP', confidence: CONFIDENCE.STRONG,
+    test: f => (f.accessesGlobal || f.usesReflectGet) && f.popCount >= 1 },
+  { opcode: 'LOAD_GLOBAL', confidence: CONFIDENCE.STRONG,
+    test: f => f.accessesGlobal || f.usesReflectGet },
+  { opcode: 'LOAD_ARGUMENT', confidence: CONFIDENCE.STRONG,
+    test: f => f.accessesArguments && f.readsIndex && f.pushCount >= 1 && !f.hasForLoop && !f.accessesScopesWithBracket },
+  { opcode: 'LOAD_ARGUMENT', confidence: CONFIDENCE.STRONG,
+    test: f => f.hasVariableReadDwordInBracket && f.pushCount >= 1 && f.popCount === 0 &&
+      f.bodyStmtCount === 2 && !f.accessesScopesWithBracket },
+
+  // Variables: scopes[depth][index]
+  { opcode: 'LOAD_VARIABLE', confidence: CONFIDENCE.STRONG,
+    test: f => f.accessesScopesWithBracket && f.pushCount >= 1 && f.readsIndex &&
+      !f.hasAssignment && !f.hasIncrement && !f.hasDecrement },
+  { opcode: 'STORE_VARIABLE', confidence: CONFIDENCE.STRONG,
+    test: f => f.accessesScopesWithBracket && (f.hasNullaryAssign || (f.hasAssignment && !f.pushCount)) },
+  { opcode: 'ASSIGN_VARIABLE', confidence: CONFIDENCE.STRONG,
+    test: f => f.accessesScopesWithBracket && f.hasAssignment && f.pushCount >= 1 },
+  { opcode: 'PROP_UPDATE_PLUS', confidence: CONFIDENCE.STRONG,
+    test: f => f.accessesScopesWithBracket && f.hasIncrement && f.popCount >= 1 },
+  { opcode: 'UPDATE_PLUS', confidence: CONFIDENCE.STRONG,
+    test: f => f.accessesScopesWithBracket && f.hasIncrement },
+  { opcode: 'PROP_UPDATE_MINUS', confidence: CONFIDENCE.STRONG,
+    test: f => f.accessesScopesWithBracket && f.hasDecrement && f.popCount >= 1 },
+  { opcode: 'UPDATE_MINUS', confidence: CONFIDENCE.STRONG,
+    test: f => f.accessesScopesWithBracket && f.hasDecrement },
+
+  { opcode: 'LOAD_ARGUMENTS', confidence: CONFIDENCE.STRONG,
+    test: f => f.accessesArguments && f.pushCount >= 1 && !f.popCount && !f.readsIndex },
+
+  // Calls and builders
+  { opcode: 'CALL_METHOD', confidence: CONFIDENCE.STRONG,
+    test: f => f.callsApply },
+  { opcode: 'BUILD_FUNCTION', confidence: CONFIDENCE.STRONG,
+    test: f => f.hasFunctionExpr && (f.hasTryFinally || f.hasArrayFrom || f.hasForLoop) },
+  { opcode: 'CONSTRUCT', confidence: CONFIDENCE.STRONG,
+    test: f => f.hasSpread && f.popCount >= 1 && f.pushCount >= 1 && f.hasForLoop &&
+      f.callsNew && !f.hasArrayLiteral },
+  { opcode: 'CALL_FUNCTION', confidence: CONFIDENCE.STRONG,
+    test: f => f.hasSpread && f.popCount >= 1 && f.pushCount >= 1 && f.hasForLoop },
+  { opcode: 'CONSTRUCT', confidence: CONFIDENCE.STRONG,
+    test: f => f.callsNew && f.popCount >= 1 && f.pushCount >= 1 && !f.hasFunctionExpr && !f.hasArrayLiteral },
+  { opcode: 'BUILD_OBJECT', confidence: CONFIDENCE.STRONG,
+    test: f => f.hasArrayLiteral && f.hasForLoop && !f.hasFunctionExpr && !f.hasArrayFrom && f.hasObjectLiteral },
+  { opcode: 'BUILD_ARRAY', confidence: CONFIDENCE.STRONG,
+    test: f => f.hasArrayLiteral && f.hasForLoop && !f.hasFunctionExpr && !f.hasArrayFrom },
+  { opcode: 'BUILD_OBJECT', confidence: CONFIDENCE.STRONG,
+    test: f => f.hasObjectLiteral && f.hasForLoop },
 
   // Unary minus/plus must be checked before binary arithmetic
   // Unary has popCount === 1, binary has popCount >= 2
-  if (features.hasUnaryMinus && popCount === 1 && pushCount >= 1 && bodyStmtCount === 1) {
-    return 'UNARY_MINUS';
-  }
+  { opcode: 'UNARY_MINUS', confidence: CONFIDENCE.OPERATOR,
+    test: f => f.hasUnaryMinus && f.popCount === 1 && f.pushCount >= 1 && f.bodyStmtCount === 1 },
+  { opcode: 'UNARY_PLUS', confidence: CONFIDENCE.OPERATOR,
+    test: f => f.hasUnaryPlus && f.popCount === 1 && f.pushCount >= 1 && f.bodyStmtCount === 1 },
+
+  // Arithmetic
+  { opcode: 'ARITHMETIC_ADD', confidence: CONFIDENCE.OPERATOR,
+    test: f => f.operators.has('+') && !f.hasIncrement && f.popCount >= 2 && f.pushCount >= 1 &&
+      f.bodyStmtCount <= 4 && !f.hasForLoop },
+  { opcode: 'ARITHMETIC_SUB', confidence: CONFIDENCE.OPERATOR,
+    test: f => f.operators.has('-') && !f.hasDecrement && f.popCount >= 2 && f.pushCount >= 1 &&
+      f.bodyStmtCount <= 4 && !f.hasForLoop && !f.operators.has('+') },
+  { opcode: 'ARITHMETIC_MUL', confidence: CONFIDENCE.OPERATOR,
+    test: f => f.operators.has('*') && f.popCount >= 1 && f.pushCount >= 1 &&
+      f.bodyStmtCount <= 4 && !f.hasForLoop },
+  { opcode: 'ARITHMETIC_DIV', confidence: CONFIDENCE.OPERATOR,
+    test: f => f.operators.has('/') && f.popCount >= 1 && f.pushCount >= 1 &&
+      f.bodyStmtCount <= 4 && !f.hasForLoop },
+  { opcode: 'ARITHMETIC_MOD', confidence: CONFIDENCE.OPERATOR,
+    test: f => f.operators.has('%') && f.popCount >= 1 && f.pushCount >= 1 },
+
+  // Comparison
+  { opcode: 'COMPARISON_LESS', confidence: CONFIDENCE.OPERATOR,
+    test: f => f.operators.has('<') && !f.operators.has('<<') && !f.operators.has('<=') &&
+      f.popCount >= 1 && f.pushCount >= 1 && !f.hasForLoop },
+  { opcode: 'COMPARISON_LESS_OR_EQUAL', confidence: CONFIDENCE.OPERATOR,
+    test: f => f.operators.has('<=') && f.popCount >= 1 && f.pushCount >= 1 },
+  { opcode: 'COMPARISON_GREATER', confidence: CONFIDENCE.OPERATOR,
+    test: f => f.operators.has('>') && !f.operators.has('>>') && !f.operators.has('>=') &&
+      f.popCount >= 1 && f.pushCount >= 1 && !f.hasForLoop },
+  { opcode: 'COMPARISON_GREATER_OR_EQUAL', confidence: CONFIDENCE.OPERATOR,
+    test: f => f.operators.has('>=') && f.popCount >= 1 && f.pushCount >= 1 },
+  { opcode: 'COMPARISON_STRICT_EQUAL', confidence: CONFIDENCE.OPERATOR,
+    test: f => f.operators.has('===') && f.popCount >= 1 && f.pushCount >= 1 && !f.hasForLoop },
+  { opcode: 'COMPARISON_STRICT_NOT_EQUAL', confidence: CONFIDENCE.OPERATOR,
+    test: f => f.operators.has('!==') && f.popCount >= 1 && f.pushCount >= 1 },
+  { opcode: 'COMPARISON_EQUAL', confidence: CONFIDENCE.OPERATOR,
+    test: f => f.operators.has('==') && !f.operators.has('===') && f.popCount >= 1 && f.pushCount >= 1 },
+  { opcode: 'COMPARISON_NOT_EQUAL', confidence: CONFIDENCE.OPERATOR,
+    test: f => f.operators.has('!=') && !f.operators.has('!==') && f.popCount >= 1 && f.pushCount >= 1 },
+
+  // Bitwise
+  { opcode: 'BINARY_BIT_SHIFT_LEFT', confidence: CONFIDENCE.OPERATOR,
+    test: f => f.operators.has('<<') && f.popCount >= 1 },
+  { opcode: 'BINARY_UNSIGNED_BIT_SHIFT_RIGHT', confidence: CONFIDENCE.OPERATOR,
+    test: f => f.operators.has('>>>') && f.popCount >= 1 },
+  { opcode: 'BINARY_BIT_SHIFT_RIGHT', confidence: CONFIDENCE.OPERATOR,
+    test: f => f.operators.has('>>') && !f.operators.has('>>>') && f.popCount >= 1 },
+  { opcode: 'BINARY_BIT_XOR', confidence: CONFIDENCE.OPERATOR,
+    test: f => f.operators.has('^') && f.popCount >= 1 },
+  { opcode: 'BINARY_BIT_AND', confidence: CONFIDENCE.OPERATOR,
+    test: f => f.operators.has('&') && !f.operators.has('&&') && f.popCount >= 1 },
+  { opcode: 'BINARY_BIT_OR', confidence: CONFIDENCE.OPERATOR,
+    test: f => f.operators.has('|') && !f.operators.has('||') && f.popCount >= 1 },
+  { opcode: 'BINARY_IN', confidence: CONFIDENCE.OPERATOR,
+    test: f => f.operators.has('in') },
+  { opcode: 'BINARY_INSTANCEOF', confidence: CONFIDENCE.OPERATOR,
+    test: f => f.operators.has('instanceof') },
+
+  // Unary
+  { opcode: 'UNARY_TYPEOF', confidence: CONFIDENCE.OPERATOR,
+    test: f => f.operators.has('typeof') },
+  { opcode: 'UNARY_VOID', confidence: CONFIDENCE.OPERATOR,
+    test: f => f.operators.has('void') },
+  { opcode: 'UNARY_THROW', confidence: CONFIDENCE.OPERATOR,
+    test: f => f.hasThrow },
+  { opcode: 'UNARY_BIT_NOT', confidence: CONFIDENCE.OPERATOR,
+    test: f => f.operators.has('~') && f.popCount >= 1 && f.pushCount >= 1 },
+  { opcode: 'UNARY_NOT', confidence: CONFIDENCE.OPERATOR,
+    test: f => f.operators.has('!') && f.popCount >= 1 && f.pushCount >= 1 && f.bodyStmtCount <= 3 },
+
+  // Control flow
+  { opcode: 'JUMP', confidence: CONFIDENCE.WEAK,
+    test: f => f.readsIndex && !f.popCount && f.hasAssignment },
+  { opcode: 'JUMP_IF_FALSE', confidence: CONFIDENCE.WEAK,
+    test: f => f.operators.has('||') && f.readsIndex && f.popCount >= 1 },
+  { opcode: 'JUMP_IF_TRUE', confidence: CONFIDENCE.WEAK,
+    test: f => f.operators.has('&&') && f.readsIndex && f.popCount >= 1 },
+
+  // Properties
+  { opcode: 'GET_PROPERTY', confidence: CONFIDENCE.WEAK,
+    test: f => f.popCount >= 1 && f.pushCount >= 1 && !f.hasAssignment },
+  { opcode: 'SET_PROPERTY', confidence: CONFIDENCE.WEAK,
+    test: f => f.popCount >= 1 && f.hasAssignment && !f.pushCount },
+  { opcode: 'COMPLEX_PROP_UPDATE_PLUS', confidence: CONFIDENCE.WEAK,
+    test: f => f.hasIncrement && f.popCount >= 1 && f.pushCount >= 1 },
+  { opcode: 'COMPLEX_PROP_UPDATE_MINUS', confidence: CONFIDENCE.WEAK,
+    test: f => f.hasDecrement && f.popCount >= 1 && f.pushCount >= 1 },
+  { opcode: 'BUILD_REGEXP', confidence: CONFIDENCE.WEAK,
+    test: f => f.callsNew && f.pushCount >= 1 && f.hasRegExpCall },
+  { opcode: 'TRY_PUSH', confidence: CONFIDENCE.WEAK,
+    test: f => f.hasTryFinally && f.pushCount === 0 && f.readsIndex },
+
+  // Fallbacks for handlers whose state object could not be identified
+  { opcode: 'STACK_PUSH_STRING', confidence: CONFIDENCE.FALLBACK,
+    test: f => f.hasDoubleNestedAccess && f.readsIndex && f.pushCount >= 1 && f.popCount === 0 &&
+      f.hasDirectReadDwordInBracket && f.bodyStmtCount === 1 },
+  { opcode: 'LOAD_ARGUMENT', confidence: CONFIDENCE.FALLBACK,
+    test: f => f.hasDoubleNestedAccess && f.readsIndex && f.pushCount >= 1 && f.popCount === 0 &&
+      f.hasVariableReadDwordInBracket && f.bodyStmtCount === 2 },
+  { opcode: 'STACK_PUSH_STRING', confidence: CONFIDENCE.FALLBACK,
+    test: f => f.hasDoubleNestedAccess && f.readsIndex && f.pushCount >= 1 && f.popCount === 0 },
+  { opcode: 'LOAD_VARIABLE', confidence: CONFIDENCE.FALLBACK,
+    test: f => f.hasDoubleNestedAccess && f.pushCount >= 1 && f.readsIndex && !f.hasAssignment },
+  { opcode: 'STORE_VARIABLE', confidence: CONFIDENCE.FALLBACK,
+    test: f => f.hasDoubleNestedAccess && f.hasAssignment && !f.pushCount },
+  { opcode: 'LOAD_ARGUMENT', confidence: CONFIDENCE.FALLBACK,
+    test: f => f.accessesArguments && f.readsIndex && f.pushCount >= 1 },
+  { opcode: 'LOAD_THIS', confidence: CONFIDENCE.FALLBACK,
+    test: f => f.accessesThis && f.pushCount >= 1 && f.popCount === 0 },
+];
 
-  if (features.hasUnaryPlus && popCount === 1 && pushCount >= 1 && bodyStmtCount === 1) {
-    return 'UNARY_PLUS';
-  }
-
-  if (operators.has('+') && !hasIncrement && popCount >= 2 && pushCount >= 1 &&
-      bodyStmtCount <= 4 && !hasForLoop) {
-    return 'ARITHMETIC_ADD';
-  }
-
-  if (operators.has('-') && !hasDecrement && popCount >= 2 && pushCount >= 1 &&
-      bodyStmtCount <= 4 && !hasForLoop && !operators.has('+')) {
-    return 'ARITHMETIC_SUB';
-  }
-
-  if (operators.has('*') && popCount >= 1 && pushCount >= 1 &&
-      bodyStmtCount <= 4 && !hasForLoop) {
-    return 'ARITHMETIC_MUL';
-  }
-
-  if (operators.has('/') && popCount >= 1 && pushCount >= 1 &&
-      bodyStmtCount <= 4 && !hasForLoop) {
-    return 'ARITHMETIC_DIV';
-  }
-
-  if (operators.has('%') && popCount >= 1 && pushCount >= 1) {
-    return 'ARITHMETIC_MOD';
-  }
-
-  if (operators.has('<') && !operators.has('<<') && !operators.has('<=') &&
-      popCount >= 1 && pushCount >= 1 && !hasForLoop) {
-    return 'COMPARISON_LESS';
-  }
-
-  if (operators.has('<=') && popCount >= 1 && pushCount >= 1) {
-    return 'COMPARISON_LESS_OR_EQUAL';
-  }
-
-  if (operators.has('>') && !operators.has('>>') && !operators.has('>=') &&
-      popCount >= 1 && pushCount >= 1 && !hasForLoop) {
-    return 'COMPARISON_GREATER';
-  }
-
-  if (operators.has('>=') && popCount >= 1 && pushCount >= 1) {
-    return 'COMPARISON_GREATER_OR_EQUAL';
-  }
-
-  if (operators.has('===') && popCount >= 1 && pushCount >= 1 && !hasForLoop) {
-    return 'COMPARISON_STRICT_EQUAL';
-  }
-
-  if (operators.has('!==') && popCount >= 1 && pushCount >= 1) {
-    return 'COMPARISON_STRICT_NOT_EQUAL';
-  }
-
-  if (operators.has('==') && !operators.has('===') && popCount >= 1 && pushCount >= 1) {
-    return 'COMPARISON_EQUAL';
-  }
-
-  if (operators.has('!=') && !operators.has('!==') && popCount >= 1 && pushCount >= 1) {
-    return 'COMPARISON_NOT_EQUAL';
-  }
-
-  if (operators.has('<<') && popCount >= 1) {
-    return 'BINARY_BIT_SHIFT_LEFT';
-  }
-
-  if (operators.has('>>>') && popCount >= 1) {
-    return 'BINARY_UNSIGNED_BIT_SHIFT_RIGHT';
-  }
-
-  if (operators.has('>>') && !operators.has('>>>') && popCount >= 1) {
-    return 'BINARY_BIT_SHIFT_RIGHT';
-  }
-
-  if (operators.has('^') && popCount >= 1) {
-    return 'BINARY_BIT_XOR';
-  }
-
-  if (operators.has('&') && !operators.has('&&') && popCount >= 1) {
-    return 'BINARY_BIT_AND';
-  }
-
-  if (operators.has('|') && !operators.has('||') && popCount >= 1) {
-    return 'BINARY_BIT_OR';
-  }
-
-  if (operators.has('in')) {
-    return 'BINARY_IN';
-  }
-
-  if (operators.has('instanceof')) {
-    return 'BINARY_INSTANCEOF';
-  }
-
-  if (operators.has('typeof')) {
-    return 'UNARY_TYPEOF';
-  }
-
-  if (operators.has('void')) {
-    return 'UNARY_VOID';
-  }
-
-  if (hasThrow) {
-    return 'UNARY_THROW';
-  }
-
-  if (operators.has('~') && popCount >= 1 && pushCount >= 1) {
-    return 'UNARY_BIT_NOT';
-  }
-
-  if (operators.has('!') && popCount >= 1 && pushCount >= 1 && bodyStmtCount <= 3) {
-    return 'UNARY_NOT';
-  }
-
-  if (readsIndex && !popCount && hasAssignment) {
-    return 'JUMP';
-  }
-
-  if ((operators.has('&&') || operators.has('||')) && readsIndex && popCount >= 1) {
-    if (operators.has('||')) {
-      return 'JUMP_IF_FALSE';
-    }
-    return 'JUMP_IF_TRUE';
-  }
-
-  if (popCount >= 1 && pushCount >= 1 && !hasAssignment) {
-    return 'GET_PROPERTY';
-  }
-
-  if (popCount >= 1 && hasAssignment && !pushCount) {
-    return 'SET_PROPERTY';
-  }
-
-  if (hasIncrement && popCount >= 1 && pushCount >= 1) {
-    return 'COMPLEX_PROP_UPDATE_PLUS';
-  }
-
-  if (hasDecrement && popCount >= 1 && pushCount >= 1) {
-    return 'COMPLEX_PROP_UPDATE_MINUS';
-  }
-
-  if (callsNew && pushCount >= 1 && hasRegExpCall) {
-    return 'BUILD_REGEXP';
-  }
+/**
+ * Rank the opcodes a handler could implement.
+ *
+ * @param {Object} features - Output of extractHandlerFeatures
+ * @returns {Array<{opcode: string, score: number}>} Best candidate first, one
+ *   entry per opcode
+ */
+function rankOpcodeCandidates(features) {
+  const candidates = [];
+  const seen = new Set();
 
-  if (hasTryFinally && pushCount === 0 && readsIndex) {
-    return 'TRY_PUSH';
+  for (const rule of OPCODE_RULES) {
+    if (seen.has(rule.opcode) || !rule.test(features)) continue;
+    seen.add(rule.opcode);
+    candidates.push({ opcode: rule.opcode, score: rule.confidence });
   }
 
-  return null;
+  return candidates;
 }
 
 /**
@@ -1384,38 +1394,41 @@ function detectOperandOrder(funcNode, helperFns) {
 /**
  * Main entry point for analyzing an opcode handler function.
  *
- * Extracts features from the handler and maps them to a semantic opcode.
- * Falls back to pattern-based detection if primary classification fails.
- * Also detects operand order for binary operations.
+ * Extracts features from the handler and ranks the opcodes it could
+ * implement. With options.verify it then runs the handler in a node:vm
+ * context (see handlerVerifier.js) to check the best candidate against its
+ * observed behavior:
+ *
+ * - confirmed: the behavior matches the static guess
+ * - overridden: it contradicts the guess and matches another opcode, which
+ *   is used instead (the highest ranked static candidate when one matches)
+ * - inferred: no rule matched but the behavior identifies the opcode
+ * - unverified: the guess has no behavioral model
+ * - inconclusive / error: nothing matches, or the handler could not be run;
+ *   the static guess stands
+ *
+ * Operand order of binary operations is taken from the observed behavior
+ * when it tells, otherwise from detectOperandOrder.
  *
  * @param {Object} funcNode - Babel AST node of the handler function
  * @param {Object} helperFns - Map of helper function names (push, pop, etc.)
  * @param {Object} vmState - Identified VM state properties
- * @returns {{opcode: string|null, swapped: boolean}} Opcode info with operand order
+ * @param {Object} [options]
+ * @param {boolean} [options.verify] - Run the handler to verify the guess.
+ *   This executes code from the input
+ * @returns {{opcode: string|null, swapped: boolean, candidates: Array, verification: Object|null}}
+ *   Opcode info with operand order, every static candidate as
+ *   { opcode, score }, and { status, staticOpcode, matches, error } when
+ *   verified
  */
-export function analyzeHandlerStructure(funcNode, helperFns, vmState) {
+export function analyzeHandlerStructure(funcNode, helperFns, vmState, options = {}) {
   const features = extractHandlerFeatures(funcNode, helperFns, vmState || {});
-  let opcode = mapFeaturesToOpcode(features);
-
-  if (!opcode) {
-    if (features.hasDoubleNestedAccess && features.readsIndex && features.pushCount >= 1 && features.popCount === 0) {
-      if (features.hasDirectReadDwordInBracket && features.bodyStmtCount === 1) {
-        opcode = 'STACK_PUSH_STRING';
-      } else if (features.hasVariableReadDwordInBracket && features.bodyStmtCount === 2) {
-        opcode = 'LOAD_ARGUMENT';
-      } else {
-        opcode = 'STACK_PUSH_STRING';
-      }
-    } else if (features.hasDoubleNestedAccess && features.pushCount >= 1 && features.readsIndex && !features.hasAssignment) {
-      opcode = 'LOAD_VARIABLE';
-    } else if (features.hasDoubleNestedAccess && features.hasAssignment && !features.pushCount) {
-      opcode = 'STORE_VARIABLE';
-    } else if (features.accessesArguments && features.readsIndex && features.pushCount >= 1) {
-      opcode = 'LOAD_ARGUMENT';
-    } else if (features.accessesThis && features.pushCount >= 1 && features.popCount === 0) {
-      opcode = 'LOAD_THIS';
-    }
-  }
+  const candidates = rankOpcodeCandidates(features);
+  const staticOpcode = candidates.length > 0 ? candidates[0].opcode : null;
+
+  const { opcode, observedOrder, verification } = options.verify
+    ? verifyStaticOpcode(staticOpcode, candidates, verifyHandler(funcNode, helperFns, vmState || {}))
+    : { opcode: staticOpcode, observedOrder: null, verification: null };
 
   const isBinaryOp = opcode && (
     opcode.startsWith('ARITHMETIC_') ||
@@ -1423,7 +1436,53 @@ export function analyzeHandlerStructure(funcNode, helperFns, vmState) {
     opcode.startsWith('BINARY_')
   );
 
-  const swapped = isBinaryOp ? detectOperandOrder(funcNode, helperFns) : false;
+  let swapped = false;
+  if (isBinaryOp) {
+    swapped = observedOrder ?? detectOperandOrder(funcNode, helperFns);
+  }
+
+  return { opcode, swapped, candidates, verification };
+}
+
+/**
+ * Decide between the static guess and the opcodes the handler's behavior
+ * matched
+ */
+function verifyStaticOpcode(staticOpcode, candidates, result) {
+  const verification = { status: null, staticOpcode, matches: [] };
+  if (result.error) {
+    verification.status = 'error';
+    verification.error = result.error;
+    return { opcode: staticOpcode, observedOrder: null, verification };
+  }
+
+  const { matches } = result;
+  verification.matches = [...new Set(matches.map(m => m.opcode))];
+
+  // Binary operators match once per operand order that fits; one order
+  // only means the behavior tells which
+  const orderOf = (opcode) => {
+    const orders = matches.filter(m => m.opcode === opcode);
+    return orders.length === 1 ? orders[0].swapped : null;
+  };
+
+  if (staticOpcode && verification.matches.includes(staticOpcode)) {
+    verification.status = 'confirmed';
+    return { opcode: staticOpcode, observedOrder: orderOf(staticOpcode), verification };
+  }
+
+  if (staticOpcode && !isVerifiableOpcode(staticOpcode)) {
+    verification.status = 'unverified';
+    return { opcode: staticOpcode, observedOrder: null, verification };
+  }
+
+  const usable = matches.filter(m => !m.confirmOnly);
+  const pick = usable.find(m => candidates.some(c => c.opcode === m.opcode)) || usable[0];
+  if (!pick) {
+    verification.status = 'inconclusive';
+    return { opcode: staticOpcode, observedOrder: null, verification };
+  }
 
-  return { opcode, swapped };
+  verification.status = staticOpcode ? 'overridden' : 'inferred';
+  return { opcode: pick.opcode, observedOrder: orderOf(pick.opcode), verification };
 }
@@ -0,0 +1,139 @@
+/**
+ * Interleaved Listing
+ *
+ * Lines the disassembly up with what was lifted from it, for --listing.
+ * Every function (the top level and each BUILD_FUNCTION body) is split into
+ * the basic blocks of ControlFlowGraph, and each block lists:
+ *
+ * - its instructions and the blocks it is entered from and leaves to
+ * - the symbolic stack when the generator first reached its first
+ *   instruction, and after the last instruction it evaluated
+ * - the statements lifted from its instructions, with nested bodies elided
+ *   since their statements are listed under their own blocks
+ *
+ * Statements are matched by the bytecode address they are tagged with (see
+ * StatementEmitter.locate), so the generator must have lifted the program
+ * with stackSnapshots on.
+ */
+
+import _generate from '@babel/generator';
+import * as t from '@babel/types';
+import { ControlFlowGraph } from '../lib/cfg.js';
+
+const generate = typeof _generate === 'object' ? _generate.default : _generate;
+
+/**
+ * Build the listing of one VM instance.
+ *
+ * @param {CodeGenerator} generator - Top-level generator of the instance,
+ *   after generateProgram() with stackSnapshots set
+ * @param {Object} program - The Program it returned
+ * @returns {Array} Per function, in id order: { id, parentId, addr, blocks },
+ *   each block { id, startAddr, endAddr, instructions, predecessors,
+ *   successors: [{ id, kind }], stackBefore, stackAfter, statements }.
+ *   kind is 'true', 'false' or 'jump'/'fallthrough'; stacks are lists of
+ *   printed expressions (top last), null where the block was never lifted
+ */
+export function buildListing(generator, program) {
+  const statements = statementsByFunction(program);
+  const generators = [...generator.functionGenerators.values()].sort((a, b) => a.functionId - b.functionId);
+
+  return generators.map(fnGenerator => {
+    const { id, parentId, addr } = generator.functions[fnGenerator.functionId];
+    const lifted = statements.get(id) || new Map();
+    return { id, parentId, addr, blocks: listBlocks(fnGenerator, lifted) };
+  });
+}
+
+function listBlocks(generator, lifted) {
+  const cfg = new ControlFlowGraph(generator.bodyInstructions);
+  cfg.build();
+  const snapshots = generator.stackSnapshots || new Map();
+
+  const blocks = [...cfg.blocks.values()].map(block => {
+    const { instructions } = block;
+    const evaluated = instructions.filter(instr => snapshots.has(instr.addr));
+    const first = evaluated[0];
+    const last = evaluated[evaluated.length - 1];
+
+    return {
+      id: block.id,
+      startAddr: instructions[0].addr,
+      endAddr: instructions[instructions.length - 1].addr,
+      instructions,
+      predecessors: block.predecessors.map(pred => pred.id),
+      successors: block.successors.map(succ => ({ id: succ.id, kind: edgeKind(block, succ) })),
+      stackBefore: first ? snapshots.get(first.addr).before : null,
+      stackAfter: last ? snapshots.get(last.addr).after : null,
+      statements: instructions.flatMap(instr => lifted.get(instr.addr) || [])
+    };
+  });
+
+  // A block of a lone jump is consumed by the structure lifted around it
+  // and never evaluated; it starts with what its predecessor left
+  const byId = new Map(blocks.map(block => [block.id, block]));
+  for (const block of blocks) {
+    if (block.stackBefore !== null || block.predecessors.length !== 1) continue;
+    const incoming = byId.get(block.predecessors[0]).stackAfter;
+    if (incoming === null) continue;
+    const last = block.instructions[block.instructions.length - 1];
+    block.stackBefore = incoming;
+    block.stackAfter = last.opName === 'JUMP_IF_TRUE' || last.opName === 'JUMP_IF_FALSE'
+      ? incoming.slice(0, -1)
+      : incoming;
+  }
+  return blocks;
+}
+
+function edgeKind(block, succ) {
+  if (block.isConditional) {
+    return succ === block.trueSuccessor ? 'true' : 'false';
+  }
+  const last = block.instructions[block.instructions.length - 1];
+  return last.opName === 'JUMP' ? 'jump' : 'fallthrough';
+}
+
+/**
+ * Printed statements by function id, then by the address they were lifted
+ * from, in program order
+ */
+function statementsByFunction(program) {
+  // Declarations in a for head are part of the loop
+  const loopHeads = new Set();
+  t.traverseFast(program, node => {
+    if (t.isForStatement(node)) loopHeads.add(node.init);
+    if (t.isForInStatement(node) || t.isForOfStatement(node)) loopHeads.add(node.left);
+  });
+
+  const byFunction = new Map();
+  t.traverseFast(program, node => {
+    if (!t.isStatement(node) || t.isBlockStatement(node) || !node.loc || loopHeads.has(node)) return;
+    const functionId = node.loc.start.line - 1;
+    const addr = node.loc.start.column;
+
+    if (!byFunction.has(functionId)) byFunction.set(functionId, new Map());
+    const byAddr = byFunction.get(functionId);
+    if (!byAddr.has(addr)) byAddr.set(addr, []);
+    byAddr.get(addr).push(printStatement(node));
+  });
+  return byFunction;
+}
+
+/**
+ * Print a statement with the bodies it contains (blocks, switch cases,
+ * nested functions) elided
+ */
+function printStatement(node) {
+  const copy = t.cloneNode(node, true, true);
+  t.traverseFast(copy, inner => {
+    if (t.isBlockStatement(inner) && inner.body.length > 0) {
+      inner.body = [];
+      inner.innerComments = [{ type: 'CommentBlock', value: ' ... ' }];
+    } else if (t.isSwitchCase(inner) && inner.consequent.length > 0) {
+      inner.consequent = [];
+      inner.trailingComments = [{ type: 'CommentBlock', value: ' ... ' }];
+    }
+  });
+  const { code } = generate(copy, { comments: true, jsescOption: { minimal: true } });
+  return code.replace(/\{\n\s*\/\* \.\.\. \*\/\n\s*\}/g, '{ ... }');
+}
@@ -0,0 +1,97 @@
+/**
+ * Opcode Report
+ *
+ * Summarizes how well an instance's interpreter was fingerprinted, for
+ * --dump-opcodes. A wrong opcode guess usually shows up here first:
+ *
+ * - mapping: every handler with its ranked candidates and scores, and the
+ *   outcome of running it with --verify-handlers (see analyzeHandlerStructure).
+ *   Handlers set by --opcode-map are flagged user
+ * - duplicates: opcode names claimed by more than one handler
+ * - unmapped: handlers that matched no rule or failed analysis
+ * - unknownUsed: opcode bytes the bytecode uses that are missing from the map
+ */
+
+import { Disassembler } from '../lib/disassembler.js';
+
+/**
+ * Build the opcode report of one VM instance.
+ *
+ * @param {Object} instance - An instance from extractFromCode
+ * @param {Array|null} instructions - Its disassembly, or null when
+ *   disassembly failed (unknownUsed is then null)
+ * @returns {Object} { returnOpcode, mapping, duplicates, unmapped, unknownUsed }
+ */
+export function buildOpcodeReport(instance, instructions = null) {
+  const { opcodeMap, swappedOpcodes, returnOpcode, handlers = {}, userOpcodes = new Set() } = instance;
+
+  const keys = new Set([...Object.keys(opcodeMap), ...Object.keys(handlers)]);
+  const mapping = [...keys]
+    .map(Number)
+    .sort((a, b) => a - b)
+    .map(handler => {
+      const analysis = handlers[handler] || { candidates: [] };
+      const [best] = analysis.candidates;
+      const entry = {
+        handler,
+        opcode: opcodeMap[handler] || null,
+        score: best && best.opcode === opcodeMap[handler] ? best.score : null,
+        swapped: swappedOpcodes.has(handler),
+        candidates: analysis.candidates
+      };
+      if (userOpcodes.has(handler)) entry.user = true;
+      if (analysis.verification) entry.verification = analysis.verification;
+      if (analysis.error) entry.error = analysis.error;
+      return entry;
+    });
+
+  const handlersByName = new Map();
+  for (const { handler, opcode } of mapping) {
+    if (!opcode) continue;
+    if (!handlersByName.has(opcode)) handlersByName.set(opcode, []);
+    handlersByName.get(opcode).push(handler);
+  }
+  const duplicates = [...handlersByName]
+    .filter(([, handlerList]) => handlerList.length > 1)
+    .map(([opcode, handlerList]) => ({ opcode, handlers: handlerList }));
+
+  const unmapped = mapping.filter(entry => !entry.opcode).map(entry => entry.handler);
+
+  return {
+    returnOpcode,
+    mapping,
+    duplicates,
+    unmapped,
+    unknownUsed: instructions ? findUnknownOpcodes(instance, instructions) : null
+  };
+}
+
+/**
+ * Collect opcode bytes used anywhere in the bytecode, nested function bodies
+ * included, that the opcode map does not cover. Such instructions are
+ * decoded with the canonical opcode numbering or as UNKNOWN_n.
+ */
+function findUnknownOpcodes(instance, instructions) {
+  const { strings, opcodeMap, returnOpcode } = instance;
+  const unknown = new Map();
+
+  const visit = (instrList) => {
+    for (const instr of instrList) {
+      if (!(instr.opcode in opcodeMap) && instr.opcode !== returnOpcode) {
+        const entry = unknown.get(instr.opcode) || { opcode: instr.opcode, count: 0, decodedAs: instr.opName };
+        entry.count++;
+        unknown.set(instr.opcode, entry);
+      }
+      if (instr.fnBody) {
+        try {
+          visit(Disassembler.disassembleFunctionBody(instr, strings, opcodeMap));
+        } catch {
+          // Undecodable body - its opcodes are already suspect
+        }
+      }
+    }
+  };
+  visit(instructions);
+
+  return [...unknown.values()].sort((a, b) => a.opcode - b.opcode);
+}
@@ -0,0 +1,286 @@
+/**
+ * NebulaVM Deobfuscator - Library API
+ * ===================================
+ *
+ * Runs the deobfuscation pipeline (extraction, disassembly, code
+ * generation) without touching the console, the file system or the
+ * process; the CLI only adds I/O around it. Failures are thrown as
+ * DeobfuscationError subclasses:
+ *
+ *   import { deobfuscate, DisassemblyError } from 'nebula-deobfuscator';
+ *
+ *   try {
+ *     const { code, diagnostics } = deobfuscate(source);
+ *   } catch (e) {
+ *     if (e instanceof DisassemblyError) ...
+ *   }
+ *
+ * Problems that do not stop decompilation (unmapped handlers, opcodes the
+ * map is missing, undecodable instructions, control flow lifted as a state
+ * machine, output repaired because it did not parse) are returned as
+ * diagnostics instead, so a pipeline can decide how strict to be.
+ */
+
+import { extractFromCode } from './lib/extractor.js';
+import { Disassembler } from './lib/disassembler.js';
+import { CodeGenerator } from './lib/codeGenerator.js';
+import { rewriteInPlace } from './lib/rewriter.js';
+import { SourceMapBuilder } from './lib/sourceMap.js';
+import { applyOpcodeMaps } from './lib/opcodeMapFile.js';
+import { buildOpcodeReport } from './analysis/opcodeReport.js';
+import { buildListing } from './analysis/listing.js';
+import { buildFunctionGraphs } from './analysis/cfgExport.js';
+import {
+  DeobfuscationError,
+  ExtractionError,
+  OpcodeMapError,
+  DisassemblyError,
+  GenerationError
+} from './lib/errors.js';
+
+export {
+  DeobfuscationError,
+  ExtractionError,
+  OpcodeMapError,
+  DisassemblyError,
+  GenerationError
+};
+
+/**
+ * Find the VM instances in the input and merge the opcode map over the
+ * detected ones. deobfuscate() does this itself; callers that look at the
+ * instances first (the CLI's --dump-* modes) can pass the result on as
+ * options.instances.
+ *
+ * @param {string} code - The obfuscated source
+ * @param {Object} options - opcodeMap and verifyHandlers, as for deobfuscate()
+ * @returns {Array} Instances from extractFromCode, in source order
+ * @throws {DeobfuscationError} ExtractionError or OpcodeMapError
+ */
+export function extractInstances(code, options = {}) {
+  if (typeof code !== 'string') {
+    throw new ExtractionError('Input must be a string of JavaScript source');
+  }
+
+  let extracted;
+  try {
+    extracted = extractFromCode(code, { verifyHandlers: options.verifyHandlers });
+  } catch (e) {
+    throw new ExtractionError(e.message, { cause: e });
+  }
+
+  if (options.opcodeMap) {
+    applyOpcodeMaps(extracted, options.opcodeMap);
+  }
+  return extracted;
+}
+
+/**
+ * Deobfuscate NebulaVM-protected JavaScript.
+ *
+ * @param {string} code - The obfuscated source
+ * @param {Object} options
+ * @param {Object|Array} options.opcodeMap - Opcode map merged over the
+ *   detected one, in the --opcode-map file format (already parsed)
+ * @param {boolean} options.inplace - Keep the code around each VM IIFE and
+ *   replace only the IIFE, like --inplace
+ * @param {boolean} options.rename - Name variables after their usage, like
+ *   --rename
+ * @param {boolean} options.verifyHandlers - Check opcode guesses by running
+ *   the interpreter's handlers in a node:vm context, like --verify-handlers.
+ *   This executes code from the input; node:vm is not a security boundary
+ * @param {boolean} options.sourceMap - Also return a source map from code
+ *   back to the bytecode, like --source-map
+ * @param {string} options.sourceName - Name of the input in the source map
+ *   (default input.js)
+ * @param {string} options.sourceMapFile - Name of the output file the
+ *   source map describes
+ * @param {Array} options.instances - Instances from extractInstances(), to
+ *   skip extraction; opcodeMap and verifyHandlers are then ignored
+ * @param {boolean} options.listing - Also return the basic blocks of every
+ *   function with their stacks and lifted statements, like --listing
+ * @param {boolean} options.graphs - Also return the control flow graph of
+ *   every function, like --cfg-format
+ * @returns {Object} {
+ *     code,          decompiled source of the whole input
+ *     map,           v3 source map object, with options.sourceMap
+ *     lineAddresses, Map of output line -> { instance, functionId, addr }
+ *                    for the first code on the line lifted from bytecode
+ *     instructions,  disassembly of the first VM instance
+ *     strings,       its string table
+ *     opcodeMap,     its handler -> opcode name map
+ *     version,       its bytecode format (NebulaVersion)
+ *     diagnostics,   [{ level, instance, message }] for all instances
+ *     functions,     [{ id, parentId, addr }] of the first instance, 0 is
+ *                    the top level and addr the BUILD_FUNCTION instruction
+ *     instances      the same fields per VM instance, in source order,
+ *                    with listing (see buildListing) and graphs (see
+ *                    buildFunctionGraphs) when asked for
+ *   }
+ * @throws {DeobfuscationError} ExtractionError, OpcodeMapError,
+ *   DisassemblyError or GenerationError
+ */
+export function deobfuscate(code, options = {}) {
+  const extracted = options.instances || extractInstances(code, options);
+
+  const instances = [];
+  const replacements = [];
+  const sections = [];
+  let varCounter = 0;
+  const reservedNames = new Set();
+  const sourceMap = options.sourceMap ? new SourceMapBuilder(options.sourceMapFile) : null;
+
+  extracted.forEach((instance, index) => {
+    const { bytecode, strings, opcodeMap, returnOpcode, swappedOpcodes } = instance;
+
+    const disassembler = new Disassembler(bytecode, strings, opcodeMap, returnOpcode);
+    let instructions;
+    try {
+      instructions = disassembler.disassemble();
+    } catch (e) {
+      throw new DisassemblyError(e.message, { instance: index, cause: e });
+    }
+
+    const generator = new CodeGenerator(instructions, strings, opcodeMap, returnOpcode, swappedOpcodes);
+    generator.varCounter = varCounter;
+    generator.renameVariables = Boolean(options.rename);
+    generator.reservedNames = reservedNames;
+    // In place, the lifted statements replace the call that ran the VM, so
+    // its return value must still come back from them
+    generator.topLevelReturns = Boolean(options.inplace);
+    if (options.listing) generator.stackSnapshots = new Map();
+    let program;
+    let generated;
+    try {
+      program = generator.generateProgram();
+      generated = options.inplace ? program.body : generator.generateWithAddresses(program);
+    } catch (e) {
+      throw new GenerationError(e.message, { instance: index, cause: e });
+    }
+    varCounter = generator.varCounter;
+    if (sourceMap) {
+      sourceMap.addInstance(index, generator, extracted.length > 1);
+    }
+
+    if (options.inplace) {
+      replacements.push({ instance, statements: generated });
+    } else {
+      sections.push({
+        instance,
+        text: generated.code || '// No code generated',
+        mappings: generated.mappings,
+        addresses: generated.lineAddresses
+      });
+    }
+
+    instances.push({
+      loc: instance.loc,
+      instructions,
+      strings,
+      opcodeMap,
+      version: disassembler.detectedVersion,
+      diagnostics: [
+        ...collectDiagnostics(instance, instructions, index),
+        ...generator.diagnostics.map(({ level, message }) => ({ level, instance: index, message }))
+      ],
+      functions: generator.functions,
+      ...(options.listing ? { listing: buildListing(generator, program) } : {}),
+      ...(options.graphs ? { graphs: buildFunctionGraphs(generator, extracted.length > 1 ? index : null) } : {})
+    });
+  });
+
+  let output;
+  let lineAddresses = new Map();
+  if (options.inplace) {
+    let rewritten;
+    try {
+      rewritten = rewriteInPlace(code, replacements);
+    } catch (e) {
+      throw new GenerationError(`Failed to rewrite the input: ${e.message}`, { cause: e });
+    }
+    output = rewritten.code;
+    lineAddresses = rewritten.lineAddresses;
+
+    if (sourceMap) {
+      sourceMap.addInput(options.sourceName || 'input.js', code);
+      for (const { generated, original, ...address } of rewritten.mappings) {
+        if (original) {
+          sourceMap.addInputMapping(generated, original);
+        } else {
+          sourceMap.addLiftedMapping(generated, address);
+        }
+      }
+    }
+  } else {
+    let lineOffset = 0;
+    output = sections.map(({ instance, text, mappings, addresses }, index) => {
+      let section = text;
+      if (sections.length > 1) {
+        const { line, column } = instance.loc.start;
+        section = `// NebulaVM instance at line ${line}:${column}\n${text}`;
+      }
+
+      // Sections are joined by a blank line, after the header comment
+      const firstLine = lineOffset + (sections.length > 1 ? 1 : 0);
+      for (const [line, address] of addresses) {
+        lineAddresses.set(firstLine + line, { ...address, instance: index });
+      }
+      if (sourceMap) {
+        for (const { generated, ...address } of mappings) {
+          const position = { line: firstLine + generated.line, column: generated.column };
+          sourceMap.addLiftedMapping(position, { ...address, instance: index });
+        }
+      }
+      lineOffset += section.split('\n').length + 1;
+      return section;
+    }).join('\n\n');
+  }
+
+  const [first] = instances;
+  return {
+    code: output,
+    ...(sourceMap ? { map: sourceMap.toJSON() } : {}),
+    lineAddresses,
+    instructions: first.instructions,
+    strings: first.strings,
+    opcodeMap: first.opcodeMap,
+    version: first.version,
+    diagnostics: instances.flatMap(instance => instance.diagnostics),
+    functions: first.functions,
+    instances
+  };
+}
+
+/**
+ * Turn the opcode report and instruction decode errors of one instance
+ * into diagnostics
+ */
+function collectDiagnostics(instance, instructions, index) {
+  const diagnostics = [];
+  const add = (level, message) => diagnostics.push({ level, instance: index, message });
+
+  const report = buildOpcodeReport(instance, instructions);
+  for (const entry of report.mapping) {
+    if (!entry.user && entry.verification && entry.verification.status === 'overridden') {
+      add('info', `Handler ${entry.handler} behaves like ${entry.opcode}, not ${entry.verification.staticOpcode}`);
+    }
+  }
+  for (const { opcode, handlers } of report.duplicates) {
+    add('warning', `${opcode} is claimed by handlers ${handlers.join(', ')}`);
+  }
+  if (report.unmapped.length > 0) {
+    add('warning', `Unmapped handlers: ${report.unmapped.join(', ')}`);
+  }
+  for (const { opcode, count, decodedAs } of report.unknownUsed || []) {
+    add('warning', `Opcode ${opcode} is used ${count} times but missing from the map (decoded as ${decodedAs})`);
+  }
+
+  for (const instr of instructions) {
+    if (instr.error) add('error', `Instruction at ${instr.addr}: ${instr.error}`);
+  }
+  if (instance.strings.length === 0) {
+    add('warning', 'No string table found');
+  }
+
+  return diagnostics;
+}
@@ -34,8 +34,8 @@ export class ControlFlowReconstructor {
   }
 
   /**
-   * Detect while loops by identifying backward jump patterns
-   * 
+   * Detect loops by identifying backward jump patterns
+   *
    * V1 Pattern (post-test):
    * 1. Initial JUMP to condition (skips loop body on first iteration)
    * 2. Loop body (basic block sequence)
@@ -46,6 +46,13 @@ export class ControlFlowReconstructor {
    * 2. JUMP_IF_FALSE to exit (or JUMP_IF_TRUE to body)
    * 3. Loop body
    * 4. Unconditional JUMP back to condition
+   *
+   * Do-while Pattern:
+   * 1. Loop body
+   * 2. Condition evaluation followed by conditional back-jump to the body
+   *
+   * Every loop records startIdx, its first instruction, and exitIdx, the
+   * instruction after it, where a break jumps to.
    */
   detectLoops() {
     const loops = [];
@@ -65,15 +72,19 @@ export class ControlFlowReconstructor {
             if (checkInstr.opName === 'JUMP_IF_TRUE' || checkInstr.opName === 'JUMP_IF_FALSE') {
               const backTarget = checkInstr.args[0]?.value;
               const backIdx = this.addrToIdx.get(backTarget);
-              if (backIdx !== undefined && backIdx <= i + 1) {
+              // Jumps back to before the init JUMP belong to an
+              // enclosing loop: this JUMP is a continue
+              if (backIdx === i + 1) {
                 loops.push({
                   type: 'while',
                   pattern: 'v1',
+                  startIdx: i,
                   initJumpIdx: i,
                   bodyStartIdx: i + 1,
                   condStartIdx: targetIdx,
                   condEndIdx: j,
                   condJumpIdx: j,
+                  exitIdx: j + 1,
                   isTrue: checkInstr.opName === 'JUMP_IF_TRUE'
                 });
                 usedInstructions.add(i);
@@ -105,13 +116,15 @@ export class ControlFlowReconstructor {
               const backIdx = this.addrToIdx.get(backAddr);
 
               // Must be the last instruction before exit and jump back before condition start
-              if (backIdx !== undefined && backIdx <= i && j === exitIdx - 1) {
+              if (backIdx !== undefined && backIdx <= i && j === exitIdx - 1 &&
+                  !this.isContinueOf(loops, backIdx, i)) {
                 // Find the condition start by looking backward from the conditional jump
                 let condStartIdx = backIdx;
                 // Validate this is a loop structure
                 loops.push({
                   type: 'while',
                   pattern: 'v2',
+                  startIdx: condStartIdx,
                   condStartIdx: condStartIdx,
                   condEndIdx: i,
                   condJumpIdx: i,
@@ -131,9 +144,40 @@ export class ControlFlowReconstructor {
       }
     }
 
+    // Do-while Pattern: body → condition → JUMP_IF_* (back to body start)
+    for (let j = 0; j < this.instructions.length; j++) {
+      const instr = this.instructions[j];
+      if (usedInstructions.has(j)) continue;
+      if (instr.opName !== 'JUMP_IF_TRUE' && instr.opName !== 'JUMP_IF_FALSE') continue;
+
+      const backIdx = this.addrToIdx.get(instr.args[0]?.value);
+      if (backIdx === undefined || backIdx >= j || this.isContinueOf(loops, backIdx, j)) continue;
+
+      loops.push({
+        type: 'doWhile',
+        pattern: 'doWhile',
+        startIdx: backIdx,
+        bodyStartIdx: backIdx,
+        condJumpIdx: j,
+        exitIdx: j + 1,
+        isTrue: instr.opName === 'JUMP_IF_TRUE'
+      });
+      usedInstructions.add(j);
+    }
+
     return loops;
   }
 
+  /**
+   * Whether a jump at jumpIdx back to targetIdx is a continue of an
+   * already detected loop around it (a jump to its condition)
+   */
+  isContinueOf(loops, targetIdx, jumpIdx) {
+    return loops.some(loop =>
+      loop.condStartIdx === targetIdx && loop.condJumpIdx < jumpIdx && jumpIdx < loop.exitIdx
+    );
+  }
+
   /**
    * Build CFG and detect structured regions using dominator analysis
    * This provides more accurate control flow reconstruction by analyzing
@@ -171,6 +215,9 @@ export class ControlFlowReconstructor {
 
         if (loopCondJumps.has(condJumpIdx)) continue;
 
+        // Jumps into the middle of a branch from outside leave it as gotos
+        if (this.isEnteredFromOutside(cfg, condBlock, loops)) continue;
+
         regionsByCondIdx.set(condJumpIdx, region);
       }
     }
@@ -178,6 +225,37 @@ export class ControlFlowReconstructor {
     return regionsByCondIdx;
   }
 
+  /**
+   * Whether a block of an if statement's body is entered other than
+   * through its condition, by a jump from outside into a branch.
+   *
+   * The body is taken from the layout rather than the region's blocks,
+   * which run up to the merge block and so take in the rest of the loop
+   * when a branch breaks out of it. It spans from the conditional jump to
+   * its target, or to the end of the else branch when the then branch ends
+   * by jumping over one; a jump out of the enclosing loop is a break there.
+   */
+  isEnteredFromOutside(cfg, condBlock, loops) {
+    const condIdx = condBlock.endIdx;
+    const targetIdx = this.addrToIdx.get(this.instructions[condIdx].args[0]?.value);
+    if (targetIdx === undefined || targetIdx <= condIdx) return false;
+
+    let endIdx = targetIdx;
+    const last = this.instructions[targetIdx - 1];
+    if (last.opName === 'JUMP') {
+      const jumpIdx = this.addrToIdx.get(last.args[0]?.value);
+      const isBreak = loops.some(loop =>
+        loop.startIdx <= condIdx && condIdx < loop.exitIdx && jumpIdx >= loop.exitIdx
+      );
+      if (jumpIdx !== undefined && jumpIdx > targetIdx && !isBreak) endIdx = jumpIdx;
+    }
+
+    const inside = block => block === condBlock || (block.startIdx > condIdx && block.startIdx < endIdx);
+    return [...cfg.blocks.values()].some(block =>
+      block !== condBlock && inside(block) && !block.predecessors.every(inside)
+    );
+  }
+
   /**
    * Detect ternary expression pattern (ConditionalExpression)
    *
@@ -319,6 +397,232 @@ export class ControlFlowReconstructor {
     return logicals;
   }
 
+  /**
+   * Detect switch statements
+   *
+   * Pattern from NebulaVM SwitchStatementCompiler:
+   * - [discriminant expression]
+   * - STACK_PUSH_DUPLICATE, [case test], COMPARISON_STRICT_EQUAL,
+   *   JUMP_IF_TRUE -> case body (once per case, in source order)
+   * - JUMP -> default body, or the end when there is no default
+   * - case bodies in source order, falling through into each other;
+   *   break is a JUMP -> end
+   * - end: STACK_POP (drops the discriminant)
+   *
+   * The end is the immediate post-dominator of the compare chain; when the
+   * bodies leave through returns or continues it falls back to the target
+   * of the JUMP after the chain or of a break.
+   *
+   * Returns switches keyed by the index of the first STACK_PUSH_DUPLICATE.
+   */
+  detectSwitchStatements(cfg) {
+    const switches = new Map();
+    const chained = new Set();
+
+    // Statement-level ops that should not appear in a case test
+    const statementOps = new Set([
+      'STORE_VARIABLE', 'SET_PROPERTY', 'UNARY_THROW', 'RETURN', 'DEBUGGER',
+      'JUMP', 'JUMP_IF_TRUE', 'JUMP_IF_FALSE', 'TRY_PUSH', 'TRY_POP', 'STACK_PUSH_DUPLICATE'
+    ]);
+
+    const compareAt = (dupIdx) => {
+      if (this.instructions[dupIdx]?.opName !== 'STACK_PUSH_DUPLICATE') return null;
+      for (let j = dupIdx + 1; j < this.instructions.length; j++) {
+        const instr = this.instructions[j];
+        if (instr.opName === 'COMPARISON_STRICT_EQUAL') {
+          const jump = this.instructions[j + 1];
+          if (j === dupIdx + 1 || jump?.opName !== 'JUMP_IF_TRUE') return null;
+          const targetIdx = this.addrToIdx.get(jump.args[0]?.value);
+          if (targetIdx === undefined || targetIdx <= j + 1) return null;
+          return { dupIdx, testStartIdx: dupIdx + 1, testEndIdx: j - 1, jumpIdx: j + 1, targetIdx };
+        }
+        if (statementOps.has(instr.opName)) return null;
+      }
+      return null;
+    };
+
+    for (let i = 0; i < this.instructions.length; i++) {
+      if (chained.has(i)) continue;
+
+      const cases = [];
+      let compare = compareAt(i);
+      while (compare) {
+        cases.push(compare);
+        compare = compareAt(compare.jumpIdx + 1);
+      }
+      if (cases.length === 0) continue;
+
+      const lastCase = cases[cases.length - 1];
+      const defaultJumpIdx = lastCase.jumpIdx + 1;
+      const defaultJump = this.instructions[defaultJumpIdx];
+      if (defaultJump?.opName !== 'JUMP') continue;
+      const defaultTargetIdx = this.addrToIdx.get(defaultJump.args[0]?.value);
+      if (defaultTargetIdx === undefined || defaultTargetIdx <= defaultJumpIdx) continue;
+
+      const caseTargets = cases.map(c => c.targetIdx);
+      const lastBodyStart = Math.max(...caseTargets, defaultTargetIdx);
+      const isEnd = (idx) => idx !== undefined && idx >= lastBodyStart &&
+        this.instructions[idx]?.opName === 'STACK_POP';
+
+      const chainBlock = cfg.idxToBlock.get(cases[0].jumpIdx);
+      const ipdom = chainBlock && cfg.immediatePostDominators?.get(chainBlock.id);
+      const mergeBlock = ipdom != null ? cfg.blocks.get(ipdom) : null;
+      let endIdx = null;
+      if (mergeBlock && isEnd(mergeBlock.startIdx)) {
+        endIdx = mergeBlock.startIdx;
+      } else if (isEnd(defaultTargetIdx) && defaultTargetIdx > Math.max(...caseTargets)) {
+        endIdx = defaultTargetIdx;
+      } else {
+        // The target of a break
+        for (let j = defaultJumpIdx + 1; j < this.instructions.length && endIdx === null; j++) {
+          if (this.instructions[j].opName !== 'JUMP') continue;
+          const targetIdx = this.addrToIdx.get(this.instructions[j].args[0]?.value);
+          if (targetIdx > j && isEnd(targetIdx)) endIdx = targetIdx;
+        }
+      }
+      if (endIdx === null) continue;
+
+      // Cases are laid out in order, right after the chain
+      const bodyStarts = [...new Set([...caseTargets, defaultTargetIdx])].filter(idx => idx < endIdx);
+      const inOrder = caseTargets.every((target, k) => k === 0 || target >= caseTargets[k - 1]);
+      if (!inOrder || (bodyStarts.length > 0 && Math.min(...bodyStarts) !== defaultJumpIdx + 1)) continue;
+
+      switches.set(i, {
+        dupIdx: i,
+        cases,
+        defaultJumpIdx,
+        defaultIdx: defaultTargetIdx < endIdx ? defaultTargetIdx : null,
+        endIdx
+      });
+      cases.forEach(c => chained.add(c.dupIdx));
+    }
+
+    return switches;
+  }
+
+  /**
+   * Detect try statements
+   *
+   * Pattern (V1 TRY_PUSH also carries the finally address):
+   * - TRY_PUSH -> handler
+   * - [try block]
+   * - TRY_POP
+   * - [copy of the finally block, run on the normal path]
+   * - JUMP -> end
+   * - handler: TRY_CATCH scope, slot (the error, pushed by the VM), [catch
+   *   block], optionally ending in a JUMP -> finally or end
+   * - TRY_FINALLY, [finally block]
+   * - end
+   *
+   * A handler starting with TRY_FINALLY is a try/finally without catch.
+   * Older output stores the error with STORE_VARIABLE instead of TRY_CATCH,
+   * or leaves it on the stack. Regions nest; inner ones are found first.
+   *
+   * Returns regions keyed by the index of the TRY_PUSH: { tryStartIdx,
+   * tryEndIdx, exitJumpIdx, catchIdx, catchVar, catchStartIdx, catchEndIdx,
+   * finallyIdx, finallyStartIdx, endIdx }. catchIdx and finallyIdx are null
+   * for a missing clause, catchVar is { scopeId, slot } or null.
+   */
+  detectTryRegions() {
+    const regions = new Map();
+    const open = [];
+    const closed = [];
+
+    for (let i = 0; i < this.instructions.length; i++) {
+      const { opName } = this.instructions[i];
+      if (opName === 'TRY_PUSH') {
+        open.push(i);
+      } else if (opName === 'TRY_POP' && open.length > 0) {
+        closed.push({ tryStartIdx: open.pop(), tryEndIdx: i });
+      }
+    }
+
+    const jumpTarget = (idx) => {
+      const instr = this.instructions[idx];
+      return instr?.opName === 'JUMP' ? this.addrToIdx.get(instr.args[0]?.value) : undefined;
+    };
+    const isNested = (idx) => [...regions.values()].some(region =>
+      idx >= region.tryStartIdx && idx < region.endIdx
+    );
+
+    for (const { tryStartIdx, tryEndIdx } of closed) {
+      const push = this.instructions[tryStartIdx];
+      const handlerIdx = this.addrToIdx.get(push.args[0]?.value);
+      if (handlerIdx === undefined || handlerIdx <= tryEndIdx + 1) continue;
+
+      // The handler is skipped by the JUMP that ends the normal path
+      const exitJumpIdx = handlerIdx - 1;
+      const endIdx = jumpTarget(exitJumpIdx);
+      if (endIdx === undefined || endIdx < handlerIdx) continue;
+
+      const handler = this.instructions[handlerIdx];
+      const catchIdx = handler.opName === 'TRY_FINALLY' ? null : handlerIdx;
+      let catchVar = null;
+      if (handler.opName === 'TRY_CATCH' || handler.opName === 'STORE_VARIABLE') {
+        catchVar = { scopeId: handler.args[0]?.value, slot: handler.args[1]?.value };
+      }
+
+      let finallyIdx = null;
+      const finallyOperand = this.addrToIdx.get(push.args[1]?.value);
+      if (finallyOperand > handlerIdx && finallyOperand < endIdx) {
+        finallyIdx = finallyOperand;
+      } else if (catchIdx === null) {
+        finallyIdx = handlerIdx;
+      } else {
+        for (let j = handlerIdx + 1; j < endIdx && finallyIdx === null; j++) {
+          if (this.instructions[j].opName === 'TRY_FINALLY' && !isNested(j)) finallyIdx = j;
+        }
+      }
+      const finallyStartIdx = finallyIdx === null ? null
+        : finallyIdx + (this.instructions[finallyIdx].opName === 'TRY_FINALLY' ? 1 : 0);
+
+      // Code between TRY_POP and the exit jump must be the finally block
+      const copyLength = exitJumpIdx - tryEndIdx - 1;
+      if (finallyIdx === null ? copyLength > 0 : !this.isSameCode(tryEndIdx + 1, finallyStartIdx, copyLength, endIdx)) {
+        continue;
+      }
+
+      let catchEndIdx = null;
+      if (catchIdx !== null) {
+        catchEndIdx = finallyIdx ?? endIdx;
+        const target = jumpTarget(catchEndIdx - 1);
+        if (target === endIdx || (finallyIdx !== null && target === finallyIdx)) catchEndIdx--;
+      }
+
+      regions.set(tryStartIdx, {
+        tryStartIdx,
+        tryEndIdx,
+        exitJumpIdx,
+        catchIdx,
+        catchVar,
+        catchStartIdx: catchVar ? catchIdx + 1 : catchIdx,
+        catchEndIdx,
+        finallyIdx,
+        finallyStartIdx,
+        endIdx
+      });
+    }
+
+    return regions;
+  }
+
+  /**
+   * Whether the length instructions at copyIdx repeat the ones at idx, which
+   * must run up to endIdx
+   */
+  isSameCode(copyIdx, idx, length, endIdx) {
+    if (idx + length !== endIdx) return false;
+    for (let k = 0; k < length; k++) {
+      const copy = this.instructions[copyIdx + k];
+      const instr = this.instructions[idx + k];
+      if (copy.opName !== instr.opName || copy.args.length !== instr.args.length) return false;
+      // Jump targets differ between the copies by the distance between them
+      const isJump = ['JUMP', 'JUMP_IF_TRUE', 'JUMP_IF_FALSE'].includes(instr.opName);
+      if (!isJump && copy.args.some((arg, a) => arg.value !== instr.args[a].value)) return false;
+    }
+    return true;
+  }
+
   /**
    * Build maps for quick loop lookup by instruction index
    */
@@ -326,6 +630,7 @@ export class ControlFlowReconstructor {
     const loopsByInitJump = new Map();
     const loopsByCondJump = new Map();
     const loopsByCondStart = new Map();
+    const loopsByBodyStart = new Map();
 
     for (const loop of loops) {
       if (loop.pattern === 'v1' && loop.initJumpIdx !== undefined) {
@@ -334,20 +639,37 @@ export class ControlFlowReconstructor {
       if (loop.pattern === 'v2' && loop.condStartIdx !== undefined) {
         loopsByCondStart.set(loop.condStartIdx, loop);
       }
+      if (loop.pattern === 'doWhile') {
+        const starting = loopsByBodyStart.get(loop.bodyStartIdx) || [];
+        starting.push(loop);
+        loopsByBodyStart.set(loop.bodyStartIdx, starting);
+      }
       loopsByCondJump.set(loop.condJumpIdx, loop);
     }
 
-    return { loopsByInitJump, loopsByCondJump, loopsByCondStart };
+    // Do-while loops sharing a body start nest: outermost first
+    for (const starting of loopsByBodyStart.values()) {
+      starting.sort((a, b) => b.condJumpIdx - a.condJumpIdx);
+    }
+
+    return { loopsByInitJump, loopsByCondJump, loopsByCondStart, loopsByBodyStart };
   }
 
   /**
    * Determine which jump targets need labels (unstructured jumps)
-   * Structured control flow (loops, if-else, logicals) doesn't need labels
+   * Structured control flow (loops, switches, try statements, break/continue, if-else, logicals) doesn't need labels
    */
-  findUsedLabels(loops, regionsByCondIdx, logicals = null) {
+  findUsedLabels(loops, regionsByCondIdx, logicals = null, switches = new Map(), tryRegions = new Map()) {
     const usedLabels = new Set();
     const logicalJumps = logicals || new Map();
 
+    // Jumps past the handler of a try statement are dropped
+    const tryJumps = new Set();
+    for (const { exitJumpIdx, catchEndIdx, finallyIdx, endIdx } of tryRegions.values()) {
+      tryJumps.add(exitJumpIdx);
+      if (catchEndIdx !== null && catchEndIdx < (finallyIdx ?? endIdx)) tryJumps.add(catchEndIdx);
+    }
+
     // Build set of loop-related jump targets
     const loopJumpTargets = new Set();
     for (const loop of loops) {
@@ -363,13 +685,22 @@ export class ControlFlowReconstructor {
         const target = this.instructions[loop.backJumpIdx]?.args[0]?.value;
         if (target !== undefined) loopJumpTargets.add(target);
       }
-      // Add the exit target for V2 loops
+      // Add the exit target, where a break jumps to
       if (loop.exitIdx !== undefined) {
         const exitAddr = this.instructions[loop.exitIdx]?.addr;
         if (exitAddr !== undefined) loopJumpTargets.add(exitAddr);
       }
     }
 
+    // Case jumps, and breaks to the end of switches
+    for (const { cases, defaultJumpIdx, endIdx } of switches.values()) {
+      for (const idx of [...cases.map(c => c.jumpIdx), defaultJumpIdx]) {
+        loopJumpTargets.add(this.instructions[idx].args[0]?.value);
+      }
+      const endAddr = this.instructions[endIdx]?.addr;
+      if (endAddr !== undefined) loopJumpTargets.add(endAddr);
+    }
+
     for (const instr of this.instructions) {
       if (['JUMP', 'JUMP_IF_TRUE', 'JUMP_IF_FALSE'].includes(instr.opName)) {
         const targetAddr = instr.args[0]?.value;
@@ -378,7 +709,8 @@ export class ControlFlowReconstructor {
         if (targetAddr !== undefined &&
             !loopJumpTargets.has(targetAddr) &&
             !regionsByCondIdx.has(instrIdx) &&
-            !logicalJumps.has(instrIdx)) {
+            !logicalJumps.has(instrIdx) &&
+            !tryJumps.has(instrIdx)) {
           usedLabels.add(targetAddr);
         }
       }
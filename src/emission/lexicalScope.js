@@ -0,0 +1,94 @@
+/**
+ * Lexical Scope Model
+ *
+ * NebulaVM keeps variables in one array of scope objects indexed by
+ * absolute depth, shared by the whole program: the top level uses
+ * scopes[0], a function nested one level down uses scopes[1], and so on.
+ * A call does not get a scope of its own; STORE_VARIABLE creates the scope
+ * at its depth on first use and every later call reuses it. The scope id
+ * of LOAD_VARIABLE / STORE_VARIABLE is therefore the depth of the function
+ * that owns the variable, not a distance from the current one.
+ *
+ * Each decompiled function gets a LexicalScope at its depth, linked to the
+ * scope of the function it was built in. A variable is named in the scope
+ * that owns it, so an inner function reading an outer variable uses the
+ * outer function's name and closures survive decompilation.
+ *
+ * The output declares those variables with `var` in their function, which
+ * gives each call its own copy. That only differs from the VM when two
+ * calls of a function are live at once: a recursive call, or a closure
+ * that reads its builder's variables after a later call has stored new
+ * ones (see the README's Limitations).
+ *
+ * Key concepts:
+ * - Owner: The scope in the chain whose depth equals the scope id. Ids
+ *   outside the chain (corrupt operands) stay in the current scope under
+ *   their own key, so they never alias a real variable
+ * - Declared: Names that already have a `var` (or are parameters / catch
+ *   bindings) in their owner. Stores to undeclared names of the current
+ *   scope emit `var`; stores to outer names are plain assignments
+ */
+
+export class LexicalScope {
+  constructor(parent = null) {
+    this.parent = parent;
+    this.depth = parent ? parent.depth + 1 : 0;
+    this.names = new Map();
+    this.declared = new Set();
+  }
+
+  /**
+   * The scope that owns variables with the given scope id
+   */
+  owner(scopeId) {
+    for (let scope = this; scope; scope = scope.parent) {
+      if (scope.depth === scopeId) return scope;
+    }
+    return this;
+  }
+
+  /**
+   * Name of a variable slot. createName is called the first time the slot
+   * is seen anywhere in the owner or the functions nested in it.
+   */
+  nameOf(scopeId, varId, createName) {
+    const scope = this.owner(scopeId);
+    const key = `${scopeId}_${varId}`;
+    if (!scope.names.has(key)) {
+      scope.names.set(key, createName());
+    }
+    return scope.names.get(key);
+  }
+
+  /**
+   * Whether a name belongs to this scope rather than an enclosing one
+   */
+  owns(name) {
+    for (const ownName of this.names.values()) {
+      if (ownName === name) return true;
+    }
+    return false;
+  }
+
+  /**
+   * Record a `var` for a name in this function. Returns false when the name
+   * is already declared or belongs to an enclosing function, in which case
+   * a store to it is a plain assignment.
+   */
+  declare(name) {
+    if (this.declared.has(name)) return false;
+    for (let scope = this.parent; scope; scope = scope.parent) {
+      if (scope.owns(name)) return false;
+    }
+    this.declared.add(name);
+    return true;
+  }
+
+  /**
+   * Names owned by this scope that were used without being declared, e.g.
+   * a variable only ever assigned from nested functions
+   */
+  undeclaredNames() {
+    return [...this.names.values()].filter(name => !this.declared.has(name));
+  }
+}
@@ -0,0 +1,146 @@
+/**
+ * Output Repair
+ *
+ * Checks that a decompiled Program prints as JavaScript that parses again,
+ * and repairs it until it does. Every statement is tagged with the bytecode
+ * address it was lifted from (see StatementEmitter.locate), so the parse
+ * error leads back to the function and instruction that produced it:
+ *
+ * 1. That function is lifted again conservatively, as a state machine with
+ *    every intermediate value in a variable and no folded expressions
+ * 2. If it was already, the statement lifted from that address is replaced
+ *    by a comment (keeping the variables it declared)
+ *
+ * Each repair is recorded in the diagnostics.
+ */
+
+import _generate from '@babel/generator';
+import { parse } from '@babel/parser';
+import * as t from '@babel/types';
+
+const generate = typeof _generate === 'object' ? _generate.default : _generate;
+
+const MAX_REPAIRS = 50;
+
+/**
+ * Repair a decompiled program in place.
+ *
+ * @param {Object} program - Babel Program node
+ * @param {Map} generators - Function id -> CodeGenerator that lifted it
+ * @param {Array} diagnostics - Receives a { level, message } per repair
+ * @param {Object} options - inFunction: the statements end up in a
+ *   function body (--inplace), where a top-level return is valid
+ */
+export function repairProgram(program, generators, diagnostics, { inFunction = false } = {}) {
+  for (let repairs = 0; ; repairs++) {
+    const { code, rawMappings } = generate(program, {
+      comments: true,
+      jsescOption: { minimal: true },
+      sourceMaps: true,
+      sourceFileName: 'bytecode'
+    });
+
+    const error = findSyntaxError(code, inFunction);
+    if (!error) return;
+
+    const message = error.message.replace(/ \(\d+:\d+\)$/, '');
+    if (repairs === MAX_REPAIRS) {
+      program.body = [t.addComment(t.emptyStatement(), 'leading', ` Output could not be repaired: ${message} `)];
+      diagnostics.push({ level: 'error', message: `The output could not be repaired: ${message}` });
+      return;
+    }
+
+    const origin = findOrigin(rawMappings || [], error.loc);
+    const generator = origin && generators.get(origin.functionId);
+    if (!generator) {
+      program.body = [t.addComment(t.emptyStatement(), 'leading', ` Invalid output: ${message} `)];
+      diagnostics.push({ level: 'error', message: `The output is not valid JavaScript (${message}) and was dropped` });
+      return;
+    }
+
+    const where = generator.describe();
+    if (!generator.conservative) {
+      generator.reliftConservatively();
+      diagnostics.push({
+        level: 'warning',
+        message: `${where} printed as invalid JavaScript (${message}); lifted again as a state machine`
+      });
+      continue;
+    }
+
+    const comment = ` Invalid statement at address ${origin.addr}: ${message} `;
+    if (!replaceStatement(generator.body, origin, comment)) {
+      generator.body.splice(0, generator.body.length, t.addComment(t.emptyStatement(), 'leading', comment));
+    }
+    diagnostics.push({
+      level: 'error',
+      message: `${where} has an invalid statement at address ${origin.addr} (${message}); it was dropped`
+    });
+  }
+}
+
+/**
+ * The output is a script: a return at its top level is an error too,
+ * unless it goes in a function
+ */
+function findSyntaxError(code, inFunction) {
+  try {
+    parse(code, { sourceType: 'script', allowReturnOutsideFunction: inFunction });
+    return null;
+  } catch (e) {
+    if (!e.loc) throw e;
+    return e;
+  }
+}
+
+/**
+ * The function and address of the last mapping at or before a position in
+ * the printed code
+ */
+function findOrigin(rawMappings, loc) {
+  let origin = null;
+  for (const { generated, original } of rawMappings) {
+    const before = generated.line < loc.line ||
+      (generated.line === loc.line && generated.column <= loc.column);
+    if (before && original) {
+      origin = { functionId: original.line - 1, addr: original.column };
+    }
+  }
+  return origin;
+}
+
+/**
+ * Replace the last statement lifted from an address with a comment,
+ * looking through nested blocks and switch cases. Statements of nested
+ * functions carry their own function id and never match.
+ */
+function replaceStatement(body, origin, comment) {
+  const isOrigin = node => node.loc &&
+    node.loc.start.line === origin.functionId + 1 && node.loc.start.column === origin.addr;
+
+  let found = null;
+  const visit = list => list.forEach((node, index) => {
+    if (isOrigin(node)) found = { list, index };
+  });
+  visit(body);
+  body.forEach(statement => t.traverseFast(statement, node => {
+    if (t.isBlockStatement(node)) visit(node.body);
+    if (t.isSwitchCase(node)) visit(node.consequent);
+  }));
+  if (!found) return false;
+
+  found.list[found.index] = t.addComment(placeholder(found.list[found.index]), 'leading', comment);
+  return true;
+}
+
+/**
+ * What is left of a dropped statement: the variables it declared, so the
+ * later uses still refer to them
+ */
+function placeholder(statement) {
+  if (t.isVariableDeclaration(statement)) {
+    const declarators = statement.declarations.map(declarator => t.variableDeclarator(declarator.id));
+    return t.variableDeclaration(statement.kind, declarators);
+  }
+  return t.emptyStatement();
+}
@@ -8,8 +8,13 @@
  * Key concepts:
  * - Symbolic execution: Tracking symbolic values through stack operations
  * - Operand stack: The VM's evaluation stack that holds intermediate values
+ *
+ * Stack entries are @babel/types expression nodes, so operator precedence,
+ * quoting and member access syntax are left to @babel/generator.
  */
 
+import * as t from '@babel/types';
+
 export class StackMachine {
   constructor(strings, getVarNameFn) {
     this.strings = strings;
@@ -23,23 +28,53 @@ export class StackMachine {
     return stack.length > 0 ? stack[stack.length - 1] : undefined;
   }
 
+  /**
+   * Copy a stack for a divergent branch. Nodes are cloned so each branch
+   * can place its operands in the output tree without sharing objects.
+   */
   clone(stack) {
-    return [...stack];
+    return stack.map(node => t.cloneNode(node, true));
   }
 
   /**
-   * Operand Formatting - Converts raw values to JavaScript string representations
+   * Operand Formatting - Converts raw operands to literal nodes
    */
   formatString(instr) {
-    return JSON.stringify(instr.stringValue || this.strings[instr.args[0]?.value] || '');
+    return t.stringLiteral(instr.stringValue || this.strings[instr.args[0]?.value] || '');
   }
 
   formatNumber(instr) {
-    return String(instr.args[0]?.value ?? 0);
+    return t.valueToNode(instr.args[0]?.value ?? 0);
   }
 
   formatBoolean(instr) {
-    return instr.args[0]?.value ? 'true' : 'false';
+    return t.booleanLiteral(!!instr.args[0]?.value);
+  }
+
+  /**
+   * Build a member expression, using dot access when the key is a string
+   * literal that is a valid identifier name.
+   */
+  buildMember(obj, key) {
+    if (t.isStringLiteral(key) && t.isValidIdentifier(key.value, false)) {
+      return t.memberExpression(obj, t.identifier(key.value));
+    }
+    return t.memberExpression(obj, key, true);
+  }
+
+  /**
+   * Build an object literal key, preferring a bare identifier, then a
+   * string literal, and only falling back to a computed key.
+   */
+  buildObjectProperty(key, value) {
+    if (t.isStringLiteral(key)) {
+      const keyNode = t.isValidIdentifier(key.value, false) ? t.identifier(key.value) : key;
+      return t.objectProperty(keyNode, value);
+    }
+    if (t.isNumericLiteral(key)) {
+      return t.objectProperty(key, value);
+    }
+    return t.objectProperty(key, value, true);
   }
 
   /**
@@ -49,164 +84,117 @@ export class StackMachine {
    * Normal handlers do: push(pop() OP pop()) = first_pop OP second_pop
    * Swapped handlers do: n = pop(); push(pop() OP n) = second_pop OP first_pop
    *
-   * We pop in same order (first=top, second=next), but emit differently:
-   * - Normal: second OP first (because normal handler uses first_pop OP second_pop)
-   * - Swapped: first OP second (because swapped handler uses second_pop OP first_pop,
-   *   but we want the same semantic output as normal)
-   *
-   * Actually, the semantic meaning is preserved when we emit the same expression
-   * that matches what the handler computes. So:
+   * We emit the expression that matches what the handler computes:
    * - Normal: handler computes first_pop OP second_pop, emit (first OP second)
    * - Swapped: handler computes second_pop OP first_pop, emit (second OP first)
    */
-  buildBinaryExpression(stack, operator, swapped = false, leftDefault = '0', rightDefault = '0') {
+  buildBinaryExpression(stack, operator, swapped = false, leftDefault = t.numericLiteral(0), rightDefault = t.numericLiteral(0)) {
     const first = stack.pop() || leftDefault;   // first pop = top of stack
     const second = stack.pop() || rightDefault; // second pop = next on stack
 
     if (swapped) {
-      stack.push(`(${second} ${operator} ${first})`);
+      stack.push(t.binaryExpression(operator, second, first));
     } else {
-      stack.push(`(${first} ${operator} ${second})`);
+      stack.push(t.binaryExpression(operator, first, second));
     }
   }
 
-  buildUnaryExpression(stack, operator, defaultVal = '0') {
+  buildUnaryExpression(stack, operator, defaultVal = t.numericLiteral(0)) {
     const arg = stack.pop() || defaultVal;
-    stack.push(`(${operator}${arg})`);
+    stack.push(t.unaryExpression(operator, arg));
   }
 
   buildPropertyAccess(stack) {
-    const key = stack.pop() || 'prop';
-    const obj = stack.pop() || 'obj';
-
-    let propName = key;
-    if (key.startsWith('"') || key.startsWith("'")) {
-      propName = key.slice(1, -1);
-    }
-
-    if (/^[a-zA-Z_$][a-zA-Z0-9_$]*$/.test(propName) && key !== propName) {
-      stack.push(`${obj}.${propName}`);
-    } else {
-      stack.push(`${obj}[${key}]`);
-    }
+    const key = stack.pop() || t.stringLiteral('prop');
+    const obj = stack.pop() || t.identifier('obj');
+    stack.push(this.buildMember(obj, key));
   }
 
-  buildMethodCall(stack, argc) {
-    const key = stack.pop() || 'method';
-    const obj = stack.pop() || 'obj';
+  popArguments(stack, argc) {
     const args = [];
     for (let j = 0; j < argc; j++) {
-      args.push(stack.pop() || 'undefined');
-    }
-
-    let methodName = key;
-    if (key.startsWith('"') || key.startsWith("'")) {
-      methodName = key.slice(1, -1);
+      args.push(stack.pop() || t.identifier('undefined'));
     }
+    return args;
+  }
 
-    if (/^[a-zA-Z_$][a-zA-Z0-9_$]*$/.test(methodName)) {
-      stack.push(`${obj}.${methodName}(${args.join(', ')})`);
-    } else {
-      stack.push(`${obj}[${key}](${args.join(', ')})`);
-    }
+  buildMethodCall(stack, argc) {
+    const key = stack.pop() || t.stringLiteral('method');
+    const obj = stack.pop() || t.identifier('obj');
+    const args = this.popArguments(stack, argc);
+    stack.push(t.callExpression(this.buildMember(obj, key), args));
   }
 
   buildFunctionCall(stack, argc) {
-    const fn = stack.pop() || 'fn';
-    const args = [];
-    for (let j = 0; j < argc; j++) {
-      args.push(stack.pop() || 'undefined');
-    }
-    stack.push(`${fn}(${args.join(', ')})`);
+    const fn = stack.pop() || t.identifier('fn');
+    const args = this.popArguments(stack, argc);
+    stack.push(t.callExpression(fn, args));
   }
 
   buildConstruct(stack, argc) {
-    const cls = stack.pop() || 'Object';
-    const args = [];
-    for (let j = 0; j < argc; j++) {
-      args.push(stack.pop() || 'undefined');
-    }
-    stack.push(`new ${cls}(${args.join(', ')})`);
+    const cls = stack.pop() || t.identifier('Object');
+    const args = this.popArguments(stack, argc);
+    stack.push(t.newExpression(cls, args));
   }
 
   buildArray(stack, length) {
-    const elements = [];
-    for (let j = 0; j < length; j++) {
-      elements.push(stack.pop() || 'undefined');
-    }
-    stack.push(`[${elements.join(', ')}]`);
+    stack.push(t.arrayExpression(this.popArguments(stack, length)));
   }
 
   buildObject(stack, length) {
     const props = [];
     for (let j = 0; j < length; j++) {
-      const value = stack.pop() || 'undefined';
-      const key = stack.pop() || '"key"';
-
-      let keyStr = key;
-      if (key.startsWith('"') || key.startsWith("'")) {
-        keyStr = key.slice(1, -1);
-      }
-
-      if (/^[a-zA-Z_$][a-zA-Z0-9_$]*$/.test(keyStr)) {
-        props.push(`${keyStr}: ${value}`);
-      } else {
-        props.push(`[${key}]: ${value}`);
-      }
+      const value = stack.pop() || t.identifier('undefined');
+      const key = stack.pop() || t.stringLiteral('key');
+      props.push(this.buildObjectProperty(key, value));
     }
-    stack.push(`{ ${props.join(', ')} }`);
+    stack.push(t.objectExpression(props));
   }
 
   buildGlobalPropAccess(stack) {
-    const name = stack.pop() || 'undefined';
-    if (name.startsWith('"') || name.startsWith("'")) {
-      const propName = name.slice(1, -1);
-      if (/^[a-zA-Z_$][a-zA-Z0-9_$]*$/.test(propName)) {
-        stack.push(propName);
-      } else {
-        stack.push(`globalThis[${name}]`);
-      }
+    const name = stack.pop() || t.identifier('undefined');
+    if (t.isStringLiteral(name) && t.isValidIdentifier(name.value)) {
+      stack.push(t.identifier(name.value));
     } else {
-      stack.push(`globalThis[${name}]`);
+      stack.push(t.memberExpression(t.identifier('globalThis'), name, true));
     }
   }
 
   buildUpdateExpression(stack, instr, isPlus) {
-    const isPrefix = instr.args[0]?.value;
+    const isPrefix = !!instr.args[0]?.value;
     const scopeId = instr.args[1]?.value;
     const dest = instr.args[2]?.value;
     const varName = this.getVarName(scopeId, dest);
-    const op = isPlus ? '++' : '--';
-    stack.push(isPrefix ? `(${op}${varName})` : `(${varName}${op})`);
+    stack.push(t.updateExpression(isPlus ? '++' : '--', t.identifier(varName), isPrefix));
   }
 
   buildPropUpdateExpression(stack, instr, isPlus) {
-    const prop = stack.pop() || 'prop';
-    const isPrefix = instr.args[0]?.value;
+    const prop = stack.pop() || t.stringLiteral('prop');
+    const isPrefix = !!instr.args[0]?.value;
     const scopeId = instr.args[1]?.value;
     const dest = instr.args[2]?.value;
     const varName = this.getVarName(scopeId, dest);
-    const op = isPlus ? '++' : '--';
-    stack.push(isPrefix ? `(${op}${varName}[${prop}])` : `(${varName}[${prop}]${op})`);
+    const target = this.buildMember(t.identifier(varName), prop);
+    stack.push(t.updateExpression(isPlus ? '++' : '--', target, isPrefix));
   }
 
   buildComplexPropUpdateExpression(stack, instr, isPlus) {
-    const prop = stack.pop() || 'prop';
-    const obj = stack.pop() || 'obj';
-    const isPrefix = instr.args[0]?.value;
-    const op = isPlus ? '++' : '--';
-    stack.push(isPrefix ? `(${op}${obj}[${prop}])` : `(${obj}[${prop}]${op})`);
+    const prop = stack.pop() || t.stringLiteral('prop');
+    const obj = stack.pop() || t.identifier('obj');
+    const isPrefix = !!instr.args[0]?.value;
+    const target = this.buildMember(obj, prop);
+    stack.push(t.updateExpression(isPlus ? '++' : '--', target, isPrefix));
   }
 
   buildAssignmentExpression(stack, instr, getVarName) {
-    const value = stack.pop() || 'undefined';
+    const value = stack.pop() || t.identifier('undefined');
     const isOperation = instr.args[0]?.value;
     const scopeId = instr.args[1]?.value;
     const dest = instr.args[2]?.value;
     const varName = getVarName(scopeId, dest);
 
+    let op = '=';
     if (isOperation && instr.args[3]) {
-      const assignOp = instr.args[3].value;
       const opMap = {
         'ADD_ASSIGN_VARIABLE': '+=',
         'SUB_ASSIGN_VARIABLE': '-=',
@@ -220,11 +208,9 @@ export class StackMachine {
         'BIT_AND_ASSIGN_VARIABLE': '&=',
         'BIT_OR_ASSIGN_VARIABLE': '|=',
       };
-      const op = opMap[assignOp] || '=';
-      stack.push(`(${varName} ${op} ${value})`);
-    } else {
-      stack.push(`(${varName} = ${value})`);
+      op = opMap[instr.args[3].value] || '=';
     }
+    stack.push(t.assignmentExpression(op, t.identifier(varName), value));
   }
 
   /**
@@ -233,8 +219,17 @@ export class StackMachine {
    */
   isTrivialValue(expr) {
     if (!expr) return true;
-    if (['undefined', 'null', 'true', 'false'].includes(expr)) return true;
-    if (/^-?\d+(\.\d+)?$/.test(expr)) return true;
+    if (t.isIdentifier(expr, { name: 'undefined' })) return true;
+    if (t.isNullLiteral(expr) || t.isBooleanLiteral(expr) || t.isNumericLiteral(expr)) return true;
+    if (t.isUnaryExpression(expr, { operator: '-' }) && t.isNumericLiteral(expr.argument)) return true;
     return false;
   }
+
+  /**
+   * Check if an expression is any literal, including strings.
+   * Leftover literals on a branch stack carry no side effects.
+   */
+  isLiteralValue(expr) {
+    return this.isTrivialValue(expr) || t.isStringLiteral(expr);
+  }
 }
@@ -2,146 +2,337 @@
  * Statement Emitter
  *
  * Lifts stack-based IR back to high-level JavaScript statements.
- * This module generates JavaScript source code from symbolic execution results.
+ * This module builds @babel/types statement nodes from symbolic execution
+ * results and appends them to the block currently being filled.
  *
  * Key concepts:
  * - Lifting: Converting low-level IR (intermediate representation) to high-level code
  * - Statement emission: Producing syntactically correct JavaScript statements
+ * - Block stack: Compound statements (if, loops, switch cases, try) open a child block that
+ *   receives statements until the matching end call closes it
  */
 
+import * as t from '@babel/types';
 import { Disassembler } from '../lib/disassembler.js';
-import { NebulaVersion } from '../runtime/bytecodeReader.js';
+import { LexicalScope } from './lexicalScope.js';
 
 export class StatementEmitter {
   constructor(codeGenerator) {
     this.generator = codeGenerator;
+    this.pendingComments = [];
   }
 
   /**
-   * Emit a line of code with proper indentation
+   * The statement list currently receiving emitted statements
    */
-  emit(line) {
-    const indentStr = '  '.repeat(this.generator.indent);
-    this.generator.output.push(indentStr + line);
+  currentBlock() {
+    const openBlocks = this.generator.openBlocks;
+    const block = openBlocks[openBlocks.length - 1];
+    return block ? statementsOf(block) : this.generator.body;
   }
 
   /**
-   * Emit variable declaration - lifts STORE_VARIABLE to JavaScript var statement
+   * Append a statement node to the current block.
+   * Comments queued by emitComment are attached as leading comments.
+   */
+  emit(statement) {
+    this.locate(statement);
+    if (this.pendingComments.length > 0) {
+      statement.leadingComments = [...(statement.leadingComments || []), ...this.pendingComments];
+      this.pendingComments = [];
+    }
+    this.currentBlock().push(statement);
+    return statement;
+  }
+
+  /**
+   * Tag a node with the bytecode address of the instruction being lifted.
+   * The location is encoded as line = function id + 1, column = address so
+   * source map mappings lead back to the bytecode.
+   */
+  locate(node) {
+    if (!node.loc && this.generator.currentAddr != null) {
+      const pos = { line: this.generator.functionId + 1, column: this.generator.currentAddr };
+      node.loc = { start: pos, end: pos };
+    }
+    return node;
+  }
+
+  /**
+   * Queue a block comment for the next emitted statement
+   */
+  emitComment(text) {
+    this.pendingComments.push({ type: 'CommentBlock', value: ` ${text} ` });
+  }
+
+  /**
+   * Start filling the body of a compound statement
+   */
+  openBlock(block) {
+    this.generator.openBlocks.push(block);
+  }
+
+  /**
+   * Stop filling the innermost open block. Comments still pending are kept
+   * inside the block so they don't drift past the closing brace.
+   */
+  closeBlock() {
+    if (this.generator.openBlocks.length === 0) return;
+    const block = this.generator.openBlocks.pop();
+    this.flushComments(block);
+  }
+
+  /**
+   * Close every block still open (unbalanced try/if emission)
+   */
+  closeAllBlocks() {
+    while (this.generator.openBlocks.length > 0) {
+      this.closeBlock();
+    }
+  }
+
+  /**
+   * Attach queued comments to the end of a block
+   */
+  flushComments(block) {
+    if (this.pendingComments.length === 0) return;
+    const body = block ? statementsOf(block) : this.currentBlock();
+    const last = body[body.length - 1];
+    if (last) {
+      last.trailingComments = [...(last.trailingComments || []), ...this.pendingComments];
+    } else if (block) {
+      block.innerComments = [...(block.innerComments || []), ...this.pendingComments];
+    } else {
+      this.currentBlock().push(t.addComments(t.emptyStatement(), 'leading', this.pendingComments));
+    }
+    this.pendingComments = [];
+  }
+
+  /**
+   * Emit variable declaration - lifts STORE_VARIABLE to JavaScript var statement.
+   * A name already declared in this function, or one that belongs to an
+   * enclosing function, is assigned instead.
    */
   emitVariableDeclaration(varName, value) {
-    this.emit(`var ${varName} = ${value};`);
+    if (!this.generator.scope.declare(varName)) {
+      this.emitAssignment(t.identifier(varName), value);
+      return;
+    }
+    this.emit(t.variableDeclaration('var', [
+      t.variableDeclarator(t.identifier(varName), value)
+    ]));
+  }
+
+  /**
+   * Emit a hoisted function declaration for a function stored at the start
+   * of its scope
+   */
+  emitFunctionDeclaration(name, fn) {
+    this.generator.scope.declare(name);
+    this.emit(t.functionDeclaration(t.identifier(name), fn.params, fn.body));
   }
 
   /**
    * Emit assignment statement
    */
   emitAssignment(target, value) {
-    this.emit(`${target} = ${value};`);
+    this.emit(t.expressionStatement(t.assignmentExpression('=', target, value)));
   }
 
   /**
    * Emit property assignment - lifts SET_PROPERTY to JavaScript assignment
    */
   emitPropertyAssignment(obj, key, value) {
-    let propName = key;
-    if (key.startsWith('"') || key.startsWith("'")) {
-      propName = key.slice(1, -1);
-    }
-
-    if (/^[a-zA-Z_$][a-zA-Z0-9_$]*$/.test(propName) && key !== propName) {
-      this.emit(`${obj}.${propName} = ${value};`);
-    } else {
-      this.emit(`${obj}[${key}] = ${value};`);
-    }
+    this.emitAssignment(this.generator.stackMachine.buildMember(obj, key), value);
   }
 
   /**
-   * Emit expression statement - for function calls and side effects
+   * Emit expression statement - for function calls and side effects.
+   * Constants are dropped since they have no observable effect.
    */
   emitExpression(expr) {
-    this.emit(`${expr};`);
+    if (this.generator.stackMachine.isTrivialValue(expr)) return;
+    this.emit(t.expressionStatement(expr));
   }
 
   /**
    * Emit if statement start - part of control flow lifting
    */
   emitIfStart(condition) {
-    this.emit(`if (${condition}) {`);
-    this.generator.indent++;
+    const consequent = t.blockStatement([]);
+    this.emit(t.ifStatement(condition, consequent));
+    this.openBlock(consequent);
   }
 
   /**
    * Emit else clause
    */
   emitElse() {
-    this.generator.indent--;
-    this.emit('} else {');
-    this.generator.indent++;
+    const ifNode = this.findOpenStatement('IfStatement');
+    this.closeBlock();
+    if (!ifNode) return;
+    ifNode.alternate = t.blockStatement([]);
+    this.openBlock(ifNode.alternate);
   }
 
   /**
    * Emit if/else end
    */
   emitIfEnd() {
-    this.generator.indent--;
-    this.emit('}');
+    this.closeBlock();
   }
 
   /**
    * Emit while loop start - lifts detected loop patterns to while statements
    */
   emitWhileStart(condition) {
-    this.emit(`while (${condition}) {`);
-    this.generator.indent++;
+    const body = t.blockStatement([]);
+    const loop = this.emit(t.whileStatement(condition, body));
+    this.openBlock(body);
+    return loop;
   }
 
   /**
    * Emit while loop end
    */
   emitWhileEnd() {
-    this.generator.indent--;
-    this.emit('}');
+    this.closeBlock();
   }
 
   /**
-   * Emit return statement - lifts RETURN opcode to JavaScript return
+   * Emit do-while loop start. The test is only known after the body, so it
+   * is set by emitDoWhileEnd.
+   */
+  emitDoWhileStart() {
+    const body = t.blockStatement([]);
+    const loop = this.emit(t.doWhileStatement(t.booleanLiteral(true), body));
+    this.openBlock(body);
+    return loop;
+  }
+
+  /**
+   * Emit do-while loop end
+   */
+  emitDoWhileEnd(loop, test) {
+    loop.test = test;
+    this.closeBlock();
+  }
+
+  /**
+   * Emit switch statement start. Cases are added by emitSwitchCase.
+   */
+  emitSwitchStart(discriminant) {
+    return this.emit(t.switchStatement(discriminant, []));
+  }
+
+  /**
+   * Start a case of a switch (default when test is null) and fill its
+   * consequent until emitSwitchCaseEnd
+   */
+  emitSwitchCase(switchNode, test) {
+    const switchCase = t.switchCase(test, []);
+    switchNode.cases.push(switchCase);
+    this.openBlock(switchCase);
+  }
+
+  /**
+   * Emit switch case end
+   */
+  emitSwitchCaseEnd() {
+    this.closeBlock();
+  }
+
+  /**
+   * Build return statement - lifts RETURN opcode to JavaScript return
    */
   emitReturn(value, hasValue) {
-    if (hasValue) {
-      return `return ${value};`;
-    }
-    return 'return;';
+    return this.locate(t.returnStatement(hasValue ? value : null));
   }
 
   /**
    * Emit throw statement
    */
   emitThrow(err) {
-    this.emit(`throw ${err};`);
+    this.emit(t.throwStatement(err));
   }
 
   /**
    * Emit debugger statement
    */
   emitDebugger() {
-    this.emit('debugger;');
+    this.emit(t.debuggerStatement());
   }
 
   /**
    * Emit label for unstructured control flow
    */
   emitLabel(label) {
-    this.emit(`${label}:`);
+    this.emit(t.labeledStatement(t.identifier(label), t.emptyStatement()));
   }
 
   /**
    * Emit conditional jump (fallback for unstructured control flow)
    */
   emitConditionalJump(condition, label, isTrue) {
-    if (isTrue) {
-      this.emit(`if (${condition}) { /* goto ${label} */ }`);
+    this.emit(t.ifStatement(jumpTest(condition, isTrue), gotoBlock(label)));
+  }
+
+  /**
+   * Emit a jump of the state machine fallback: set the state variable to
+   * the target address and go around the dispatch loop, or leave with exit
+   * when addr is null (the end of the body). Conditional when condition is
+   * given.
+   */
+  emitStateJump(stateName, addr, condition = null, isTrue = true, exit = null) {
+    const statements = addr === null ? [exit || t.returnStatement()] : [
+      t.expressionStatement(t.assignmentExpression('=', t.identifier(stateName), t.numericLiteral(addr))),
+      t.continueStatement()
+    ];
+    if (condition) {
+      this.emit(t.ifStatement(jumpTest(condition, isTrue), t.blockStatement(statements)));
+    } else {
+      statements.forEach(statement => this.emit(statement));
+    }
+  }
+
+  /**
+   * Emit a loop break, conditional when condition is given
+   */
+  emitBreak(loopLabel = null, condition = null, isTrue = true) {
+    const statement = t.breakStatement(loopLabel && t.identifier(loopLabel));
+    this.emit(condition ? t.ifStatement(jumpTest(condition, isTrue), statement) : statement);
+  }
+
+  /**
+   * Emit a loop continue for a jump to addr, conditional when condition is
+   * given. Returns what revertContinue needs to lift it as a jump instead.
+   */
+  emitContinue(addr, condition = null, label = null, isTrue = true, loopLabel = null) {
+    const continueStatement = t.continueStatement(loopLabel && t.identifier(loopLabel));
+    const statement = condition
+      ? t.ifStatement(jumpTest(condition, isTrue), continueStatement)
+      : continueStatement;
+    this.emit(statement);
+    return { addr, statement, block: this.currentBlock(), label };
+  }
+
+  /**
+   * Replace a continue from emitContinue by the jump it was lifted from.
+   * With the statements the jump skips, `if (c) continue;` becomes
+   * `if (!c) { ...skipped }`; without them it becomes the goto form, and
+   * an unconditional continue is dropped.
+   */
+  revertContinue({ statement, block, label }, skipped = null) {
+    const idx = block.indexOf(statement);
+    if (idx === -1) return;
+    if (t.isIfStatement(statement) && skipped) {
+      const { test } = statement;
+      statement.test = t.isUnaryExpression(test, { operator: '!' }) ? test.argument : t.unaryExpression('!', test);
+      statement.consequent = t.blockStatement(skipped);
+    } else if (t.isIfStatement(statement)) {
+      statement.consequent = gotoBlock(label);
     } else {
-      this.emit(`if (!(${condition})) { /* goto ${label} */ }`);
+      block.splice(idx, 1);
     }
   }
 
@@ -149,88 +340,103 @@ export class StatementEmitter {
    * Emit comment for error or unknown opcode
    */
   emitError(message) {
-    this.emit(`/* ${message} */`);
+    this.emitComment(message);
   }
 
   /**
    * Build function body by recursively decompiling nested bytecode
-   * This handles the lifting of BUILD_FUNCTION opcodes
+   * This handles the lifting of BUILD_FUNCTION opcodes. Arguments copied
+   * into locals by the body's prologue become named formal parameters.
    */
-  buildFunctionBody(instr, strings, opcodeMap, currentIndent, varCounter) {
+  buildFunctionBody(instr, strings, opcodeMap, varCounter) {
     if (instr.fnBody) {
-      const parentVersion = instr.detectedVersion;
-
-      let subDisasm;
-      let subInstructions;
-
-      if (parentVersion === NebulaVersion.V2_CURRENT) {
-        // V2: Function bodies are raw bytecode, no compression flag
-        subDisasm = new Disassembler(
-          new Uint8Array(instr.fnBody),
-          strings,
-          opcodeMap,
-          null,
-          parentVersion
-        );
-        subDisasm.pointer = 0;
-        subInstructions = subDisasm.disassembleWithoutVersionDetect();
-      } else {
-        // V1: Function bodies need compression flag prepended (0 = uncompressed)
-        subDisasm = new Disassembler(
-          new Uint8Array([0, ...instr.fnBody]),
-          strings,
-          opcodeMap
-        );
-        subInstructions = subDisasm.disassemble();
-      }
+      const bodyInstructions = Disassembler.disassembleFunctionBody(instr, strings, opcodeMap);
+      const prologue = findParameterPrologue(bodyInstructions);
+      const subInstructions = prologue ? bodyInstructions.slice(prologue.length * 2) : bodyInstructions;
 
       const CodeGenerator = this.generator.constructor;
       const subGen = new CodeGenerator(subInstructions, strings, opcodeMap);
+      subGen.bodyInstructions = bodyInstructions;
       subGen.varCounter = varCounter;
-      subGen.indent = currentIndent + 1;
-      const fnBody = subGen.generate();
+      subGen.scope = new LexicalScope(this.generator.scope);
+      subGen.functions = this.generator.functions;
+      subGen.diagnostics = this.generator.diagnostics;
+      subGen.functionGenerators = this.generator.functionGenerators;
+      subGen.stackSnapshots = this.generator.stackSnapshots ? new Map() : null;
+      subGen.functionId = subGen.functions.length;
+      subGen.functions.push({ id: subGen.functionId, parentId: this.generator.functionId, addr: instr.addr });
+
+      // Named before the body so parameters keep the lowest numbers, and
+      // declared so stores to them in the body are plain assignments
+      const params = (prologue || []).map(({ scopeId, slot }) => {
+        const name = subGen.getVarName(scopeId, slot);
+        subGen.scope.declared.add(name);
+        return t.identifier(name);
+      });
+      const fnBody = subGen.generateStatements();
 
-      const fnLines = fnBody.split('\n').map(l => '  ' + l).join('\n');
       return {
-        code: `function() {\n${fnLines}\n${'  '.repeat(currentIndent)}}`,
+        node: t.functionExpression(null, params, t.blockStatement(fnBody)),
         newVarCounter: subGen.varCounter
       };
     }
-    return { code: 'function() {}', newVarCounter: varCounter };
+    return {
+      node: t.functionExpression(null, [], t.blockStatement([])),
+      newVarCounter: varCounter
+    };
   }
 
   /**
    * Emit try statement start
    */
   emitTryStart() {
-    this.emit('try {');
-    this.generator.indent++;
+    const block = t.blockStatement([]);
+    this.emit(t.tryStatement(block));
+    this.openBlock(block);
   }
 
   /**
    * Emit catch clause start
    */
   emitCatchStart(errVarName) {
-    this.generator.indent--;
-    this.emit(`} catch (${errVarName}) {`);
-    this.generator.indent++;
+    const tryNode = this.findOpenStatement('TryStatement');
+    if (!tryNode || tryNode.handler || tryNode.finalizer) return;
+    this.closeBlock();
+    const body = t.blockStatement([]);
+    tryNode.handler = t.catchClause(t.identifier(errVarName), body);
+    this.openBlock(body);
   }
 
   /**
    * Emit finally clause start
    */
   emitFinallyStart() {
-    this.generator.indent--;
-    this.emit('} finally {');
-    this.generator.indent++;
+    const tryNode = this.findOpenStatement('TryStatement');
+    if (!tryNode || tryNode.finalizer) return;
+    this.closeBlock();
+    tryNode.finalizer = t.blockStatement([]);
+    this.openBlock(tryNode.finalizer);
   }
 
   /**
    * Emit try block end (closing brace)
    */
   emitTryEnd() {
-    this.generator.indent--;
-    this.emit('}');
+    this.closeBlock();
+  }
+
+  /**
+   * Find the statement that owns the innermost open block, if it has the
+   * given type. Used to attach else/catch/finally clauses.
+   */
+  findOpenStatement(type) {
+    const openBlocks = this.generator.openBlocks;
+    if (openBlocks.length === 0) return null;
+
+    const parentBody = openBlocks.length > 1 ? openBlocks[openBlocks.length - 2].body : this.generator.body;
+    const owner = parentBody[parentBody.length - 1];
+    if (!owner || owner.type !== type) return null;
+    return owner;
   }
 
   /**
@@ -238,9 +444,7 @@ export class StatementEmitter {
    * Filters out trivial values that don't need explicit emission
    */
   shouldEmitCallResult(result) {
-    if (!result) return false;
-    if (result.match(/^(undefined|null|true|false|-?\d+(\.\d+)?)$/)) return false;
-    return true;
+    return !this.generator.stackMachine.isTrivialValue(result);
   }
 
   /**
@@ -266,3 +470,57 @@ export class StatementEmitter {
     return new Set(['CALL_FUNCTION', 'CALL_METHOD', 'CONSTRUCT']);
   }
 }
+
+/**
+ * Statement list of an open block: a block statement or a switch case
+ */
+function statementsOf(block) {
+  return t.isSwitchCase(block) ? block.consequent : block.body;
+}
+
+function jumpTest(condition, isTrue) {
+  return isTrue ? condition : t.unaryExpression('!', condition);
+}
+
+function gotoBlock(label) {
+  const body = t.blockStatement([]);
+  t.addComment(body, 'inner', ` goto ${label} `);
+  return body;
+}
+
+const ADDRESS_ARG_TYPES = new Set(['address', 'catch_addr', 'finally_addr']);
+
+/**
+ * Find the parameter prologue of a function body: leading
+ * `LOAD_ARGUMENT i; STORE_VARIABLE scope, slot` pairs for i = 0, 1, ...
+ *
+ * Returns the { scopeId, slot } of each parameter, or null when there is no
+ * prologue or the body still needs `arguments`: it reads `arguments` itself
+ * or another argument after the prologue (in sloppy mode a parameter and
+ * its arguments entry are aliased, so the copies must stay copies), or it
+ * jumps back into the prologue.
+ */
+function findParameterPrologue(instructions) {
+  const params = [];
+  while (params.length * 2 + 1 < instructions.length) {
+    const load = instructions[params.length * 2];
+    const store = instructions[params.length * 2 + 1];
+    if (load.opName !== 'LOAD_ARGUMENT' || store.opName !== 'STORE_VARIABLE') break;
+    if (load.args[0]?.value !== params.length) break;
+
+    const scopeId = store.args[0]?.value;
+    const slot = store.args[1]?.value;
+    if (params.length > 0 && scopeId !== params[0].scopeId) break;
+    if (params.some(param => param.slot === slot)) break;
+    params.push({ scopeId, slot });
+  }
+  if (params.length === 0) return null;
+
+  const prologueEnd = params.length * 2;
+  const prologueAddrs = new Set(instructions.slice(0, prologueEnd).map(instr => instr.addr));
+  for (const instr of instructions.slice(prologueEnd)) {
+    if (instr.opName === 'LOAD_ARGUMENT' || instr.opName === 'LOAD_ARGUMENTS') return null;
+    if (instr.args.some(arg => ADDRESS_ARG_TYPES.has(arg.type) && prologueAddrs.has(arg.value))) return null;
+  }
+  return params;
+}
@@ -0,0 +1,347 @@
+/**
+ * Variable Renamer
+ *
+ * Optional pass (--rename) over a decompiled Program that replaces the
+ * generated var_N and e_N names with names inferred from how each variable
+ * is used. Only generated names are touched, so it can also run on a
+ * program that was spliced into the original file.
+ *
+ * Hints, strongest first:
+ * - Known constructors and DOM lookups: `new XMLHttpRequest()` -> xhr,
+ *   `document.getElementById()` -> element, `new Date()` -> date,
+ *   `require('fs')` -> fs
+ * - Loop counters: updated inside a loop whose test compares them with a
+ *   number or a `.length` -> i (j, k, ... when nested)
+ * - Properties: read from `obj.name` or `obj.getName()`, or stored to
+ *   `obj.name` / `{ name: ... }` -> name
+ * - Labels: passed to console.log right after a string like "Length:" ->
+ *   length, or appended to one ("Total = " + x -> total); a label with no
+ *   words ("5 + 3 = ") -> result
+ * - Logged parameters: a parameter greeted in console.log ("Hello, " + x)
+ *   -> name, logged on its own -> message, logged in some other text ->
+ *   value
+ * - Literal kinds: arrays -> list, object literals -> obj, caught errors
+ *   -> error
+ *
+ * A name is only used when it shadows nothing, is not a global the program
+ * reads, and is not taken at any place the variable is referenced;
+ * otherwise a numbered variant (element2) or the next counter letter is
+ * tried.
+ */
+
+import _traverse from '@babel/traverse';
+import * as t from '@babel/types';
+
+const traverse = typeof _traverse === 'object' ? _traverse.default : _traverse;
+
+const GENERATED_NAME = /^(var_(unknown_)?|e_)\d+$/;
+
+const Strength = {
+  KIND: 0,
+  LABEL: 1,
+  PROPERTY: 2,
+  COUNTER: 3,
+  KNOWN: 4,
+};
+
+const ELEMENT_LOOKUPS = new Set(['getElementById', 'querySelector', 'createElement', 'closest']);
+const ELEMENTS_LOOKUPS = new Set([
+  'querySelectorAll', 'getElementsByClassName', 'getElementsByTagName', 'getElementsByName'
+]);
+const KNOWN_CONSTRUCTORS = {
+  XMLHttpRequest: 'xhr',
+  RegExp: 'regex',
+  Error: 'error',
+  TypeError: 'error',
+  WebSocket: 'socket',
+};
+const LOG_METHODS = new Set(['log', 'info', 'warn', 'error', 'debug']);
+const GREETING = /^\s*(hello|hi|hey|welcome|goodbye|bye)\b/i;
+const COUNTER_NAMES = ['i', 'j', 'k', 'l', 'm', 'n'];
+
+// Properties of the browser's global object: a top-level var would change
+// them, so these get a Value suffix there (lengthValue)
+const GLOBAL_OBJECT_PROPERTIES = new Set([
+  'name', 'status', 'length', 'top', 'parent', 'self', 'window', 'document',
+  'location', 'history', 'event', 'origin', 'closed', 'frames', 'opener'
+]);
+
+const MAX_NAME_WORDS = 3;
+
+/**
+ * Rename the generated variables of a decompiled program in place.
+ *
+ * @param {Object} program - Babel Program node
+ * @param {Set} reserved - Names not to use at the top level (and filled with
+ *   the top-level names chosen), so several programs printed one after the
+ *   other don't clash
+ */
+export function renameVariables(program, reserved = new Set()) {
+  const file = t.file(program);
+
+  const bindings = new Set();
+  traverse(file, {
+    Scopable(path) {
+      for (const binding of Object.values(path.scope.bindings)) {
+        if (GENERATED_NAME.test(binding.identifier.name)) bindings.add(binding);
+      }
+    },
+  });
+
+  let programScope = null;
+  traverse(file, {
+    Program(path) {
+      programScope = path.scope;
+      path.stop();
+    },
+  });
+
+  for (const binding of bindings) {
+    const hint = inferName(binding);
+    if (!hint) continue;
+
+    const isTopLevel = binding.scope === programScope;
+    const base = isTopLevel && GLOBAL_OBJECT_PROPERTIES.has(hint) ? `${hint}Value` : hint;
+    const name = candidateNames(base).find(candidate =>
+      isFree(binding, candidate, programScope) && !(isTopLevel && reserved.has(candidate))
+    );
+    if (!name) continue;
+
+    binding.scope.rename(binding.identifier.name, name);
+    if (isTopLevel) reserved.add(name);
+  }
+
+  // Paths are cached per node; the statements may be spliced into another
+  // tree and traversed again
+  traverse.cache.clear();
+}
+
+/**
+ * Pick the strongest name hint from the values assigned to a binding and
+ * the places it is used
+ */
+function inferName(binding) {
+  let best = null;
+  const offer = (name, strength) => {
+    if (name && (!best || strength > best.strength)) {
+      best = { name, strength };
+    }
+  };
+
+  if (binding.path.isCatchClause()) {
+    offer('error', Strength.KIND);
+  }
+
+  const values = [];
+  if (binding.path.isVariableDeclarator() && binding.path.node.init) {
+    values.push(binding.path.node.init);
+  }
+  for (const violation of binding.constantViolations) {
+    if (violation.isAssignmentExpression({ operator: '=' })) {
+      values.push(violation.node.right);
+    }
+  }
+  for (const value of values) {
+    const hint = hintFromValue(value);
+    if (hint) offer(hint.name, hint.strength);
+  }
+
+  if (isLoopCounter(binding)) {
+    offer('i', Strength.COUNTER);
+  }
+
+  for (const ref of binding.referencePaths) {
+    const hint = hintFromUse(ref);
+    if (hint) offer(hint.name, hint.strength);
+  }
+
+  return best && best.name;
+}
+
+function hintFromValue(node) {
+  if (t.isNewExpression(node) && t.isIdentifier(node.callee)) {
+    const constructorName = node.callee.name;
+    return {
+      name: KNOWN_CONSTRUCTORS[constructorName] || toIdentifier(constructorName),
+      strength: Strength.KNOWN
+    };
+  }
+
+  if (t.isCallExpression(node)) {
+    const { callee } = node;
+    if (t.isIdentifier(callee, { name: 'require' }) && t.isStringLiteral(node.arguments[0])) {
+      const moduleName = node.arguments[0].value.split('/').pop();
+      return { name: toIdentifier(moduleName), strength: Strength.KNOWN };
+    }
+
+    const method = propertyName(callee);
+    if (!method) return null;
+    if (ELEMENT_LOOKUPS.has(method)) return { name: 'element', strength: Strength.KNOWN };
+    if (ELEMENTS_LOOKUPS.has(method)) return { name: 'elements', strength: Strength.KNOWN };
+    if (method === 'parse' && t.isIdentifier(callee.object, { name: 'JSON' })) {
+      return { name: 'data', strength: Strength.KNOWN };
+    }
+    if (method === 'stringify' && t.isIdentifier(callee.object, { name: 'JSON' })) {
+      return { name: 'json', strength: Strength.KNOWN };
+    }
+
+    const getter = /^get([A-Z].*)$/.exec(method);
+    if (getter) return { name: toIdentifier(getter[1]), strength: Strength.PROPERTY };
+    return null;
+  }
+
+  if (t.isMemberExpression(node)) {
+    return { name: toIdentifier(propertyName(node)), strength: Strength.PROPERTY };
+  }
+
+  if (t.isArrayExpression(node)) return { name: 'list', strength: Strength.KIND };
+  if (t.isObjectExpression(node)) return { name: 'obj', strength: Strength.KIND };
+  return null;
+}
+
+function hintFromUse(ref) {
+  const { parent, parentPath } = ref;
+
+  // obj.name = x
+  if (t.isAssignmentExpression(parent) && parent.right === ref.node && t.isMemberExpression(parent.left)) {
+    return { name: toIdentifier(propertyName(parent.left)), strength: Strength.PROPERTY };
+  }
+
+  // { name: x }
+  if (t.isObjectProperty(parent) && parent.value === ref.node && !parent.computed) {
+    const key = t.isIdentifier(parent.key) ? parent.key.name : parent.key.value;
+    return { name: toIdentifier(String(key)), strength: Strength.PROPERTY };
+  }
+
+  const argument = loggedArgument(ref);
+  if (!argument) return null;
+
+  // console.log("Label:", x)
+  if (argument.node === ref.node) {
+    const args = argument.parent.arguments;
+    const label = labelName(args[args.indexOf(ref.node) - 1]);
+    if (label) return { name: label, strength: Strength.LABEL };
+  }
+
+  // console.log("Label: " + x)
+  const before = textBefore(ref);
+  const label = labelName(before);
+  if (label) return { name: label, strength: Strength.LABEL };
+
+  // function (x) { console.log("Hello, " + x); }
+  if (ref.scope.getBinding(ref.node.name)?.kind === 'param') {
+    if (argument.node === ref.node) return { name: 'message', strength: Strength.KIND };
+    const greeted = t.isStringLiteral(before) && GREETING.test(before.value);
+    return { name: greeted ? 'name' : 'value', strength: Strength.KIND };
+  }
+
+  return null;
+}
+
+/**
+ * The console.log argument a reference is, or is concatenated into
+ */
+function loggedArgument(ref) {
+  let path = ref;
+  while (path.parentPath.isBinaryExpression({ operator: '+' })) path = path.parentPath;
+  const call = path.parentPath;
+  if (!call.isCallExpression() || !call.node.arguments.includes(path.node) || !isConsoleLog(call.node.callee)) {
+    return null;
+  }
+  return path;
+}
+
+/**
+ * The string a reference is appended to: "a" + x, or "a" + y + "b" + x
+ */
+function textBefore(ref) {
+  const { parent } = ref;
+  if (!t.isBinaryExpression(parent, { operator: '+' }) || parent.right !== ref.node) return null;
+  const left = t.isBinaryExpression(parent.left, { operator: '+' }) ? parent.left.right : parent.left;
+  return t.isStringLiteral(left) ? left : null;
+}
+
+/**
+ * Name for what follows a label like "Length:" or "5 + 3 = ", or null when
+ * the node is no such label
+ */
+function labelName(node) {
+  if (!t.isStringLiteral(node) || !/[:=]\s*$/.test(node.value)) return null;
+  const name = toIdentifier(node.value);
+  if (name) return name;
+  return /=\s*$/.test(node.value) && !/[A-Za-z]/.test(node.value) ? 'result' : null;
+}
+
+/**
+ * A counter is updated (x++, x += n) inside a loop whose test compares it
+ * with a number or a `.length`
+ */
+function isLoopCounter(binding) {
+  const loops = new Set();
+  for (const ref of binding.referencePaths) {
+    const comparison = ref.parentPath;
+    if (!comparison.isBinaryExpression() || !['<', '<=', '>', '>=', '!=', '!=='].includes(comparison.node.operator)) {
+      continue;
+    }
+    const other = comparison.node.left === ref.node ? comparison.node.right : comparison.node.left;
+    if (!t.isNumericLiteral(other) && propertyName(other) !== 'length') continue;
+
+    const loop = comparison.parentPath;
+    if (loop.isLoop() && loop.node.test === comparison.node) loops.add(loop.node);
+  }
+  if (loops.size === 0) return false;
+
+  const updates = binding.constantViolations.filter(violation =>
+    violation.isUpdateExpression() ||
+    violation.isAssignmentExpression({ operator: '+=' }) ||
+    violation.isAssignmentExpression({ operator: '-=' })
+  );
+  return updates.some(update => update.findParent(parent => loops.has(parent.node)));
+}
+
+function isConsoleLog(callee) {
+  return t.isMemberExpression(callee) && t.isIdentifier(callee.object, { name: 'console' }) &&
+    LOG_METHODS.has(propertyName(callee));
+}
+
+function propertyName(node) {
+  if (!t.isMemberExpression(node)) return null;
+  if (!node.computed && t.isIdentifier(node.property)) return node.property.name;
+  if (t.isStringLiteral(node.property)) return node.property.value;
+  return null;
+}
+
+/**
+ * camelCase identifier from a short text ("Length:" -> length,
+ * "user name" -> userName), or null
+ */
+function toIdentifier(text) {
+  if (!text) return null;
+  const words = text.match(/[A-Za-z][A-Za-z0-9]*/g);
+  if (!words || words.length > MAX_NAME_WORDS) return null;
+
+  const name = words
+    .map((word, i) => i === 0
+      ? word[0].toLowerCase() + word.slice(1)
+      : word[0].toUpperCase() + word.slice(1))
+    .join('');
+  return t.isValidIdentifier(name) ? name : null;
+}
+
+function candidateNames(hint) {
+  if (hint === 'i') {
+    return [...COUNTER_NAMES, ...[2, 3, 4, 5].map(n => `i${n}`)];
+  }
+  return [hint, ...[2, 3, 4, 5, 6, 7, 8, 9].map(n => `${hint}${n}`)];
+}
+
+/**
+ * Check that renaming a binding to name changes no other reference: the
+ * name is not visible where the binding lives, not a global the program
+ * uses, and not bound in a nested scope at any reference
+ */
+function isFree(binding, name, programScope) {
+  if (binding.scope.hasBinding(name) || programScope.hasGlobal(name)) return false;
+  const sites = [...binding.referencePaths, ...binding.constantViolations];
+  return sites.every(site => !site.scope.hasBinding(name));
+}
@@ -45,11 +45,17 @@ import path from 'path';
 import { program } from 'commander';
 import chalk from 'chalk';
 import ora from 'ora';
-import { extractFromCode } from './lib/extractor.js';
+import { deobfuscate, extractInstances, OpcodeMapError, DisassemblyError } from './api.js';
 import { Disassembler } from './lib/disassembler.js';
-import { CodeGenerator } from './lib/codeGenerator.js';
+import { serializeOpcodeMaps } from './lib/opcodeMapFile.js';
+import { buildOpcodeReport } from './analysis/opcodeReport.js';
+import { buildDisassemblyTree } from './analysis/disassemblyTree.js';
+import { toDot, toMermaid, toJSONGraphs } from './analysis/cfgExport.js';
+import { verifyDeobfuscation, formatEvent, serializeValue } from './runtime/differential.js';
+import { Emulator, createEmulatorGlobal } from './runtime/emulator.js';
 
 const VERSION = '1.0.0';
+const CFG_FORMATS = ['dot', 'mermaid', 'json'];
 
 program
   .name('nebula-deob')
@@ -59,8 +65,19 @@ program
   .option('-o, --output <file>', 'Output file path (default: stdout)')
   .option('-v, --verbose', 'Enable verbose output with debug information')
   .option('--disasm', 'Output disassembled bytecode instead of JavaScript')
+  .option('--listing', 'Output each basic block with its stack and the JavaScript lifted from it')
+  .option('--cfg-format <format>', 'Output the control flow graph of every function as dot, mermaid or json')
   .option('--dump-strings', 'Dump extracted strings table')
   .option('--dump-opcodes', 'Dump extracted opcode mapping')
+  .option('--verify-handlers', 'Check opcode guesses by running the handlers (executes input code)')
+  .option('--json', 'Print --dump-opcodes or --disasm output as JSON')
+  .option('--opcode-map <file>', 'Merge a JSON opcode map (handler -> opcode) over the detected one')
+  .option('--emit-opcode-map <file>', 'Write the opcode map in use to a JSON file')
+  .option('--rename', 'Name variables after how they are used instead of var_N')
+  .option('--inplace', 'Replace each VM IIFE in the original file and output the whole file')
+  .option('--verify', 'Run input and output and compare their behavior (executes the input)')
+  .option('--trace', 'Emulate the bytecode and print each executed instruction with the stack')
+  .option('--source-map', 'Write a source map from the output back to the bytecode next to -o')
   .action(async (inputPath, options) => {
     try {
       if (!inputPath) {
@@ -77,13 +94,35 @@ program
         console.log('  nebula-deob obfuscated.js');
         console.log('  nebula-deob obfuscated.js -o clean.js');
         console.log('  nebula-deob obfuscated.js --verbose');
-        console.log('  nebula-deob obfuscated.js --disasm\n');
+        console.log('  nebula-deob obfuscated.js --disasm');
+        console.log('  nebula-deob obfuscated.js --disasm --json');
+        console.log('  nebula-deob obfuscated.js --listing');
+        console.log('  nebula-deob obfuscated.js --cfg-format dot -o cfg.dot');
+        console.log('  nebula-deob obfuscated.js --dump-opcodes --json');
+        console.log('  nebula-deob obfuscated.js --dump-opcodes --verify-handlers');
+        console.log('  nebula-deob obfuscated.js --opcode-map fixed.json');
+        console.log('  nebula-deob obfuscated.js --rename');
+        console.log('  nebula-deob bundle.js --inplace -o restored.js');
+        console.log('  nebula-deob obfuscated.js --verify');
+        console.log('  nebula-deob obfuscated.js --trace');
+        console.log('  nebula-deob obfuscated.js -o clean.js --source-map\n');
         console.log(chalk.yellow('Options:'));
         console.log('  -o, --output <file>  Output to file instead of stdout');
         console.log('  -v, --verbose        Show debug information');
         console.log('  --disasm             Output disassembled bytecode');
+        console.log('  --listing            Show basic blocks with stacks and lifted code');
+        console.log('  --cfg-format <format>  Control flow graphs as dot, mermaid or json');
         console.log('  --dump-strings       Show extracted strings');
-        console.log('  --dump-opcodes       Show opcode mapping');
+        console.log('  --dump-opcodes       Show opcode mapping, candidates and conflicts');
+        console.log('  --json               With --dump-opcodes or --disasm, print JSON');
+        console.log('  --verify-handlers    Run handlers to check opcode guesses (runs input code)');
+        console.log('  --opcode-map <file>  Correct the detected opcode map');
+        console.log('  --emit-opcode-map <file>  Save the opcode map for editing');
+        console.log('  --rename             Infer variable names from usage');
+        console.log('  --inplace            Keep the surrounding code, replace only the VM');
+        console.log('  --verify             Compare behavior of input and output (runs the input)');
+        console.log('  --trace              Emulate bytecode, print executed instructions');
+        console.log('  --source-map         With -o, also write <file>.map back to the bytecode');
         console.log('  -h, --help           Show this help\n');
         return;
       }
@@ -95,6 +134,21 @@ program
         process.exit(1);
       }
 
+      if (options.cfgFormat && !CFG_FORMATS.includes(options.cfgFormat)) {
+        console.error(chalk.red(`Error: --cfg-format must be one of ${CFG_FORMATS.join(', ')}`));
+        process.exit(1);
+      }
+
+      if (options.sourceMap && !options.output) {
+        console.error(chalk.red('Error: --source-map needs an output file (-o)'));
+        process.exit(1);
+      }
+
+      if (options.json && !options.dumpOpcodes && !options.disasm) {
+        console.error(chalk.red('Error: --json needs --dump-opcodes or --disasm'));
+        process.exit(1);
+      }
+
       const spinner = ora({
         text: 'Reading obfuscated file...',
         color: 'cyan'
@@ -106,112 +160,211 @@ program
         spinner.info(`Input file size: ${(code.length / 1024).toFixed(2)} KB`);
       }
 
+      let opcodeMap = null;
+      if (options.opcodeMap) {
+        const mapPath = path.resolve(options.opcodeMap);
+        try {
+          opcodeMap = JSON.parse(fs.readFileSync(mapPath, 'utf-8'));
+        } catch (e) {
+          spinner.fail(chalk.red('Failed to apply opcode map'));
+          console.error(chalk.red(`Error: ${e.message}`));
+          process.exit(1);
+        }
+      }
+
       spinner.text = 'Extracting bytecode and strings...';
 
-      let extracted;
+      let instances;
       try {
-        extracted = extractFromCode(code);
+        instances = extractInstances(code, { opcodeMap, verifyHandlers: options.verifyHandlers });
       } catch (e) {
-        spinner.fail(chalk.red('Failed to extract bytecode'));
+        spinner.fail(chalk.red(e instanceof OpcodeMapError ? 'Failed to apply opcode map' : 'Failed to extract bytecode'));
         console.error(chalk.red(`Error: ${e.message}`));
         process.exit(1);
       }
 
-      const { bytecode, strings, opcodeMap, swappedOpcodes, returnOpcode } = extracted;
+      if (options.emitOpcodeMap) {
+        const mapPath = path.resolve(options.emitOpcodeMap);
+        fs.writeFileSync(mapPath, JSON.stringify(serializeOpcodeMaps(instances), null, 2) + '\n', 'utf-8');
+        spinner.info(`Opcode map written to: ${mapPath}`);
+        spinner.start();
+      }
+
+      // Section headers only name the instance when there is more than one
+      const multiple = instances.length > 1;
+      const heading = (title, instance) =>
+        chalk.cyan(`\n=== ${title}${multiple ? ` (${instanceLabel(instance)})` : ''} ===\n`);
 
       if (options.verbose) {
-        spinner.info(`Bytecode size: ${bytecode.length} bytes`);
-        spinner.info(`Strings count: ${strings.length}`);
-        spinner.info(`Opcodes mapped: ${Object.keys(opcodeMap).length}`);
+        spinner.info(`VM instances found: ${instances.length}`);
+        for (const instance of instances) {
+          const prefix = multiple ? `[${instanceLabel(instance)}] ` : '';
+          spinner.info(`${prefix}Bytecode size: ${instance.bytecode.length} bytes`);
+          spinner.info(`${prefix}Strings count: ${instance.strings.length}`);
+          spinner.info(`${prefix}Opcodes mapped: ${Object.keys(instance.opcodeMap).length}`);
+        }
       }
 
       if (options.dumpStrings) {
         spinner.stop();
-        console.log(chalk.cyan('\n=== Extracted Strings ===\n'));
-        strings.forEach((str, i) => {
-          console.log(chalk.gray(`[${i}]`) + ' ' + chalk.green(JSON.stringify(str)));
-        });
+        for (const instance of instances) {
+          console.log(heading('Extracted Strings', instance));
+          instance.strings.forEach((str, i) => {
+            console.log(chalk.gray(`[${i}]`) + ' ' + chalk.green(JSON.stringify(str)));
+          });
+        }
         return;
       }
 
       if (options.dumpOpcodes) {
         spinner.stop();
-        console.log(chalk.cyan('\n=== Opcode Mapping ===\n'));
-        for (const [opcode, name] of Object.entries(opcodeMap)) {
-          console.log(chalk.gray(`${opcode}:`) + ' ' + chalk.yellow(name));
+
+        // Disassembly is only needed to find used opcodes missing from the
+        // map, so a failure here must not hide the rest of the report
+        const reports = instances.map(instance => {
+          let instructions = null;
+          try {
+            const { bytecode, strings, opcodeMap, returnOpcode } = instance;
+            instructions = new Disassembler(bytecode, strings, opcodeMap, returnOpcode).disassemble();
+          } catch {
+            // Reported as unknownUsed: null
+          }
+          return buildOpcodeReport(instance, instructions);
+        });
+
+        if (options.json) {
+          const json = instances.map((instance, i) => ({ loc: instance.loc, ...reports[i] }));
+          console.log(JSON.stringify(json, null, 2));
+          return;
         }
+
+        instances.forEach((instance, i) => {
+          console.log(heading('Opcode Mapping', instance));
+          printOpcodeReport(reports[i]);
+        });
+        return;
+      }
+
+      if (!options.disasm && !options.listing && !options.cfgFormat && !options.trace) {
+        deobfuscateFile(code, instances, resolvedPath, options, spinner);
         return;
       }
 
       spinner.text = 'Disassembling bytecode...';
 
-      const disassembler = new Disassembler(bytecode, strings, opcodeMap, returnOpcode);
-      let instructions;
+      for (const instance of instances) {
+        const { bytecode, strings, opcodeMap, returnOpcode } = instance;
+        const disassembler = new Disassembler(bytecode, strings, opcodeMap, returnOpcode);
+
+        try {
+          instance.instructions = disassembler.disassemble();
+          instance.version = disassembler.detectedVersion;
+        } catch (e) {
+          spinner.fail(chalk.red(`Failed to disassemble bytecode${multiple ? ` of ${instanceLabel(instance)}` : ''}`));
+          console.error(chalk.red(`Error: ${e.message}`));
+          process.exit(1);
+        }
 
-      try {
-        instructions = disassembler.disassemble();
-      } catch (e) {
-        spinner.fail(chalk.red('Failed to disassemble bytecode'));
-        console.error(chalk.red(`Error: ${e.message}`));
-        process.exit(1);
+        if (options.verbose) {
+          spinner.info(`Instructions decoded: ${instance.instructions.length}`);
+        }
       }
 
-      if (options.verbose) {
-        spinner.info(`Instructions decoded: ${instructions.length}`);
+      if (options.disasm && options.json) {
+        spinner.succeed(chalk.green('Disassembly complete'));
+        const json = instances.map(instance => ({
+          loc: instance.loc,
+          version: instance.version,
+          functions: buildDisassemblyTree(instance.instructions, instance.strings, instance.opcodeMap)
+        }));
+        console.log(JSON.stringify(json, null, 2));
+        return;
       }
 
       if (options.disasm) {
         spinner.succeed(chalk.green('Disassembly complete'));
-        console.log(chalk.cyan('\n=== Disassembled Bytecode ===\n'));
 
-        for (const instr of instructions) {
-          let line = chalk.gray(`${String(instr.addr).padStart(6, '0')}:`) + ' ';
-          line += chalk.yellow(instr.opName.padEnd(30));
+        for (const instance of instances) {
+          const { instructions, strings } = instance;
+          console.log(heading('Disassembled Bytecode', instance));
 
-          if (instr.args.length > 0) {
-            const argStr = instr.args.map(a => {
-              if (a.type === 'string_index') {
-                return chalk.green(`"${strings[a.value] || ''}"`.substring(0, 40));
-              }
-              return chalk.cyan(String(a.value));
-            }).join(', ');
-            line += argStr;
+          for (const instr of instructions) {
+            console.log(formatInstruction(instr, strings));
           }
+        }
+        return;
+      }
 
-          if (instr.error) {
-            line += chalk.red(` [ERROR: ${instr.error}]`);
-          }
+      if (options.listing) {
+        const result = runDeobfuscate(code, instances, options, spinner, { listing: true });
 
-          console.log(line);
+        spinner.succeed(chalk.green('Listing complete'));
+        for (const instance of result.instances) {
+          console.log(heading('Listing', instance));
+          printListing(instance.listing, instance.strings);
+          printDiagnostics(instance.diagnostics);
         }
         return;
       }
 
-      spinner.text = 'Generating JavaScript code...';
-
-      const generator = new CodeGenerator(instructions, strings, opcodeMap, returnOpcode, swappedOpcodes);
-      let output;
+      if (options.cfgFormat) {
+        const result = runDeobfuscate(code, instances, options, spinner, { graphs: true });
+        const graphs = result.instances.flatMap(instance => instance.graphs);
+
+        let text;
+        if (options.cfgFormat === 'dot') {
+          text = toDot(graphs);
+        } else if (options.cfgFormat === 'mermaid') {
+          text = toMermaid(graphs);
+        } else {
+          text = JSON.stringify(toJSONGraphs(graphs), null, 2) + '\n';
+        }
 
-      try {
-        output = generator.generate();
-      } catch (e) {
-        spinner.fail(chalk.red('Failed to generate JavaScript'));
-        console.error(chalk.red(`Error: ${e.message}`));
-        process.exit(1);
+        spinner.succeed(chalk.green('Control flow graphs complete'));
+        // Kept off stdout, which may carry the graphs
+        for (const instance of result.instances) {
+          printDiagnostics(instance.diagnostics, console.error);
+        }
+        if (options.output) {
+          const outputPath = path.resolve(options.output);
+          fs.writeFileSync(outputPath, text, 'utf-8');
+          console.log(chalk.green(`\n${graphs.length} graph${graphs.length === 1 ? '' : 's'} written to: ${outputPath}`));
+        } else {
+          process.stdout.write(text);
+        }
+        return;
       }
 
-      output = cleanupOutput(output);
+      if (options.trace) {
+        spinner.succeed(chalk.green('Disassembly complete'));
 
-      spinner.succeed(chalk.green('Deobfuscation complete'));
+        // Instances share one global, as they would in the original file
+        const { global, takeConsoleCalls } = createEmulatorGlobal();
 
-      if (options.output) {
-        const outputPath = path.resolve(options.output);
-        fs.writeFileSync(outputPath, output, 'utf-8');
-        console.log(chalk.green(`\nOutput written to: ${outputPath}`));
-        console.log(chalk.gray(`Output size: ${(output.length / 1024).toFixed(2)} KB`));
-      } else {
-        console.log(chalk.cyan('\n=== Deobfuscated JavaScript ===\n'));
-        console.log(output);
+        for (const instance of instances) {
+          const { instructions, strings, opcodeMap, swappedOpcodes } = instance;
+          console.log(heading('Execution Trace', instance));
+
+          const emulator = new Emulator(instructions, strings, opcodeMap, {
+            swappedOpcodes,
+            global,
+            onStep: (step) => {
+              console.log(formatTraceStep(step, strings));
+              for (const call of takeConsoleCalls()) {
+                console.log(formatConsoleCall(call, step.depth));
+              }
+            }
+          });
+
+          try {
+            const result = emulator.run();
+            console.log(chalk.green(`\nCompleted after ${emulator.steps} steps, result: ${serializeValue(result, 1)}`));
+          } catch (e) {
+            console.log(chalk.red(`\nStopped after ${emulator.steps} steps: ${e && e.message ? e.message : serializeValue(e, 1)}`));
+            process.exit(1);
+          }
+        }
+        return;
       }
 
     } catch (e) {
@@ -223,36 +376,322 @@ program
     }
   });
 
-function cleanupOutput(code) {
-  if (!code || typeof code !== 'string') {
-    return '// No code generated';
-  }
+/**
+ * Decompile the input with the library API and print or write the result.
+ * Instances come from extractInstances(), so --emit-opcode-map and
+ * --verbose have already seen them.
+ */
+function deobfuscateFile(code, instances, resolvedPath, options, spinner) {
+  const multiple = instances.length > 1;
 
-  let lines = code.split('\n');
+  let sourceName;
+  if (options.sourceMap && options.inplace) {
+    const outputDir = path.dirname(path.resolve(options.output));
+    sourceName = path.relative(outputDir, resolvedPath).split(path.sep).join('/');
+  }
 
-  lines = lines.filter(line => {
-    const trimmed = line.trim();
-    if (trimmed === 'undefined;' || trimmed === 'null;') return false;
-    if (trimmed.match(/^-?\d+(\.\d+)?;$/)) return false;
-    return true;
+  const result = runDeobfuscate(code, instances, options, spinner, {
+    inplace: options.inplace,
+    sourceMap: options.sourceMap,
+    sourceName,
+    sourceMapFile: options.sourceMap ? path.basename(options.output) : undefined
   });
 
-  const seen = new Set();
-  lines = lines.map(line => {
-    if (line.trim().startsWith('var ')) {
-      const match = line.match(/var\s+(\w+)\s*=/);
-      if (match) {
-        const varName = match[1];
-        if (seen.has(varName)) {
-          return line.replace(/^(\s*)var\s+/, '$1');
-        }
-        seen.add(varName);
+  if (options.verbose) {
+    for (const instance of result.instances) {
+      spinner.info(`Instructions decoded: ${instance.instructions.length}`);
+    }
+  }
+
+  const output = result.code || '// No code generated';
+  const sourceMap = result.map || null;
+
+  spinner.succeed(chalk.green('Deobfuscation complete'));
+  printDiagnostics(result.diagnostics.map(({ level, instance, message }) => ({
+    level,
+    message: multiple ? `${message} (${instanceLabel(instances[instance])})` : message
+  })));
+
+  if (options.verify) {
+    spinner.start('Running differential verification...');
+    // A rewritten file keeps its own top level, so it runs unwrapped
+    const verification = verifyDeobfuscation(code, output, result.lineAddresses, { wrap: !options.inplace });
+
+    if (options.output) {
+      writeOutput(path.resolve(options.output), output, sourceMap);
+    }
+
+    if (verification.match) {
+      spinner.succeed(chalk.green(`Behavior matches (${verification.expected.length} events compared)`));
+      return;
+    }
+
+    const { index, expected, actual, location } = verification.divergence;
+    spinner.fail(chalk.red(`Behavior diverges at event #${index}`));
+    console.log(chalk.gray('  obfuscated:   ') + formatEvent(expected));
+    console.log(chalk.gray('  deobfuscated: ') + formatEvent(actual));
+    if (location && location.addr != null) {
+      let where = `bytecode address ${location.addr} in function #${location.functionId}`;
+      if (multiple) {
+        where += ` of ${instanceLabel(instances[location.instance])}`;
+      }
+      const note = location.exact ? '' : ' (last matching event)';
+      console.log(chalk.gray('  source:       ') + chalk.yellow(`${where}, output line ${location.line}${note}`));
+    } else {
+      console.log(chalk.gray('  source:       ') + 'unknown');
+    }
+
+    if (options.verbose) {
+      console.log(chalk.cyan('\n=== Obfuscated trace ==='));
+      verification.expected.forEach((event, i) => console.log(chalk.gray(`[${i}] `) + formatEvent(event)));
+      console.log(chalk.cyan('\n=== Deobfuscated trace ==='));
+      verification.actual.forEach((event, i) => console.log(chalk.gray(`[${i}] `) + formatEvent(event)));
+    }
+    process.exit(1);
+  }
+
+  if (options.output) {
+    const outputPath = path.resolve(options.output);
+    writeOutput(outputPath, output, sourceMap);
+    console.log(chalk.green(`\nOutput written to: ${outputPath}`));
+    console.log(chalk.gray(`Output size: ${(output.length / 1024).toFixed(2)} KB`));
+    if (sourceMap) {
+      console.log(chalk.green(`Source map written to: ${outputPath}.map`));
+    }
+  } else {
+    console.log(chalk.cyan('\n=== Deobfuscated JavaScript ===\n'));
+    console.log(output);
+  }
+}
+
+/**
+ * Write the output file, and its source map next to it with a
+ * sourceMappingURL comment pointing there
+ */
+function writeOutput(outputPath, output, sourceMap) {
+  if (!sourceMap) {
+    fs.writeFileSync(outputPath, output, 'utf-8');
+    return;
+  }
+  const mapName = `${path.basename(outputPath)}.map`;
+  fs.writeFileSync(outputPath, `${output}\n//# sourceMappingURL=${mapName}\n`, 'utf-8');
+  fs.writeFileSync(`${outputPath}.map`, JSON.stringify(sourceMap) + '\n', 'utf-8');
+}
+
+/**
+ * Run deobfuscate() on the extracted instances with the --rename setting
+ * and apiOptions, exiting with the failure reported if it throws
+ */
+function runDeobfuscate(code, instances, options, spinner, apiOptions) {
+  spinner.text = 'Generating JavaScript code...';
+  const multiple = instances.length > 1;
+
+  try {
+    return deobfuscate(code, { instances, rename: options.rename, ...apiOptions });
+  } catch (e) {
+    const label = multiple && e.instance != null ? instanceLabel(instances[e.instance]) : null;
+    if (e instanceof DisassemblyError) {
+      spinner.fail(chalk.red(`Failed to disassemble bytecode${label ? ` of ${label}` : ''}`));
+    } else if (options.inplace && e.instance == null) {
+      spinner.fail(chalk.red('Failed to rewrite the input file'));
+    } else {
+      spinner.fail(chalk.red(`Failed to generate JavaScript${label ? ` for ${label}` : ''}`));
+    }
+    console.error(chalk.red(`Error: ${e.message}`));
+    process.exit(1);
+  }
+}
+
+/**
+ * Print diagnostics, errors in red, infos as notes and the rest as warnings
+ */
+function printDiagnostics(diagnostics, print = console.log) {
+  for (const { level, message } of diagnostics) {
+    if (level === 'error') {
+      print(chalk.red(`Error: ${message}`));
+    } else if (level === 'info') {
+      print(chalk.gray(`Note: ${message}`));
+    } else {
+      print(chalk.yellow(`Warning: ${message}`));
+    }
+  }
+}
+
+/**
+ * Format one disassembled instruction: address, opcode name and operands
+ */
+function formatInstruction(instr, strings) {
+  let line = chalk.gray(`${String(instr.addr).padStart(6, '0')}:`) + ' ';
+  line += chalk.yellow(instr.opName.padEnd(30));
+
+  if (instr.args.length > 0) {
+    const argStr = instr.args.map(a => {
+      if (a.type === 'string_index') {
+        return chalk.green(`"${strings[a.value] || ''}"`.substring(0, 40));
+      }
+      return chalk.cyan(String(a.value));
+    }).join(', ');
+    line += argStr;
+  }
+
+  if (instr.error) {
+    line += chalk.red(` [ERROR: ${instr.error}]`);
+  }
+  return line;
+}
+
+/**
+ * Print the blocks of every function with their edges, symbolic stacks,
+ * instructions and the statements lifted from them
+ */
+function printListing(functions, strings) {
+  const formatStack = stack => stack === null ? chalk.gray('(not lifted)') : chalk.cyan(`[${stack.join(', ')}]`);
+
+  functions.forEach((fn, index) => {
+    const title = fn.id === 0
+      ? 'Top level'
+      : `Function #${fn.id} (built at ${String(fn.addr).padStart(6, '0')} in #${fn.parentId})`;
+    console.log(chalk.bold(`${index > 0 ? '\n' : ''}${title}`));
+
+    for (const block of fn.blocks) {
+      const range = `${String(block.startAddr).padStart(6, '0')}-${String(block.endAddr).padStart(6, '0')}`;
+      const from = block.predecessors.length > 0 ? block.predecessors.join(', ') : '-';
+      const to = block.successors.length > 0
+        ? block.successors.map(({ id, kind }) => `${id} (${kind})`).join(', ')
+        : '-';
+      console.log(`\n  ${chalk.bold(`Block ${block.id}`)} ${chalk.gray(range)}  ${chalk.gray('from')} ${from}  ${chalk.gray('to')} ${to}`);
+
+      console.log(`    ${chalk.gray('stack in: ')} ${formatStack(block.stackBefore)}`);
+      for (const instr of block.instructions) {
+        console.log(`    ${formatInstruction(instr, strings)}`);
+      }
+      console.log(`    ${chalk.gray('stack out:')} ${formatStack(block.stackAfter)}`);
+
+      for (const statement of block.statements) {
+        const [first, ...rest] = statement.split('\n');
+        console.log(`    ${chalk.magenta('=>')} ${chalk.white(first)}`);
+        rest.forEach(line => console.log(`       ${chalk.white(line)}`));
       }
     }
-    return line;
   });
+}
 
-  return lines.join('\n');
+/**
+ * Describe where a VM instance sits in the input file
+ */
+function instanceLabel(instance) {
+  const { line, column } = instance.loc.start;
+  return `instance at line ${line}:${column}`;
+}
+
+/**
+ * Print the opcode mapping with each handler's score and runner-up
+ * candidates, followed by anything that needs a closer look
+ */
+function printOpcodeReport(report) {
+  for (const entry of report.mapping) {
+    let line = chalk.gray(`${entry.handler}:`) + ' ';
+    if (!entry.opcode) {
+      line += chalk.red(entry.error ? `(analysis failed: ${entry.error})` : '(unmapped)');
+    } else {
+      line += chalk.yellow(entry.opcode);
+      if (entry.score !== null) line += chalk.gray(` ${entry.score.toFixed(2)}`);
+      if (entry.opcode === 'RETURN' && entry.handler === report.returnOpcode) line += chalk.gray(' (return check)');
+      if (entry.swapped) line += chalk.gray(' swapped');
+      // The verification run checked the detected opcode, not the user's
+      line += entry.user ? chalk.cyan(' (opcode map)') : formatVerification(entry.verification);
+    }
+
+    const others = entry.candidates.filter(c => c.opcode !== entry.opcode);
+    if (others.length > 0) {
+      line += chalk.gray(`  also: ${others.map(c => `${c.opcode} ${c.score.toFixed(2)}`).join(', ')}`);
+    }
+    console.log(line);
+  }
+
+  if (report.duplicates.length > 0) {
+    console.log(chalk.yellow('\nDuplicates:'));
+    for (const { opcode, handlers } of report.duplicates) {
+      console.log(`  ${opcode} <- ${handlers.join(', ')}`);
+    }
+  }
+
+  if (report.unmapped.length > 0) {
+    console.log(chalk.yellow('\nUnmapped handlers: ') + report.unmapped.join(', '));
+  }
+
+  if (report.unknownUsed === null) {
+    console.log(chalk.yellow('\nUsed opcodes missing from the map: ') + 'unknown (disassembly failed)');
+  } else if (report.unknownUsed.length > 0) {
+    console.log(chalk.yellow('\nUsed opcodes missing from the map:'));
+    for (const { opcode, count, decodedAs } of report.unknownUsed) {
+      console.log(`  ${opcode} (${count}x, decoded as ${decodedAs})`);
+    }
+  }
+}
+
+/**
+ * Describe how a handler's verification run relates to its static guess
+ */
+function formatVerification(verification) {
+  if (!verification) return '';
+  switch (verification.status) {
+    case 'confirmed':
+      return chalk.green(' verified');
+    case 'overridden':
+      return chalk.red(` overridden (static: ${verification.staticOpcode})`);
+    case 'inferred':
+      return chalk.yellow(' inferred from behavior');
+    case 'inconclusive':
+      return chalk.yellow(' unverified (behavior matches no model)');
+    case 'error':
+      return chalk.yellow(` unverified (${verification.error})`);
+    default:
+      return '';
+  }
+}
+
+/**
+ * Format one emulator step: address, function, instruction and the stack
+ * after it ran (top of stack last)
+ */
+function formatTraceStep(step, strings) {
+  const { instr, stack } = step;
+  let line = '  '.repeat(step.depth);
+  line += chalk.gray(`${String(instr.addr).padStart(6, '0')} fn#${step.functionId}`) + ' ';
+  line += chalk.yellow(instr.opName.padEnd(28));
+
+  const argStr = instr.args.map(a => {
+    if (a.type === 'string_index') {
+      return JSON.stringify(strings[a.value] || '').substring(0, 40);
+    }
+    return String(a.value);
+  }).join(', ');
+  line += argStr.padEnd(16);
+
+  const shown = stack.slice(-8).map(v => {
+    const text = serializeValue(v, 0);
+    return text.length > 40 ? `${text.substring(0, 37)}...` : text;
+  });
+  line += chalk.cyan(` [${stack.length > 8 ? '..., ' : ''}${shown.join(', ')}]`);
+
+  if (step.underflow) {
+    line += chalk.red(' [stack underflow]');
+  }
+  if (step.hasThrown) {
+    const err = step.threw;
+    line += chalk.red(` [threw ${err && err.message ? `${err.name}: ${err.message}` : serializeValue(err, 1)}]`);
+  }
+  return line;
+}
+
+/**
+ * A console call made by the bytecode under --trace, below the step that
+ * made it
+ */
+function formatConsoleCall({ method, args }, depth) {
+  const text = args.map(arg => (typeof arg === 'string' ? arg : serializeValue(arg, 1))).join(' ');
+  return '  '.repeat(depth) + chalk.magenta(`console.${method}: ${text}`);
 }
 
 program.parse();
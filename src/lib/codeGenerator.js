@@ -7,111 +7,108 @@
  * The decompilation pipeline:
  * 1. Control flow reconstruction - Recovers high-level structures from bytecode
  * 2. Symbolic execution - Simulates the VM stack to track values
- * 3. Statement emission - Lifts IR to JavaScript source code
+ * 3. Statement emission - Lifts IR to a Babel AST
+ * 4. Printing - @babel/generator renders the Program to source code
  */
 
+import _generate from '@babel/generator';
+import * as t from '@babel/types';
 import { StackMachine } from '../emission/stackMachine.js';
 import { StatementEmitter } from '../emission/statementEmitter.js';
 import { ControlFlowReconstructor } from '../emission/controlFlowReconstructor.js';
+import { LexicalScope } from '../emission/lexicalScope.js';
+import { renameVariables } from '../emission/variableRenamer.js';
+import { repairProgram } from '../emission/outputRepair.js';
+
+const generate = typeof _generate === 'object' ? _generate.default : _generate;
+
+const JUMP_OPS = new Set(['JUMP', 'JUMP_IF_TRUE', 'JUMP_IF_FALSE']);
 
 export class CodeGenerator {
   constructor(instructions, strings, opcodeMap, returnOpcode = null, swappedOpcodes = new Set()) {
     this.instructions = instructions;
+    // The body as disassembled, before a parameter prologue is dropped
+    this.bodyInstructions = instructions;
     this.strings = strings;
     this.opcodeMap = opcodeMap;
     this.returnOpcode = returnOpcode;
     this.swappedOpcodes = swappedOpcodes;
     this.varCounter = 0;
-    this.output = [];
-    this.indent = 0;
+    this.body = [];
+    this.openBlocks = [];
+    this.scope = new LexicalScope();
+    this.hoistedFunctions = new Map();
+    this.renameVariables = false;
+    this.structures = null;
+    this.breakContexts = [];
+    this.activeLoops = new Set();
+    this.activeRegions = new Set();
+    this.reservedNames = new Set();
     this.addressToLabel = new Map();
     this.usedLabels = new Set();
     this.pendingReturn = null;
+    this.currentAddr = null;
+    this.functionId = 0;
+    this.functions = [{ id: 0, parentId: null, addr: null }];
+    this.diagnostics = [];
+    this.functionGenerators = new Map();
+    this.builtFunctions = new Map();
+    this.initialDeclared = new Set();
+    this.unstructured = false;
+    this.conservative = false;
+    this.stateMachine = false;
+    // tries_N array of handler states, in a state machine with try regions
+    this.tryStack = null;
+    // Label around the top level that a RETURN there breaks out of
+    this.exitLabel = null;
+    // Whether the top level ends up in a function body (--inplace), where
+    // a RETURN returns its value to the code that ran the VM
+    this.topLevelReturns = false;
+    // addr -> { before, after } printed stacks, when --listing asks for them
+    this.stackSnapshots = null;
 
     this.stackMachine = new StackMachine(strings, this.getVarName.bind(this));
     this.emitter = new StatementEmitter(this);
     this.cfReconstructor = new ControlFlowReconstructor(instructions);
-    this.tryRegions = this.analyzeTryRegions();
-  }
-
-  analyzeTryRegions() {
-    const regions = [];
-    const tryStack = [];
-
-    for (let i = 0; i < this.instructions.length; i++) {
-      const instr = this.instructions[i];
-      if (instr.opName === 'TRY_PUSH') {
-        const catchAddr = instr.args[0]?.value;
-        tryStack.push({
-          tryStartIdx: i,
-          catchAddr,
-          catchAddrIdx: null,
-          tryEndIdx: null,
-          catchEndIdx: null
-        });
-      } else if (instr.opName === 'TRY_POP' && tryStack.length > 0) {
-        const region = tryStack.pop(); // Pop the completed region
-        region.tryEndIdx = i;
-        // Find the JUMP that skips catch block (usually right after TRY_POP)
-        const nextInstr = this.instructions[i + 1];
-        if (nextInstr?.opName === 'JUMP') {
-          region.afterTryCatchAddr = nextInstr.args[0]?.value;
-        }
-        regions.push(region); // Move to completed regions immediately
-      }
-    }
-
-    // Find instruction indices for catch addresses
-    for (const region of regions) {
-      if (region.catchAddr != null) {
-        for (let i = 0; i < this.instructions.length; i++) {
-          if (this.instructions[i].addr === region.catchAddr) {
-            region.catchAddrIdx = i;
-            break;
-          }
-        }
-        // Find catch block end (JUMP to afterTryCatch)
-        if (region.catchAddrIdx != null && region.afterTryCatchAddr != null) {
-          for (let i = region.catchAddrIdx; i < this.instructions.length; i++) {
-            const instr = this.instructions[i];
-            if (instr.opName === 'JUMP' && instr.args[0]?.value === region.afterTryCatchAddr) {
-              region.catchEndIdx = i;
-              break;
-            }
-          }
-        }
-      }
-    }
-    return regions;
   }
 
+  /**
+   * Name of a VM variable. The scope id is the absolute depth of the owning
+   * function, so outer variables resolve to the enclosing function's names
+   * (see LexicalScope).
+   */
   getVarName(scopeId, varId) {
-    if (scopeId === undefined || scopeId === null || scopeId > 1000) {
-      scopeId = 0;
-    }
     if (varId === undefined || varId === null || varId > 10000) {
       return `var_unknown_${this.varCounter++}`;
     }
+    return this.scope.nameOf(scopeId, varId, () => `var_${this.varCounter++}`);
+  }
 
-    const key = `${scopeId}_${varId}`;
-    if (!this.scopeVarNames) {
-      this.scopeVarNames = new Map();
-    }
-
-    if (!this.scopeVarNames.has(key)) {
-      this.scopeVarNames.set(key, `var_${this.varCounter++}`);
+  /**
+   * Name the functions stored at the very start of this body. NebulaVM
+   * hoists function declarations there as BUILD_FUNCTION; STORE_VARIABLE
+   * pairs, which are printed back as declarations named fn_N. Maps each
+   * name to the address of its STORE_VARIABLE.
+   */
+  nameHoistedFunctions() {
+    const slots = new Set();
+    for (let i = 0; i + 1 < this.instructions.length; i += 2) {
+      const build = this.instructions[i];
+      const store = this.instructions[i + 1];
+      if (build.opName !== 'BUILD_FUNCTION' || store.opName !== 'STORE_VARIABLE') break;
+
+      const scopeId = store.args[0]?.value;
+      const slot = store.args[1]?.value;
+      if (scopeId !== this.scope.depth || slot == null || slots.has(slot)) break;
+      slots.add(slot);
+
+      const name = this.scope.nameOf(scopeId, slot, () => `fn_${this.varCounter++}`);
+      this.hoistedFunctions.set(name, store.addr);
     }
-    return this.scopeVarNames.get(key);
   }
 
   cleanStringValue(value) {
-    if (typeof value !== 'string') return '';
-    // Remove surrounding quotes if present
-    if ((value.startsWith('"') && value.endsWith('"')) ||
-        (value.startsWith("'") && value.endsWith("'"))) {
-      return value.slice(1, -1);
-    }
-    return value;
+    return t.isStringLiteral(value) ? value.value : '';
   }
 
   generateLabel(addr) {
@@ -121,314 +118,1072 @@ export class CodeGenerator {
     return this.addressToLabel.get(addr);
   }
 
-  addLine(line) {
-    this.emitter.emit(line);
+  /**
+   * Label for a jump lifted as a goto. Unless it only skips to the next
+   * instruction, the output no longer does what the bytecode does, so the
+   * body is lifted again as a state machine (see restructure).
+   */
+  gotoLabel(addr, jump) {
+    const idx = this.cfReconstructor.addrToIdx.get(jump.addr);
+    if (this.instructions[idx + 1]?.addr !== addr) {
+      this.unstructured = true;
+    }
+    return this.generateLabel(addr);
   }
 
   analyzeControlFlow() {
     return this.cfReconstructor.analyze();
   }
 
+  /**
+   * Decompile the instruction stream and print it as JavaScript source
+   */
   generate() {
+    return generate(this.generateProgram(), {
+      comments: true,
+      jsescOption: { minimal: true }
+    }).code;
+  }
+
+  /**
+   * Decompile and print, also returning which bytecode instruction each
+   * output line was lifted from. lineAddresses maps line number ->
+   * { functionId, addr } for the first lifted code on the line; mappings
+   * lists every printed position as { generated: { line, column },
+   * functionId, addr }. Prints program when given one from
+   * generateProgram().
+   */
+  generateWithAddresses(program = this.generateProgram()) {
+    const result = generate(program, {
+      comments: true,
+      jsescOption: { minimal: true },
+      sourceMaps: true,
+      sourceFileName: 'bytecode'
+    });
+
+    const lineAddresses = new Map();
+    const mappings = [];
+    for (const mapping of result.rawMappings || []) {
+      const address = {
+        functionId: mapping.original.line - 1,
+        addr: mapping.original.column
+      };
+      mappings.push({ generated: mapping.generated, ...address });
+      if (!lineAddresses.has(mapping.generated.line)) {
+        lineAddresses.set(mapping.generated.line, address);
+      }
+    }
+    return { code: result.code, lineAddresses, mappings };
+  }
+
+  /**
+   * Decompile the instruction stream into a Babel Program node
+   */
+  generateProgram() {
+    const program = t.program(this.generateStatements());
+    repairProgram(program, this.functionGenerators, this.diagnostics, { inFunction: this.topLevelReturns });
+    if (this.renameVariables) {
+      renameVariables(program, this.reservedNames);
+    }
+    return program;
+  }
+
+  /**
+   * Decompile the instruction stream into a list of statement nodes
+   */
+  generateStatements() {
+    this.nameHoistedFunctions();
     const { loops } = this.analyzeControlFlow();
 
     const cfg = this.cfReconstructor.buildCFGRegions();
-    const { loopsByInitJump, loopsByCondJump, loopsByCondStart } = this.cfReconstructor.buildLoopMaps(loops);
+    const { loopsByInitJump, loopsByCondJump, loopsByCondStart, loopsByBodyStart } = this.cfReconstructor.buildLoopMaps(loops);
     const regionsByCondIdx = this.cfReconstructor.buildRegionMap(cfg, loops);
     const ternaries = this.cfReconstructor.detectTernaryExpressions(regionsByCondIdx);
     const logicals = this.cfReconstructor.detectLogicalOperators();
+    const switches = this.cfReconstructor.detectSwitchStatements(cfg);
+    const tryRegions = this.cfReconstructor.detectTryRegions();
+
+    this.usedLabels = this.cfReconstructor.findUsedLabels(loops, regionsByCondIdx, logicals, switches, tryRegions);
+
+    this.structures = {
+      loopsByInitJump,
+      loopsByCondJump,
+      loopsByCondStart,
+      loopsByBodyStart,
+      regionsByCondIdx,
+      ternaries,
+      logicals,
+      switches,
+      tryRegions,
+      callOps: this.emitter.getCallOps(),
+      consumeOps: this.emitter.getConsumeOps()
+    };
+
+    // Restored when the body is lifted again
+    this.functionGenerators.set(this.functionId, this);
+    this.initialDeclared = new Set(this.scope.declared);
 
-    this.usedLabels = this.cfReconstructor.findUsedLabels(loops, regionsByCondIdx, logicals);
+    const stack = [];
+    this.emitRange(0, this.instructions.length, stack);
 
-    // Build maps for try-catch regions
-    const catchBlockStarts = new Map();
-    const catchBlockEnds = new Set();
-    const skipJumpsAfterTry = new Set();
-    for (const region of this.tryRegions) {
-      if (region.catchAddrIdx != null) {
-        catchBlockStarts.set(region.catchAddrIdx, region);
-      }
-      if (region.catchEndIdx != null) {
-        catchBlockEnds.add(region.catchEndIdx);
+    while (stack.length > 0) {
+      this.emitter.emitExpression(stack.pop());
+    }
+
+    this.emitter.closeAllBlocks();
+
+    if (this.pendingReturn !== null) {
+      this.emitter.emit(this.pendingReturn);
+    }
+
+    if (this.unstructured) {
+      this.restructure();
+    }
+
+    this.emitter.flushComments(null);
+    this.labelTopLevel();
+    this.declareUndeclared();
+
+    return this.body;
+  }
+
+  /**
+   * Statement that leaves the body. The top level is a script, where
+   * return is not allowed: it breaks out of a label around the program
+   * instead (see labelTopLevel), unless topLevelReturns is set.
+   */
+  exitStatement() {
+    if (this.functionId !== 0 || this.topLevelReturns) return t.returnStatement();
+    this.exitLabel = this.exitLabel || `program_${this.varCounter++}`;
+    return t.breakStatement(t.identifier(this.exitLabel));
+  }
+
+  /**
+   * Put the top level, after its function declarations, in the block its
+   * exits break out of
+   */
+  labelTopLevel() {
+    if (!this.exitLabel) return;
+    let start = 0;
+    while (start < this.body.length && t.isFunctionDeclaration(this.body[start])) start++;
+    const block = t.blockStatement(this.body.splice(start));
+    this.body.push(t.labeledStatement(t.identifier(this.exitLabel), block));
+  }
+
+  /**
+   * Declare the variables only assigned from nested functions, which still
+   * belong here, at the top of the body
+   */
+  declareUndeclared() {
+    const undeclared = this.scope.undeclaredNames();
+    if (undeclared.length > 0) {
+      undeclared.forEach(name => this.scope.declared.add(name));
+      this.body.unshift(t.variableDeclaration('var', undeclared.map(name => t.variableDeclarator(t.identifier(name)))));
+    }
+  }
+
+  /**
+   * Lift the instructions [startIdx, endIdx) into the current block. Loop
+   * bodies are lifted through here too, so loops and conditionals nest.
+   *
+   * Returns the address of the first instruction of each statement added
+   * to the block (starts), and of the value left on the stack, if any
+   * (resultStart).
+   *
+   * @param {Object} options
+   * @param {boolean} options.keepResult - Leave a call that ends the range
+   *   on the stack instead of emitting it (the test of a do-while)
+   */
+  emitRange(startIdx, endIdx, stack, { keepResult = false } = {}) {
+    const block = this.emitter.currentBlock();
+    const baseLength = block.length;
+    const baseDepth = stack.length;
+    const starts = [];
+    let pendingStart = null;
+
+    let i = startIdx;
+    while (i < endIdx) {
+      if (pendingStart === null && stack.length === baseDepth) {
+        pendingStart = this.instructions[i].addr;
       }
-      // The JUMP after TRY_POP should be skipped
-      if (region.tryEndIdx != null) {
-        const jumpIdx = region.tryEndIdx + 1;
-        if (this.instructions[jumpIdx]?.opName === 'JUMP') {
-          skipJumpsAfterTry.add(jumpIdx);
+
+      i = this.emitStep(i, endIdx, stack, keepResult);
+
+      if (starts.length < block.length - baseLength) {
+        while (starts.length < block.length - baseLength) {
+          starts.push(pendingStart);
         }
+        pendingStart = null;
+      } else if (stack.length === baseDepth) {
+        // Left nothing behind (a STACK_POP of a result already emitted)
+        pendingStart = null;
       }
     }
 
-    const stack = [];
-    let i = 0;
-
-    const callOps = this.emitter.getCallOps();
-    const consumeOps = this.emitter.getConsumeOps();
-
-    while (i < this.instructions.length) {
-      const instr = this.instructions[i];
-      const nextInstr = this.instructions[i + 1];
-
-      // Check if we're at catch block start
-      if (catchBlockStarts.has(i)) {
-        const region = catchBlockStarts.get(i);
-        // End the try block properly and start catch
-        this.indent--;
-        this.emitter.emit('} catch (err) {');
-        this.indent++;
-        // The first instruction of catch block is STORE_VARIABLE for the error
-        // Push 'err' onto the stack so STORE_VARIABLE uses it
-        stack.push('err');
-      }
-
-      // Check if we should skip this JUMP (it's the try-to-catch skip)
-      if (skipJumpsAfterTry.has(i)) {
-        i++;
-        continue;
-      }
-
-      // Check if we're at catch block end
-      if (catchBlockEnds.has(i)) {
-        // This is the final JUMP of catch block, emit closing brace
-        this.indent--;
-        this.emitter.emit('}');
-        i++;
-        continue;
-      }
-
-      if (loopsByInitJump.has(i)) {
-        const loop = loopsByInitJump.get(i);
-
-        const condStack = [];
-        for (let c = loop.condStartIdx; c <= loop.condEndIdx; c++) {
-          const condInstr = this.instructions[c];
-          if (condInstr.opName !== 'JUMP_IF_TRUE' && condInstr.opName !== 'JUMP_IF_FALSE') {
-            this.processInstruction(condInstr, condStack);
-          }
-        }
-        const condition = condStack.pop() || 'true';
+    return { starts, resultStart: pendingStart };
+  }
 
-        this.emitter.emitWhileStart(condition);
+  /**
+   * Lift the structure or the single instruction at index i. Returns the
+   * index to continue at.
+   */
+  emitStep(i, endIdx, stack, keepResult) {
+    const {
+      loopsByInitJump, loopsByCondJump, loopsByCondStart, loopsByBodyStart,
+      regionsByCondIdx, ternaries, logicals, switches, tryRegions,
+      callOps, consumeOps
+    } = this.structures;
+
+    const instr = this.instructions[i];
+    const nextInstr = this.instructions[i + 1];
+    this.currentAddr = instr.addr;
+
+    const tryRegion = tryRegions.get(i);
+    if (tryRegion && tryRegion.endIdx <= endIdx) {
+      this.emitTry(tryRegion, stack);
+      return tryRegion.endIdx;
+    }
 
-        const loopStack = this.stackMachine.clone(stack);
-        for (let b = loop.bodyStartIdx; b < loop.condStartIdx; b++) {
-          const bodyInstr = this.instructions[b];
-          const bodyNextInstr = this.instructions[b + 1];
+    if (switches.has(i)) {
+      const sw = switches.get(i);
+      this.emitSwitch(sw, stack);
+      // Past the STACK_POP of the discriminant
+      return sw.endIdx + 1;
+    }
 
-          try {
-            this.processInstruction(bodyInstr, loopStack);
-          } catch (e) {
-            this.emitter.emitError(`Error: ${e.message}`);
-          }
+    // Do-while loops start with their body, which may start another loop
+    const doWhile = (loopsByBodyStart.get(i) || []).find(loop => !this.activeLoops.has(loop));
+    if (doWhile) {
+      this.emitDoWhile(doWhile, stack);
+      return doWhile.exitIdx;
+    }
 
-          if (callOps.has(bodyInstr.opName) && loopStack.length > 0) {
-            if (!bodyNextInstr || !consumeOps.has(bodyNextInstr.opName) || b + 1 >= loop.condStartIdx) {
-              const callResult = loopStack.pop();
-              if (this.emitter.shouldEmitCallResult(callResult)) {
-                this.emitter.emitExpression(callResult);
-              }
-            }
-          }
-        }
+    if (loopsByInitJump.has(i)) {
+      const loop = loopsByInitJump.get(i);
 
-        for (let s = 0; s < loopStack.length; s++) {
-          const expr = loopStack[s];
-          if (expr && !this.stackMachine.isTrivialValue(expr)) {
-            this.emitter.emitExpression(expr);
-          }
+      const condStack = [];
+      for (let c = loop.condStartIdx; c <= loop.condEndIdx; c++) {
+        const condInstr = this.instructions[c];
+        if (condInstr.opName !== 'JUMP_IF_TRUE' && condInstr.opName !== 'JUMP_IF_FALSE') {
+          this.processInstruction(condInstr, condStack);
         }
+      }
+      const condition = condStack.pop() || t.booleanLiteral(true);
 
-        this.emitter.emitWhileEnd();
+      this.emitLoop(loop, condition, loop.bodyStartIdx, loop.condStartIdx, stack);
 
-        i = loop.condJumpIdx + 1;
-        continue;
+      return loop.condJumpIdx + 1;
+    }
+
+    if (loopsByCondJump.has(i)) {
+      return i + 1;
+    }
+
+    // Handle V2 pattern loops (condition-first)
+    if (loopsByCondStart.has(i)) {
+      const loop = loopsByCondStart.get(i);
+
+      // Evaluate condition
+      const condStack = [];
+      for (let c = loop.condStartIdx; c <= loop.condEndIdx; c++) {
+        const condInstr = this.instructions[c];
+        if (condInstr.opName !== 'JUMP_IF_TRUE' && condInstr.opName !== 'JUMP_IF_FALSE') {
+          this.processInstruction(condInstr, condStack);
+        }
+      }
+      let condition = condStack.pop() || t.booleanLiteral(true);
+      // V2 uses JUMP_IF_FALSE to exit, so we need to keep condition as-is (it's already correct)
+      if (!loop.isTrue) {
+        // JUMP_IF_FALSE: loop while condition is true (condition exits when false)
+        // condition is already correct
+      } else {
+        // JUMP_IF_TRUE: loop while condition is false (negate)
+        condition = t.unaryExpression('!', condition);
       }
 
-      if (loopsByCondJump.has(i)) {
-        i++;
-        continue;
+      this.emitLoop(loop, condition, loop.bodyStartIdx, loop.bodyEndIdx + 1, stack);
+
+      // Skip to exit point (after the loop)
+      return loop.exitIdx;
+    }
+
+    // Handle short-circuit logical operators (&&, ||)
+    if (logicals.has(i)) {
+      const logical = logicals.get(i);
+      // Stack has [left, left] due to DUPLICATE - pop one copy for the check
+      stack.pop();
+      const left = stack.pop() || t.booleanLiteral(true);
+
+      // Clone current stack for right operand evaluation (preserves any prior context)
+      const rightStack = this.stackMachine.clone(stack);
+      for (let j = logical.rightStartIdx; j <= logical.rightEndIdx; j++) {
+        this.processInstruction(this.instructions[j], rightStack, callOps, consumeOps, true);
       }
+      const right = rightStack.pop() || t.identifier('undefined');
 
-      // Handle V2 pattern loops (condition-first)
-      if (loopsByCondStart.has(i)) {
-        const loop = loopsByCondStart.get(i);
+      // Build logical expression
+      stack.push(t.logicalExpression(logical.operator, left, right));
 
-        // Evaluate condition
-        const condStack = [];
-        for (let c = loop.condStartIdx; c <= loop.condEndIdx; c++) {
-          const condInstr = this.instructions[c];
-          if (condInstr.opName !== 'JUMP_IF_TRUE' && condInstr.opName !== 'JUMP_IF_FALSE') {
-            this.processInstruction(condInstr, condStack);
-          }
-        }
-        let condition = condStack.pop() || 'true';
-        // V2 uses JUMP_IF_FALSE to exit, so we need to keep condition as-is (it's already correct)
-        if (!loop.isTrue) {
-          // JUMP_IF_FALSE: loop while condition is true (condition exits when false)
-          // condition is already correct
-        } else {
-          // JUMP_IF_TRUE: loop while condition is false (negate)
-          condition = `!(${condition})`;
-        }
+      // Skip to target instruction
+      return logical.targetIdx;
+    }
 
-        this.emitter.emitWhileStart(condition);
+    if (ternaries.has(i)) {
+      const ternary = ternaries.get(i);
+      const condition = stack.pop() || t.booleanLiteral(true);
 
-        const loopStack = this.stackMachine.clone(stack);
-        for (let b = loop.bodyStartIdx; b <= loop.bodyEndIdx; b++) {
-          const bodyInstr = this.instructions[b];
-          const bodyNextInstr = this.instructions[b + 1];
+      const trueStack = this.stackMachine.clone(stack);
+      this.processBlockSequence(ternary.trueBlocks, trueStack, callOps, consumeOps, true, regionsByCondIdx, ternaries, logicals);
+      const consequent = trueStack.pop() || t.identifier('undefined');
 
-          try {
-            this.processInstruction(bodyInstr, loopStack);
-          } catch (e) {
-            this.emitter.emitError(`Error: ${e.message}`);
-          }
+      const falseStack = this.stackMachine.clone(stack);
+      this.processBlockSequence(ternary.falseBlocks, falseStack, callOps, consumeOps, true, regionsByCondIdx, ternaries, logicals);
+      const alternate = falseStack.pop() || t.identifier('undefined');
 
-          if (callOps.has(bodyInstr.opName) && loopStack.length > 0) {
-            if (!bodyNextInstr || !consumeOps.has(bodyNextInstr.opName) || b + 1 > loop.bodyEndIdx) {
-              const callResult = loopStack.pop();
-              if (this.emitter.shouldEmitCallResult(callResult)) {
-                this.emitter.emitExpression(callResult);
-              }
-            }
-          }
+      stack.push(t.conditionalExpression(condition, consequent, alternate));
+
+      return ternary.mergeBlock ? ternary.mergeBlock.startIdx : ternary.endIdx;
+    }
+
+    const afterLoopJump = this.emitLoopJumpIf(i, endIdx, stack);
+    if (afterLoopJump !== null) {
+      return afterLoopJump;
+    }
+
+    if (regionsByCondIdx.has(i) && regionFits(regionsByCondIdx.get(i), endIdx)) {
+      const region = regionsByCondIdx.get(i);
+
+      const hasTrueBody = region.trueBlocks && region.trueBlocks.length > 0;
+      const hasFalseBody = region.falseBlocks && region.falseBlocks.length > 0;
+
+      if (hasTrueBody || hasFalseBody) {
+        const condition = stack.pop() || t.booleanLiteral(true);
+        this.emitter.emitIfStart(condition);
+        this.activeRegions.add(region);
+
+        if (hasTrueBody) {
+          const trueStack = this.stackMachine.clone(stack);
+          this.processBlockSequence(region.trueBlocks, trueStack, callOps, consumeOps, false, regionsByCondIdx, ternaries, logicals);
+          this.emitRemainingStack(trueStack, stack.length);
         }
 
-        for (let s = 0; s < loopStack.length; s++) {
-          const expr = loopStack[s];
-          if (expr && !this.stackMachine.isTrivialValue(expr)) {
-            this.emitter.emitExpression(expr);
-          }
+        if (hasFalseBody) {
+          this.emitter.emitElse();
+
+          const falseStack = this.stackMachine.clone(stack);
+          this.processBlockSequence(region.falseBlocks, falseStack, callOps, consumeOps, false, regionsByCondIdx, ternaries, logicals);
+          this.emitRemainingStack(falseStack, stack.length);
         }
 
-        this.emitter.emitWhileEnd();
+        this.activeRegions.delete(region);
+        this.emitter.emitIfEnd();
 
-        // Skip to exit point (after the loop)
-        i = loop.exitIdx;
-        continue;
+        return region.mergeBlock ? region.mergeBlock.startIdx : region.endIdx;
       }
+    }
 
-      // Handle short-circuit logical operators (&&, ||)
-      if (logicals.has(i)) {
-        const logical = logicals.get(i);
-        // Stack has [left, left] due to DUPLICATE - pop one copy for the check
-        stack.pop();
-        const left = stack.pop() || 'true';
+    if (this.usedLabels.has(instr.addr) && !this.isContinueCandidate(instr.addr)) {
+      this.emitter.emitLabel(this.generateLabel(instr.addr));
+    }
 
-        // Clone current stack for right operand evaluation (preserves any prior context)
-        const rightStack = this.stackMachine.clone(stack);
-        for (let j = logical.rightStartIdx; j <= logical.rightEndIdx; j++) {
-          this.processInstruction(this.instructions[j], rightStack, callOps, consumeOps, true);
+    try {
+      this.processInstruction(instr, stack);
+    } catch (e) {
+      this.emitter.emitError(`Error processing ${instr.opName}: ${e.message}`);
+    }
+
+    if (callOps.has(instr.opName) && stack.length > 0) {
+      // Emit call result if it won't be consumed by the next instruction
+      // consumeOps are operations that use values from the stack
+      const isLast = i + 1 >= endIdx;
+      if (isLast ? !keepResult : !nextInstr || !consumeOps.has(nextInstr.opName)) {
+        const callResult = stack.pop();
+        if (this.emitter.shouldEmitCallResult(callResult)) {
+          this.emitter.emitExpression(callResult);
         }
-        const right = rightStack.pop() || 'undefined';
+      }
+    }
 
-        // Build logical expression
-        stack.push(`(${left} ${logical.operator} ${right})`);
+    return i + 1;
+  }
 
-        // Skip to target instruction
-        i = logical.targetIdx;
-        continue;
-      }
+  /**
+   * Lift a while loop (either pattern) with its body instructions
+   * [bodyStartIdx, bodyEndIdx)
+   */
+  emitLoop(loop, condition, bodyStartIdx, bodyEndIdx, stack) {
+    const loopNode = this.emitter.emitWhileStart(condition);
+    const context = this.enterLoop(loop, bodyStartIdx, bodyEndIdx);
+    context.continueAddr = this.instructions[loop.condStartIdx].addr;
+
+    const loopStack = this.stackMachine.clone(stack);
+    const { starts } = this.emitRange(bodyStartIdx, bodyEndIdx, loopStack);
+
+    for (let s = 0; s < loopStack.length; s++) {
+      const expr = loopStack[s];
+      this.emitter.emitExpression(expr);
+    }
 
-      if (ternaries.has(i)) {
-        const ternary = ternaries.get(i);
-        const condition = stack.pop() || 'true';
+    this.emitter.emitWhileEnd();
+    this.breakContexts.pop();
 
-        const trueStack = this.stackMachine.clone(stack);
-        this.processBlockSequence(ternary.trueBlocks, trueStack, callOps, consumeOps, true, regionsByCondIdx, ternaries, logicals);
-        const consequent = trueStack.pop() || 'undefined';
+    const node = this.reconstructForLoop(loopNode, starts, context.continues);
+    this.labelStatement(node, context);
+  }
 
-        const falseStack = this.stackMachine.clone(stack);
-        this.processBlockSequence(ternary.falseBlocks, falseStack, callOps, consumeOps, true, regionsByCondIdx, ternaries, logicals);
-        const alternate = falseStack.pop() || 'undefined';
+  /**
+   * Lift a do-while loop. The body and the test are lifted together; the
+   * test is the value left on the stack before the backward jump.
+   */
+  emitDoWhile(loop, stack) {
+    this.activeLoops.add(loop);
+    const loopNode = this.emitter.emitDoWhileStart();
+    const context = this.enterLoop(loop, loop.bodyStartIdx, loop.condJumpIdx);
+
+    const loopStack = this.stackMachine.clone(stack);
+    const { starts, resultStart } = this.emitRange(loop.bodyStartIdx, loop.condJumpIdx, loopStack, { keepResult: true });
+    const test = loopStack.length > stack.length ? loopStack.pop() : t.booleanLiteral(true);
+    this.emitRemainingStack(loopStack, stack.length);
+
+    this.emitter.emitDoWhileEnd(loopNode, loop.isTrue ? test : t.unaryExpression('!', test));
+    this.breakContexts.pop();
+    this.activeLoops.delete(loop);
+
+    // A continue jumps to the start of the test
+    if (!context.continues.every(({ addr }) => addr === resultStart)) {
+      this.revertContinues(loopNode.body.body, starts, context.continues);
+    }
+    this.labelStatement(loopNode, context);
+  }
 
-        stack.push(`(${condition} ? ${consequent} : ${alternate})`);
+  /**
+   * Lift a switch (see detectSwitchStatements) whose discriminant is on the
+   * stack. Each case body is lifted up to the next one, so fallthrough
+   * needs nothing special, and jumps to the end become break.
+   */
+  emitSwitch(sw, stack) {
+    const discriminant = stack.pop() || t.identifier('undefined');
+    const switchNode = this.emitter.emitSwitchStart(discriminant);
+    const context = {
+      kind: 'switch',
+      addr: this.instructions[sw.dupIdx].addr,
+      breakAddr: this.instructions[sw.endIdx].addr,
+      continueAddr: null,
+      candidateAddr: null,
+      continues: [],
+      label: null
+    };
+    this.breakContexts.push(context);
+
+    const tests = new Map();
+    for (const { testStartIdx, testEndIdx, targetIdx } of sw.cases) {
+      const testStack = [];
+      for (let c = testStartIdx; c <= testEndIdx; c++) {
+        this.processInstruction(this.instructions[c], testStack);
+      }
+      if (!tests.has(targetIdx)) tests.set(targetIdx, []);
+      tests.get(targetIdx).push(testStack.pop() || t.identifier('undefined'));
+    }
+    if (sw.defaultIdx !== null) {
+      if (!tests.has(sw.defaultIdx)) tests.set(sw.defaultIdx, []);
+      tests.get(sw.defaultIdx).push(null);
+    }
 
-        if (ternary.mergeBlock) {
-          i = ternary.mergeBlock.startIdx;
-        } else {
-          i = ternary.endIdx;
-        }
-        continue;
+    const bodyStarts = [...tests.keys()].sort((a, b) => a - b);
+    bodyStarts.forEach((startIdx, k) => {
+      const endIdx = k + 1 < bodyStarts.length ? bodyStarts[k + 1] : sw.endIdx;
+      const caseTests = tests.get(startIdx);
+      // Cases sharing a body get empty ones before it
+      for (const test of caseTests.slice(0, -1)) {
+        this.emitter.emitSwitchCase(switchNode, test);
+        this.emitter.emitSwitchCaseEnd();
       }
+      this.emitter.emitSwitchCase(switchNode, caseTests[caseTests.length - 1]);
+      const caseStack = this.stackMachine.clone(stack);
+      this.emitRange(startIdx, endIdx, caseStack);
+      this.emitRemainingStack(caseStack, stack.length);
+      this.emitter.emitSwitchCaseEnd();
+    });
+
+    this.breakContexts.pop();
+    this.labelStatement(switchNode, context);
+  }
 
-      if (regionsByCondIdx.has(i)) {
-        const region = regionsByCondIdx.get(i);
-        const condition = stack.pop() || 'true';
+  /**
+   * Lift a try statement (see detectTryRegions). Each block is lifted
+   * through emitRange, so try statements nest; the copy of the finally
+   * block on the normal path and the jumps past the handler are dropped.
+   */
+  emitTry(region, stack) {
+    this.emitter.emitTryStart();
+    const tryStack = this.stackMachine.clone(stack);
+    this.emitRange(region.tryStartIdx + 1, region.tryEndIdx, tryStack);
+    this.emitRemainingStack(tryStack, stack.length);
+
+    if (region.catchIdx !== null) {
+      const { scopeId, slot } = region.catchVar || {};
+      const name = this.catchVarName(scopeId, slot);
+      this.emitter.emitCatchStart(name);
+      // The VM pushes the error; without a variable the block uses it there
+      const catchStack = this.stackMachine.clone(stack);
+      if (!region.catchVar) catchStack.push(t.identifier(name));
+      this.emitRange(region.catchStartIdx, region.catchEndIdx, catchStack);
+      this.emitRemainingStack(catchStack, stack.length);
+    }
 
-        const hasTrueBody = region.trueBlocks && region.trueBlocks.length > 0;
-        const hasFalseBody = region.falseBlocks && region.falseBlocks.length > 0;
+    if (region.finallyIdx !== null) {
+      this.emitter.emitFinallyStart();
+      const finallyStack = this.stackMachine.clone(stack);
+      this.emitRange(region.finallyStartIdx, region.endIdx, finallyStack);
+      this.emitRemainingStack(finallyStack, stack.length);
+    }
 
-        if (hasTrueBody || hasFalseBody) {
-          this.emitter.emitIfStart(condition);
+    this.emitter.emitTryEnd();
+  }
 
-          if (hasTrueBody) {
-            const trueStack = this.stackMachine.clone(stack);
-            this.processBlockSequence(region.trueBlocks, trueStack, callOps, consumeOps, false, regionsByCondIdx, ternaries, logicals);
-            this.emitRemainingStack(trueStack, stack.length);
-          }
+  /**
+   * Lift the body again as a state machine after the structured lifting
+   * left gotos behind, and report it
+   */
+  restructure() {
+    this.resetLifting();
+    this.emitStateMachine();
+    this.diagnostics.push({
+      level: 'warning',
+      message: `${this.describe()} has unstructured control flow; lifted as a state machine`
+    });
+  }
 
-          this.indent--;
+  /**
+   * Lift the body again as a state machine without short-circuit
+   * expressions, in place: the statement list stays the one the printed
+   * function holds. Nested functions are not lifted again.
+   */
+  reliftConservatively() {
+    const body = this.body;
+    this.resetLifting();
+    this.conservative = true;
+    this.emitStateMachine();
+    this.emitter.closeAllBlocks();
+    this.emitter.flushComments(null);
+    this.labelTopLevel();
+    this.declareUndeclared();
+    body.splice(0, body.length, ...this.body);
+    this.body = body;
+  }
 
-          if (hasFalseBody) {
-            this.emitter.emit('} else {');
-            this.indent++;
+  /**
+   * Drop what was lifted so far, to lift the body again
+   */
+  resetLifting() {
+    this.body = [];
+    this.openBlocks = [];
+    this.breakContexts = [];
+    this.activeLoops.clear();
+    this.activeRegions.clear();
+    this.addressToLabel.clear();
+    this.usedLabels = new Set();
+    this.pendingReturn = null;
+    this.stateMachine = false;
+    this.tryStack = null;
+    this.exitLabel = null;
+    this.emitter.pendingComments = [];
+    this.scope.declared = new Set(this.initialDeclared);
+    if (this.stackSnapshots) this.stackSnapshots.clear();
+  }
 
-            const falseStack = this.stackMachine.clone(stack);
-            this.processBlockSequence(region.falseBlocks, falseStack, callOps, consumeOps, false, regionsByCondIdx, ternaries, logicals);
-            this.emitRemainingStack(falseStack, stack.length);
+  hasExceptionRegions() {
+    return this.instructions.some(instr => instr.opName.startsWith('TRY_'));
+  }
 
-            this.indent--;
-          }
+  /**
+   * Name of this body in diagnostics
+   */
+  describe() {
+    return this.functionId === 0 ? 'The top level' : `Function #${this.functionId}`;
+  }
 
-          this.emitter.emit('}');
+  /**
+   * Lift the body as `while (true) switch (state) { ... }` with one case
+   * per basic block, keyed by its address. Any control flow graph can be
+   * written this way. A jump sets the state and continues the loop, unless
+   * it falls through to the next case; values left on the stack at the end
+   * of a block are passed on in stack_N variables. Short-circuit
+   * expressions no jump lands in stay whole, and the hoisted functions
+   * stay in front.
+   *
+   * Exception regions work like in the VM: TRY_PUSH ends its block and
+   * pushes the handler's state on a tries_N array, TRY_POP pops it, and a
+   * try/catch around the dispatch switch sends an error to the innermost
+   * handler with the stack cut back to where TRY_PUSH left it and the
+   * error on top.
+   */
+  emitStateMachine() {
+    this.stateMachine = true;
+    const { addrToIdx } = this.cfReconstructor;
+    const length = this.instructions.length;
+    const targetOf = (instr) => addrToIdx.get(instr.args[0]?.value);
+
+    const jumps = [];
+    for (let i = 0; i < length; i++) {
+      if (JUMP_OPS.has(this.instructions[i].opName)) jumps.push(i);
+    }
+    const logicals = new Map(this.conservative ? [] : this.structures.logicals);
+    for (const i of jumps) {
+      const target = targetOf(this.instructions[i]);
+      for (const [idx, logical] of logicals) {
+        if (idx !== i && target > idx && target < logical.targetIdx) logicals.delete(idx);
+      }
+    }
+    const flat = new Map();
+    this.structures = {
+      ...this.structures,
+      loopsByInitJump: flat,
+      loopsByCondJump: flat,
+      loopsByCondStart: flat,
+      loopsByBodyStart: flat,
+      regionsByCondIdx: flat,
+      ternaries: flat,
+      logicals,
+      switches: flat,
+      tryRegions: flat
+    };
+
+    let entryIdx = this.hoistedFunctions.size * 2;
+    if (jumps.some(i => targetOf(this.instructions[i]) < entryIdx)) entryIdx = 0;
+    this.emitRange(0, entryIdx, []);
+    if (entryIdx >= length) return;
+
+    // Basic blocks; a jump to an unknown address ends the body like the VM
+    const isBranch = (i) => JUMP_OPS.has(this.instructions[i].opName) && !logicals.has(i);
+    const leaders = new Set([entryIdx]);
+    for (let i = entryIdx; i < length; i++) {
+      const { opName } = this.instructions[i];
+      if (isBranch(i) || opName === 'TRY_PUSH') {
+        const target = targetOf(this.instructions[i]);
+        if (target >= entryIdx) leaders.add(target);
+        leaders.add(i + 1);
+      } else if (opName === 'RETURN' || opName === 'UNARY_THROW') {
+        leaders.add(i + 1);
+      }
+    }
+    const starts = [...leaders].filter(idx => idx < length).sort((a, b) => a - b);
+    const blocks = new Map(starts.map((startIdx, k) => [startIdx, {
+      startIdx,
+      endIdx: k + 1 < starts.length ? starts[k + 1] : length
+    }]));
+    const successorsOf = ({ endIdx }) => {
+      const last = this.instructions[endIdx - 1];
+      const next = endIdx < length ? endIdx : null;
+      const target = targetOf(last);
+      const jumpTarget = target >= entryIdx ? target : null;
+      if (last.opName === 'RETURN' || last.opName === 'UNARY_THROW') return [];
+      if (!isBranch(endIdx - 1)) return [next];
+      return last.opName === 'JUMP' ? [jumpTarget] : [jumpTarget, next];
+    };
+    // The handler a block installs, entered when an error is thrown
+    const handlerOf = ({ endIdx }) => {
+      const last = this.instructions[endIdx - 1];
+      if (last.opName !== 'TRY_PUSH') return null;
+      const target = targetOf(last);
+      return target >= entryIdx ? target : null;
+    };
+
+    // Unreachable blocks are dropped
+    const reachable = new Set([entryIdx]);
+    const pending = [entryIdx];
+    while (pending.length > 0) {
+      const block = blocks.get(pending.pop());
+      for (const idx of [...successorsOf(block), handlerOf(block)]) {
+        if (idx !== null && !reachable.has(idx)) {
+          reachable.add(idx);
+          pending.push(idx);
+        }
+      }
+    }
+    const order = starts.filter(idx => reachable.has(idx));
+    const addrOf = (idx) => idx === null ? null : this.instructions[idx].addr;
+
+    // The stack_N variables are declared along with the state
+    const state = `state_${this.varCounter++}`;
+    const spillNames = [];
+    this.currentAddr = this.instructions[entryIdx].addr;
+    this.scope.declare(state);
+    const declaration = this.emitter.emit(t.variableDeclaration('var', [
+      t.variableDeclarator(t.identifier(state), t.numericLiteral(addrOf(entryIdx)))
+    ]));
+    if (this.hasExceptionRegions()) {
+      this.tryStack = `tries_${this.varCounter++}`;
+      this.scope.declare(this.tryStack);
+      declaration.declarations.push(t.variableDeclarator(t.identifier(this.tryStack), t.arrayExpression([])));
+    }
+    this.emitter.emitWhileStart(t.booleanLiteral(true));
+    if (this.tryStack) this.emitter.emitTryStart();
+    const switchNode = this.emitter.emitSwitchStart(t.identifier(state));
+
+    const depths = new Map([[entryIdx, 0]]);
+    // Handler -> depth of the stack slot its error goes in
+    const handlerDepths = new Map();
+    const queue = [entryIdx];
+    while (queue.length > 0) {
+      const block = blocks.get(queue.shift());
+      const blockStack = spillNames.slice(0, depths.get(block.startIdx)).map(name => t.identifier(name));
+      const lastIdx = block.endIdx - 1;
+      const last = this.instructions[lastIdx];
+      const next = order[order.indexOf(block.startIdx) + 1];
+      const endsBlock = isBranch(lastIdx) || last.opName === 'TRY_PUSH';
+
+      this.emitter.emitSwitchCase(switchNode, t.numericLiteral(addrOf(block.startIdx)));
+      this.emitRange(block.startIdx, endsBlock ? lastIdx : block.endIdx, blockStack, { keepResult: true });
+      if (this.pendingReturn !== null) {
+        this.emitter.emit(this.pendingReturn);
+        this.pendingReturn = null;
+      }
 
-          if (region.mergeBlock) {
-            i = region.mergeBlock.startIdx;
-          } else {
-            i = region.endIdx;
+      const successors = successorsOf(block);
+      if (successors.length > 0) {
+        this.currentAddr = last.addr;
+        const condition = isBranch(lastIdx) && last.opName !== 'JUMP'
+          ? blockStack.pop() || t.booleanLiteral(false)
+          : null;
+        this.spillStack(blockStack, spillNames, declaration);
+
+        if (last.opName === 'TRY_PUSH') {
+          const handler = handlerOf(block);
+          if (handler !== null && !depths.has(handler)) {
+            this.spillName(spillNames, blockStack.length, declaration);
+            depths.set(handler, blockStack.length + 1);
+            handlerDepths.set(handler, blockStack.length);
+            queue.push(handler);
           }
-          continue;
+          this.emitter.emitExpression(t.callExpression(
+            t.memberExpression(t.identifier(this.tryStack), t.identifier('push')),
+            [t.numericLiteral(last.args[0]?.value ?? -1)]
+          ));
         }
+
+        successors.forEach((idx, k) => {
+          if (idx !== null && !depths.has(idx)) {
+            depths.set(idx, blockStack.length);
+            queue.push(idx);
+          }
+          if (k === 0 && condition) {
+            this.emitter.emitStateJump(state, addrOf(idx), condition, last.opName === 'JUMP_IF_TRUE',
+              idx === null ? this.exitStatement() : null);
+          } else if (idx === null) {
+            this.emitter.emit(this.exitStatement());
+          } else if (idx !== next) {
+            this.emitter.emitStateJump(state, addrOf(idx));
+          }
+        });
       }
+      this.emitter.emitSwitchCaseEnd();
+    }
+
+    switchNode.cases.sort((a, b) => a.test.value - b.test.value);
+    if (this.tryStack) {
+      this.emitHandlerDispatch(switchNode, state, spillNames, handlerDepths);
+    }
+    this.emitter.emitWhileEnd();
+  }
+
+  /**
+   * Close the try around the dispatch switch of a state machine with a
+   * catch that rethrows when no handler is installed, and otherwise moves
+   * to the innermost handler with the error in its stack slot. A handler
+   * address that is no instruction ends the body, as it does in the VM.
+   */
+  emitHandlerDispatch(switchNode, state, spillNames, handlerDepths) {
+    this.emitter.emitSwitchCase(switchNode, null);
+    this.emitter.emit(this.exitStatement());
+    this.emitter.emitSwitchCaseEnd();
+
+    const error = t.identifier(`e_${this.varCounter++}`);
+    const tries = t.identifier(this.tryStack);
+    this.emitter.emitCatchStart(error.name);
+    this.emitter.emit(t.ifStatement(
+      t.binaryExpression('===', t.memberExpression(tries, t.identifier('length')), t.numericLiteral(0)),
+      t.throwStatement(error)
+    ));
+    this.emitter.emitAssignment(t.identifier(state),
+      t.callExpression(t.memberExpression(tries, t.identifier('pop')), []));
+
+    // Handlers grouped by the depth their error goes in
+    const byDepth = new Map();
+    for (const [handler, depth] of handlerDepths) {
+      if (!byDepth.has(depth)) byDepth.set(depth, []);
+      byDepth.get(depth).push(this.instructions[handler].addr);
+    }
+    const storeError = depth => t.expressionStatement(t.assignmentExpression('=', t.identifier(spillNames[depth]), error));
+    if (byDepth.size === 1) {
+      this.emitter.emit(storeError([...byDepth.keys()][0]));
+    } else if (byDepth.size > 1) {
+      this.emitter.emit(t.switchStatement(t.identifier(state), [...byDepth].flatMap(([depth, addrs]) => [
+        ...addrs.slice(0, -1).map(addr => t.switchCase(t.numericLiteral(addr), [])),
+        t.switchCase(t.numericLiteral(addrs[addrs.length - 1]), [storeError(depth), t.breakStatement()])
+      ])));
+    }
+    this.emitter.emitTryEnd();
+  }
 
-      if (this.usedLabels.has(instr.addr)) {
-        this.emitter.emitLabel(this.generateLabel(instr.addr));
+  /**
+   * Store the values left on the stack at the end of a state machine block
+   * in the stack_N variable of their depth, and leave those on the stack.
+   * New variables are added to the declaration of the state.
+   */
+  spillStack(stack, spillNames, declaration) {
+    stack.forEach((value, depth) => {
+      this.spillName(spillNames, depth, declaration);
+      if (!t.isIdentifier(value, { name: spillNames[depth] })) {
+        this.emitter.emitAssignment(t.identifier(spillNames[depth]), value);
+        stack[depth] = t.identifier(spillNames[depth]);
       }
+    });
+  }
+
+  /**
+   * The stack_N variable of a stack depth, declared on first use
+   */
+  spillName(spillNames, depth, declaration) {
+    if (!spillNames[depth]) {
+      spillNames[depth] = `stack_${this.varCounter++}`;
+      this.scope.declare(spillNames[depth]);
+      declaration.declarations.push(t.variableDeclarator(t.identifier(spillNames[depth])));
+    }
+    return spillNames[depth];
+  }
 
-      try {
-        this.processInstruction(instr, stack);
-      } catch (e) {
-        this.emitter.emitError(`Error processing ${instr.opName}: ${e.message}`);
+  /**
+   * Name of a catch clause variable: e_N, from the slot the error is stored
+   * in, or a fresh one when it is not stored. It is bound by the clause, so
+   * it needs no var.
+   */
+  catchVarName(scopeId, slot) {
+    if (slot === undefined || slot === null || slot > 10000) {
+      return `e_${this.varCounter++}`;
+    }
+    const name = this.scope.nameOf(scopeId, slot, () => `e_${this.varCounter++}`);
+    this.scope.declared.add(name);
+    return name;
+  }
+
+  /**
+   * Open the break/continue context of a loop whose body is
+   * [bodyStartIdx, bodyEndIdx). Jumps to breakAddr are lifted as break and
+   * jumps to continueAddr as continue.
+   *
+   * The continue point of a transpiled for loop (its update) or of a
+   * do-while (the start of its test) is only known once the body is
+   * lifted. Jumps to the candidate, the last forward jump target in the
+   * body when no jump follows it, are lifted as continue and checked
+   * afterwards (see revertContinues).
+   */
+  enterLoop(loop, bodyStartIdx, bodyEndIdx) {
+    const { logicals } = this.structures;
+
+    let candidateIdx = null;
+    for (let b = bodyStartIdx; b < bodyEndIdx; b++) {
+      const instr = this.instructions[b];
+      if (!JUMP_OPS.has(instr.opName) || logicals.has(b)) continue;
+      const targetIdx = this.cfReconstructor.addrToIdx.get(instr.args[0]?.value);
+      if (targetIdx > b && targetIdx < bodyEndIdx && (candidateIdx === null || targetIdx > candidateIdx)) {
+        candidateIdx = targetIdx;
+      }
+    }
+    for (let b = candidateIdx ?? bodyEndIdx; b < bodyEndIdx; b++) {
+      if (JUMP_OPS.has(this.instructions[b].opName) && !logicals.has(b)) {
+        candidateIdx = null;
+        break;
       }
+    }
 
-      if (callOps.has(instr.opName) && stack.length > 0) {
-        // Emit call result if it won't be consumed by the next instruction
-        // consumeOps are operations that use values from the stack
-        if (!nextInstr || !consumeOps.has(nextInstr.opName)) {
-          const callResult = stack.pop();
-          if (this.emitter.shouldEmitCallResult(callResult)) {
-            this.emitter.emitExpression(callResult);
-          }
-        }
+    const context = {
+      kind: 'loop',
+      addr: this.instructions[loop.startIdx].addr,
+      breakAddr: this.instructions[loop.exitIdx]?.addr ?? null,
+      continueAddr: null,
+      candidateAddr: candidateIdx === null ? null : this.instructions[candidateIdx].addr,
+      continues: [],
+      label: null
+    };
+    this.breakContexts.push(context);
+    return context;
+  }
+
+  /**
+   * The break or continue a jump to addr is, in the innermost loop or
+   * switch it leaves, or null
+   */
+  resolveLoopJump(addr) {
+    for (let d = this.breakContexts.length - 1; d >= 0; d--) {
+      const context = this.breakContexts[d];
+      if (addr === context.breakAddr) return { context, addr, kind: 'break' };
+      if (addr === context.continueAddr) return { context, addr, kind: 'continue' };
+      if (addr === context.candidateAddr) return { context, addr, kind: 'continue', candidate: true };
+    }
+    return null;
+  }
+
+  isContinueCandidate(addr) {
+    return this.breakContexts.some(context => context.candidateAddr === addr);
+  }
+
+  /**
+   * Emit a break or continue from resolveLoopJump, labeled when it leaves
+   * an outer loop or switch: a break when it crosses any other, a continue
+   * when it crosses another loop
+   */
+  emitLoopJump({ context, addr, kind, candidate = false }, condition = null, isTrue = true) {
+    const crossed = this.breakContexts.slice(this.breakContexts.indexOf(context) + 1)
+      .filter(inner => kind === 'break' || inner.kind === 'loop');
+    let loopLabel = null;
+    if (crossed.length > 0) {
+      context.label = context.label || `${context.kind}_${context.addr}`;
+      loopLabel = context.label;
+    }
+
+    if (kind === 'break') {
+      this.emitter.emitBreak(loopLabel, condition, isTrue);
+    } else {
+      const entry = this.emitter.emitContinue(addr, condition, this.generateLabel(addr), isTrue, loopLabel);
+      context.continues.push({ ...entry, candidate });
+    }
+  }
+
+  /**
+   * Lift a conditional jump out of the enclosing loops: `if (c) break;`
+   * from a jump straight to a loop exit or continue point, or over a single
+   * such JUMP, and `if (c) { ...; break; }` when the instructions it skips
+   * end with one. Returns the index to continue at, or null.
+   */
+  emitLoopJumpIf(i, endIdx, stack) {
+    const instr = this.instructions[i];
+    if (this.breakContexts.length === 0 || (instr.opName !== 'JUMP_IF_TRUE' && instr.opName !== 'JUMP_IF_FALSE')) {
+      return null;
+    }
+    const isTrue = instr.opName === 'JUMP_IF_TRUE';
+
+    const targetIdx = this.cfReconstructor.addrToIdx.get(instr.args[0]?.value);
+    const lastSkipped = this.instructions[targetIdx - 1];
+    if (targetIdx > i + 1 && targetIdx <= endIdx && lastSkipped.opName === 'JUMP') {
+      const jump = this.resolveLoopJump(lastSkipped.args[0]?.value);
+      if (jump && targetIdx === i + 2) {
+        this.emitLoopJump(jump, stack.pop() || t.booleanLiteral(true), !isTrue);
+        return targetIdx;
+      }
+      if (jump && !jump.candidate) {
+        const condition = stack.pop() || t.booleanLiteral(true);
+        this.emitter.emitIfStart(isTrue ? t.unaryExpression('!', condition) : condition);
+        const thenStack = this.stackMachine.clone(stack);
+        this.emitRange(i + 1, targetIdx, thenStack);
+        this.emitRemainingStack(thenStack, stack.length);
+        this.emitter.emitIfEnd();
+        return targetIdx;
       }
+    }
 
-      i++;
+    if (this.resolveLoopJump(instr.args[0]?.value)) {
+      this.processInstruction(instr, stack);
+      return i + 1;
     }
+    return null;
+  }
 
-    while (stack.length > 0) {
-      const expr = stack.pop();
-      if (expr && !expr.startsWith('undefined') && !expr.startsWith('null')) {
-        this.emitter.emitExpression(expr);
+  /**
+   * Wrap a loop or switch in its label when a labeled break or continue
+   * leaves it
+   */
+  labelStatement(node, context) {
+    if (!context.label) return;
+    const block = this.emitter.currentBlock();
+    const idx = block.indexOf(node);
+    if (idx === -1) return;
+
+    const labeled = t.labeledStatement(t.identifier(context.label), node);
+    labeled.loc = node.loc;
+    labeled.leadingComments = node.leadingComments;
+    node.leadingComments = null;
+    block[idx] = labeled;
+  }
+
+  /**
+   * Lift the candidate continues of a loop (see enterLoop) back as the
+   * jumps they were. `if (c) continue;` directly in the body becomes
+   * `if (!c) { ... }` around the statements up to the jump target; other
+   * ones fall back to a goto to a label there.
+   */
+  revertContinues(body, statementStarts, continues) {
+    const candidates = continues.filter(entry => entry.candidate);
+    const targets = new Map();
+    for (const { addr } of candidates) {
+      targets.set(addr, body[statementStarts.indexOf(addr)] || null);
+    }
+
+    const labels = new Map();
+    for (const entry of [...candidates].reverse()) {
+      const target = targets.get(entry.addr);
+      const idx = body.indexOf(entry.statement);
+      const end = target ? body.indexOf(target) : body.length;
+      if (entry.block === body && t.isIfStatement(entry.statement) && idx !== -1 && end > idx) {
+        this.emitter.revertContinue(entry, body.splice(idx + 1, end - idx - 1));
+      } else {
+        this.emitter.revertContinue(entry);
+        labels.set(entry.label, target);
+        if (entry.block !== body || end !== idx + 1) this.unstructured = true;
       }
     }
 
-    if (this.pendingReturn !== null) {
-      this.emitter.emit(this.pendingReturn);
+    for (const [label, target] of labels) {
+      const statement = t.labeledStatement(t.identifier(label), t.emptyStatement());
+      if (target) {
+        body.splice(body.indexOf(target), 0, statement);
+      } else {
+        body.push(statement);
+      }
     }
+  }
 
-    return this.output.join('\n');
+  /**
+   * Turn `init; while (test) { ...; update }` into a for loop when the last
+   * body statement updates a variable of the test and every continue of
+   * the body jumps to that update. The init is the assignment of that
+   * variable right before the loop, if any. When the loop is not a for
+   * loop its candidate continues are lifted as the jumps they were.
+   * Returns the loop node now in the block.
+   */
+  reconstructForLoop(loopNode, statementStarts, continues) {
+    const body = loopNode.body.body;
+    const last = body[body.length - 1];
+    const updated = last && t.isExpressionStatement(last) ? updatedVariable(last.expression) : null;
+    const updateStart = statementStarts[body.length - 1];
+
+    const block = this.emitter.currentBlock();
+    const loopIdx = block.indexOf(loopNode);
+    const previous = block[loopIdx - 1];
+    const init = previous && updated ? initializerOf(previous, updated) : null;
+
+    const isForLoop = updated !== null && loopIdx !== -1 &&
+      usesVariable(loopNode.test, updated) &&
+      (init !== null || continues.length > 0) &&
+      continues.every(({ addr }) => addr === updateStart);
+
+    if (!isForLoop) {
+      this.revertContinues(body, statementStarts, continues);
+      return loopNode;
+    }
+
+    body.pop();
+    const forNode = t.forStatement(init, loopNode.test, last.expression, loopNode.body);
+    forNode.loc = loopNode.loc;
+    if (init) {
+      // Keep comments attached to the init statement
+      forNode.leadingComments = [...(previous.leadingComments || []), ...(loopNode.leadingComments || [])];
+      block.splice(loopIdx - 1, 2, forNode);
+    } else {
+      forNode.leadingComments = loopNode.leadingComments;
+      block.splice(loopIdx, 1, forNode);
+    }
+    return forNode;
   }
 
   processBlockSequence(blocks, blockStack, callOps, consumeOps, isTernary = false, regionsByCondIdx = null, ternaries = null, logicals = null) {
@@ -453,17 +1208,17 @@ export class CodeGenerator {
         // Check for ternaries FIRST (more specific pattern than if-else)
         if (ternaries && ternaries.has(b)) {
           const ternary = ternaries.get(b);
-          const condition = blockStack.pop() || 'true';
+          const condition = blockStack.pop() || t.booleanLiteral(true);
 
           const trueStack = this.stackMachine.clone(blockStack);
           this.processBlockSequence(ternary.trueBlocks, trueStack, callOps, consumeOps, true, regionsByCondIdx, ternaries, logicals);
-          const consequent = trueStack.pop() || 'undefined';
+          const consequent = trueStack.pop() || t.identifier('undefined');
 
           const falseStack = this.stackMachine.clone(blockStack);
           this.processBlockSequence(ternary.falseBlocks, falseStack, callOps, consumeOps, true, regionsByCondIdx, ternaries, logicals);
-          const alternate = falseStack.pop() || 'undefined';
+          const alternate = falseStack.pop() || t.identifier('undefined');
 
-          blockStack.push(`(${condition} ? ${consequent} : ${alternate})`);
+          blockStack.push(t.conditionalExpression(condition, consequent, alternate));
 
           if (ternary.mergeBlock) {
             skipUntil = ternary.mergeBlock.startIdx;
@@ -477,33 +1232,36 @@ export class CodeGenerator {
         if (logicals && logicals.has(b)) {
           const logical = logicals.get(b);
           blockStack.pop();
-          const left = blockStack.pop() || 'true';
+          const left = blockStack.pop() || t.booleanLiteral(true);
 
           const rightStack = this.stackMachine.clone(blockStack);
           for (let j = logical.rightStartIdx; j <= logical.rightEndIdx; j++) {
             this.processInstruction(this.instructions[j], rightStack, callOps, consumeOps, true);
           }
-          const right = rightStack.pop() || 'undefined';
+          const right = rightStack.pop() || t.identifier('undefined');
 
-          blockStack.push(`(${left} ${logical.operator} ${right})`);
+          blockStack.push(t.logicalExpression(logical.operator, left, right));
           skipUntil = logical.targetIdx;
           continue;
         }
 
-        // Check for nested if-else regions (after ternaries and logicals)
-        if (regionsByCondIdx && regionsByCondIdx.has(b)) {
+        // Check for nested if-else regions (after ternaries and logicals).
+        // A region reached again from inside itself is a cycle the
+        // structured lifting cannot express; its jumps are lifted as gotos
+        if (regionsByCondIdx && regionsByCondIdx.has(b) && !this.activeRegions.has(regionsByCondIdx.get(b))) {
           const region = regionsByCondIdx.get(b);
           // Skip if this is actually a ternary (already handled above)
           if (ternaries && ternaries.has(b)) {
             continue;
           }
 
-          const condition = blockStack.pop() || 'true';
+          const condition = blockStack.pop() || t.booleanLiteral(true);
           const hasTrueBody = region.trueBlocks && region.trueBlocks.length > 0;
           const hasFalseBody = region.falseBlocks && region.falseBlocks.length > 0;
 
           if (hasTrueBody || hasFalseBody) {
             this.emitter.emitIfStart(condition);
+            this.activeRegions.add(region);
 
             if (hasTrueBody) {
               const trueStack = this.stackMachine.clone(blockStack);
@@ -511,20 +1269,16 @@ export class CodeGenerator {
               this.emitRemainingStack(trueStack, blockStack.length);
             }
 
-            this.indent--;
-
             if (hasFalseBody) {
-              this.emitter.emit('} else {');
-              this.indent++;
+              this.emitter.emitElse();
 
               const falseStack = this.stackMachine.clone(blockStack);
               this.processBlockSequence(region.falseBlocks, falseStack, callOps, consumeOps, false, regionsByCondIdx, ternaries, logicals);
               this.emitRemainingStack(falseStack, blockStack.length);
-
-              this.indent--;
             }
 
-            this.emitter.emit('}');
+            this.activeRegions.delete(region);
+            this.emitter.emitIfEnd();
 
             if (region.mergeBlock) {
               skipUntil = region.mergeBlock.startIdx;
@@ -557,7 +1311,7 @@ export class CodeGenerator {
   emitRemainingStack(branchStack, parentStackLength) {
     while (branchStack.length > parentStackLength) {
       const expr = branchStack.pop();
-      if (expr && !expr.match(/^(undefined|null|true|false|-?\d+(\.\d+)?|".*")$/)) {
+      if (!this.stackMachine.isLiteralValue(expr)) {
         this.emitter.emitExpression(expr);
       }
     }
@@ -566,6 +1320,8 @@ export class CodeGenerator {
   processInstruction(instr, stack) {
     const sm = this.stackMachine;
     const swapped = this.swappedOpcodes.has(instr.opcode);
+    this.currentAddr = instr.addr;
+    this.recordStack(instr, stack, 'before');
 
     switch (instr.opName) {
       case 'STACK_PUSH_STRING':
@@ -582,25 +1338,22 @@ export class CodeGenerator {
         break;
 
       case 'STACK_PUSH_NULL':
-        stack.push('null');
+        stack.push(t.nullLiteral());
         break;
 
       case 'STACK_PUSH_UNDEFINED':
-        stack.push('undefined');
+        stack.push(t.identifier('undefined'));
         break;
 
       case 'STACK_PUSH_DUPLICATE':
         if (stack.length > 0) {
-          stack.push(sm.peek(stack));
+          stack.push(t.cloneNode(sm.peek(stack), true));
         }
         break;
 
       case 'STACK_POP':
         if (stack.length > 0) {
-          const expr = stack.pop();
-          if (!sm.isTrivialValue(expr)) {
-            this.emitter.emitExpression(expr);
-          }
+          this.emitter.emitExpression(stack.pop());
         }
         break;
 
@@ -681,11 +1434,11 @@ export class CodeGenerator {
         break;
 
       case 'BINARY_IN':
-        sm.buildBinaryExpression(stack, 'in', swapped, '""', '{}');
+        sm.buildBinaryExpression(stack, 'in', swapped, t.stringLiteral(''), t.objectExpression([]));
         break;
 
       case 'BINARY_INSTANCEOF':
-        sm.buildBinaryExpression(stack, 'instanceof', swapped, 'null', 'Object');
+        sm.buildBinaryExpression(stack, 'instanceof', swapped, t.nullLiteral(), t.identifier('Object'));
         break;
 
       case 'UNARY_PLUS':
@@ -697,27 +1450,23 @@ export class CodeGenerator {
         break;
 
       case 'UNARY_NOT':
-        sm.buildUnaryExpression(stack, '!', 'false');
+        sm.buildUnaryExpression(stack, '!', t.booleanLiteral(false));
         break;
 
       case 'UNARY_BIT_NOT':
         sm.buildUnaryExpression(stack, '~');
         break;
 
-      case 'UNARY_TYPEOF': {
-        const arg = stack.pop() || 'undefined';
-        stack.push(`(typeof ${arg})`);
+      case 'UNARY_TYPEOF':
+        sm.buildUnaryExpression(stack, 'typeof', t.identifier('undefined'));
         break;
-      }
 
-      case 'UNARY_VOID': {
-        const arg = stack.pop() || 'undefined';
-        stack.push(`(void ${arg})`);
+      case 'UNARY_VOID':
+        sm.buildUnaryExpression(stack, 'void', t.identifier('undefined'));
         break;
-      }
 
       case 'UNARY_THROW': {
-        const err = stack.pop() || 'new Error()';
+        const err = stack.pop() || t.newExpression(t.identifier('Error'), []);
         this.emitter.emitThrow(err);
         break;
       }
@@ -743,16 +1492,20 @@ export class CodeGenerator {
       case 'LOAD_VARIABLE': {
         const scopeId = instr.args[0]?.value;
         const dest = instr.args[1]?.value;
-        stack.push(this.getVarName(scopeId, dest));
+        stack.push(t.identifier(this.getVarName(scopeId, dest)));
         break;
       }
 
       case 'STORE_VARIABLE': {
-        const value = stack.pop() || 'undefined';
+        const value = stack.pop() || t.identifier('undefined');
         const scopeId = instr.args[0]?.value;
         const dest = instr.args[1]?.value;
         const varName = this.getVarName(scopeId, dest);
-        this.emitter.emitVariableDeclaration(varName, value);
+        if (this.hoistedFunctions.get(varName) === instr.addr && t.isFunctionExpression(value)) {
+          this.emitter.emitFunctionDeclaration(varName, value);
+        } else {
+          this.emitter.emitVariableDeclaration(varName, value);
+        }
         break;
       }
 
@@ -761,7 +1514,7 @@ export class CodeGenerator {
         break;
 
       case 'LOAD_GLOBAL':
-        stack.push('globalThis');
+        stack.push(t.identifier('globalThis'));
         break;
 
       case 'LOAD_GLOBAL_PROP':
@@ -769,17 +1522,17 @@ export class CodeGenerator {
         break;
 
       case 'LOAD_THIS':
-        stack.push('this');
+        stack.push(t.thisExpression());
         break;
 
       case 'LOAD_ARGUMENT': {
         const idx = instr.args[0]?.value ?? 0;
-        stack.push(`arguments[${idx}]`);
+        stack.push(t.memberExpression(t.identifier('arguments'), t.numericLiteral(idx), true));
         break;
       }
 
       case 'LOAD_ARGUMENTS':
-        stack.push('arguments');
+        stack.push(t.identifier('arguments'));
         break;
 
       case 'CALL_FUNCTION': {
@@ -805,11 +1558,11 @@ export class CodeGenerator {
         break;
 
       case 'SET_PROPERTY': {
-        const value = stack.pop() || 'undefined';
-        const key = stack.pop() || 'prop';
-        const obj = stack.pop() || 'obj';
+        const value = stack.pop() || t.identifier('undefined');
+        const key = stack.pop() || t.stringLiteral('prop');
+        const obj = stack.pop() || t.identifier('obj');
         this.emitter.emitPropertyAssignment(obj, key, value);
-        stack.push(obj);
+        stack.push(t.cloneNode(obj, true));
         break;
       }
 
@@ -826,40 +1579,75 @@ export class CodeGenerator {
       }
 
       case 'BUILD_FUNCTION': {
-        const result = this.emitter.buildFunctionBody(
-          instr, this.strings, this.opcodeMap, this.indent, this.varCounter
-        );
-        stack.push(result.code);
-        this.varCounter = result.newVarCounter;
+        // A body lifted again reuses the functions built the first time
+        if (!this.builtFunctions.has(instr.addr)) {
+          const result = this.emitter.buildFunctionBody(
+            instr, this.strings, this.opcodeMap, this.varCounter
+          );
+          this.builtFunctions.set(instr.addr, result.node);
+          this.varCounter = result.newVarCounter;
+        }
+        stack.push(this.builtFunctions.get(instr.addr));
         break;
       }
 
       case 'JUMP': {
         const addr = instr.args[0]?.value;
-        this.generateLabel(addr);
+        const loopJump = this.resolveLoopJump(addr);
+        if (loopJump) {
+          this.emitLoopJump(loopJump);
+        } else {
+          this.gotoLabel(addr, instr);
+        }
         break;
       }
 
       case 'JUMP_IF_TRUE': {
         const addr = instr.args[0]?.value;
-        const cond = stack.pop() || 'true';
-        const label = this.generateLabel(addr);
-        this.emitter.emitConditionalJump(cond, label, true);
+        const cond = stack.pop() || t.booleanLiteral(true);
+        const loopJump = this.resolveLoopJump(addr);
+        if (loopJump) {
+          this.emitLoopJump(loopJump, cond, true);
+        } else {
+          this.emitter.emitConditionalJump(cond, this.gotoLabel(addr, instr), true);
+        }
         break;
       }
 
       case 'JUMP_IF_FALSE': {
         const addr = instr.args[0]?.value;
-        const cond = stack.pop() || 'false';
-        const label = this.generateLabel(addr);
-        this.emitter.emitConditionalJump(cond, label, false);
+        const cond = stack.pop() || t.booleanLiteral(false);
+        const loopJump = this.resolveLoopJump(addr);
+        if (loopJump) {
+          this.emitLoopJump(loopJump, cond, false);
+        } else {
+          this.emitter.emitConditionalJump(cond, this.gotoLabel(addr, instr), false);
+        }
         break;
       }
 
       case 'RETURN': {
         const hasValue = instr.args[0]?.value;
-        const value = hasValue ? (stack.pop() || 'undefined') : undefined;
-        this.pendingReturn = this.emitter.emitReturn(value, hasValue);
+        const value = hasValue ? (stack.pop() || t.identifier('undefined')) : undefined;
+        const isLast = instr === this.instructions[this.instructions.length - 1];
+        if (this.functionId === 0 && !this.topLevelReturns) {
+          // The value is the completion value of the script; the program
+          // ends by itself after the last instruction, unless a state
+          // machine loops around
+          if (hasValue) this.emitter.emit(t.expressionStatement(value));
+          if (!isLast || this.stateMachine) this.emitter.emit(this.exitStatement());
+          break;
+        }
+        // A final return without a value would only force --inplace to
+        // wrap the statements in a function
+        if (this.functionId === 0 && isLast && !hasValue && !this.stateMachine) break;
+        const statement = this.emitter.emitReturn(value, hasValue);
+        // The final return goes after any block left open
+        if (isLast) {
+          this.pendingReturn = statement;
+        } else {
+          this.emitter.emit(statement);
+        }
         break;
       }
 
@@ -883,30 +1671,39 @@ export class CodeGenerator {
         }
         // Escape forward slashes in pattern
         pattern = pattern.replace(/\//g, '\\/');
-        stack.push(`/${pattern}/${flags}`);
+        stack.push(t.regExpLiteral(pattern, flags));
         break;
       }
 
-      case 'TRY_PUSH': {
-        const catchAddr = instr.args[0]?.value;
-        const finallyAddr = instr.args[1]?.value;
+      // Try statements that detectTryRegions could not match
+      case 'TRY_PUSH':
         this.emitter.emitTryStart();
         break;
-      }
 
       case 'TRY_POP':
+        if (this.tryStack) {
+          this.emitter.emitExpression(t.callExpression(
+            t.memberExpression(t.identifier(this.tryStack), t.identifier('pop')), []
+          ));
+        }
         break;
 
       case 'TRY_CATCH': {
         const scopeId = instr.args[0]?.value;
         const varSlot = instr.args[1]?.value;
-        const errVarName = this.getVarName(scopeId, varSlot);
-        this.emitter.emitCatchStart(errVarName);
+        if (this.tryStack) {
+          // A state machine has no catch clause: the error is stored
+          const value = stack.pop() || t.identifier('undefined');
+          const name = this.scope.nameOf(scopeId, varSlot, () => `e_${this.varCounter++}`);
+          this.emitter.emitVariableDeclaration(name, value);
+          break;
+        }
+        this.emitter.emitCatchStart(this.catchVarName(scopeId, varSlot));
         break;
       }
 
       case 'TRY_FINALLY':
-        this.emitter.emitFinallyStart();
+        if (!this.tryStack) this.emitter.emitFinallyStart();
         break;
 
       case 'SEQUENCE_POP':
@@ -918,5 +1715,72 @@ export class CodeGenerator {
         }
         break;
     }
+
+    this.recordStack(instr, stack, 'after');
   }
+
+  /**
+   * With stack snapshots on (--listing), remember the symbolic stack before
+   * and after the first evaluation of an instruction, printed
+   */
+  recordStack(instr, stack, when) {
+    if (!this.stackSnapshots) return;
+    if (!this.stackSnapshots.has(instr.addr)) {
+      this.stackSnapshots.set(instr.addr, { before: null, after: null });
+    }
+    const snapshot = this.stackSnapshots.get(instr.addr);
+    if (snapshot[when] === null) {
+      snapshot[when] = stack.map(expr => t.isNode(expr)
+        ? generate(expr, { jsescOption: { minimal: true } }).code.replace(/\s*\n\s*/g, ' ')
+        : String(expr));
+    }
+  }
+}
+
+/**
+ * Whether a conditional region lies in the instructions before endIdx, so
+ * it can be lifted while lifting them
+ */
+function regionFits(region, endIdx) {
+  const blocks = [...(region.trueBlocks || []), ...(region.falseBlocks || [])];
+  return blocks.every(block => block.endIdx < endIdx) &&
+    (!region.mergeBlock || region.mergeBlock.startIdx <= endIdx);
+}
+
+/**
+ * Name of the variable an update statement (x++, x += n, x = x + n)
+ * changes, or null
+ */
+function updatedVariable(expr) {
+  if (t.isUpdateExpression(expr) && t.isIdentifier(expr.argument)) {
+    return expr.argument.name;
+  }
+  if (t.isAssignmentExpression(expr) && t.isIdentifier(expr.left)) {
+    const name = expr.left.name;
+    if (expr.operator !== '=' || usesVariable(expr.right, name)) return name;
+  }
+  return null;
+}
+
+/**
+ * The for-loop init of a statement that declares or assigns name, or null
+ */
+function initializerOf(statement, name) {
+  if (t.isVariableDeclaration(statement) && statement.declarations.length === 1 &&
+      t.isIdentifier(statement.declarations[0].id, { name })) {
+    return statement;
+  }
+  if (t.isExpressionStatement(statement) && t.isAssignmentExpression(statement.expression, { operator: '=' }) &&
+      t.isIdentifier(statement.expression.left, { name })) {
+    return statement.expression;
+  }
+  return null;
+}
+
+function usesVariable(node, name) {
+  let found = false;
+  t.traverseFast(node, (child) => {
+    if (t.isIdentifier(child, { name })) found = true;
+  });
+  return found;
 }
@@ -205,11 +205,18 @@ export class Disassembler {
    *    a. Record current address (IP before fetch)
    *    b. Fetch opcode byte and dispatch to get instruction name
    *    c. Decode operands based on instruction semantics
-   *    d. Build instruction object with address, opcode, name, and args
+   *    d. Build instruction object with address, opcode, name, args and
+   *       size in bytes
    */
   disassemble() {
     this.detectVersionAndDecompress();
+    return this.decodeInstructions();
+  }
 
+  /**
+   * Decode instructions from the current pointer to the end of the stream
+   */
+  decodeInstructions() {
     while (this.pointer < this.bytecode.length) {
       const addr = this.pointer;
       const opcode = this.readInstruction();
@@ -452,6 +459,7 @@ export class Disassembler {
       } catch (e) {
         instr.error = e.message;
       }
+      instr.size = this.pointer - addr;
 
       this.instructions.push(instr);
     }
@@ -464,173 +472,29 @@ export class Disassembler {
    * that inherit version from parent disassembler.
    */
   disassembleWithoutVersionDetect() {
-    // Skip version detection, Just disassemble raw bytecode
-    while (this.pointer < this.bytecode.length) {
-      const addr = this.pointer;
-      const opcode = this.readInstruction();
-      const opName = this.getOpcodeName(opcode);
-
-      const instr = { addr, opcode, opName, args: [] };
-
-      try {
-        switch (opName) {
-          case 'STACK_PUSH_STRING': {
-            const idx = this.readDword();
-            instr.args.push({ type: 'string_index', value: idx });
-            instr.stringValue = this.strings[idx] || `[string_${idx}]`;
-            break;
-          }
-
-          case 'STACK_PUSH_DWORD': {
-            const val = this.readSignedDword();
-            instr.args.push({ type: 'dword', value: val });
-            break;
-          }
-
-          case 'STACK_PUSH_DOUBLE': {
-            const val = this.readDouble();
-            instr.args.push({ type: 'double', value: val });
-            break;
-          }
-
-          case 'STACK_PUSH_BOOLEAN':
-          case 'STACK_PUSH_NULL':
-          case 'STACK_PUSH_UNDEFINED':
-          case 'STACK_DUPLICATE':
-          case 'STACK_POP':
-          case 'LOAD_THIS':
-          case 'LOAD_GLOBAL':
-          case 'LOAD_ARGUMENTS':
-          case 'DEBUGGER':
-          case 'TRY_POP':
-            break;
-
-          case 'ARITHMETIC_ADD':
-          case 'ARITHMETIC_SUB':
-          case 'ARITHMETIC_MUL':
-          case 'ARITHMETIC_DIV':
-          case 'ARITHMETIC_MOD':
-          case 'COMPARISON_EQUAL':
-          case 'COMPARISON_STRICT_EQUAL':
-          case 'COMPARISON_NOT_EQUAL':
-          case 'COMPARISON_STRICT_NOT_EQUAL':
-          case 'COMPARISON_LESS':
-          case 'COMPARISON_LESS_OR_EQUAL':
-          case 'COMPARISON_GREATER':
-          case 'COMPARISON_GREATER_OR_EQUAL':
-          case 'BINARY_BIT_SHIFT_LEFT':
-          case 'BINARY_BIT_SHIFT_RIGHT':
-          case 'BINARY_UNSIGNED_BIT_SHIFT_RIGHT':
-          case 'BINARY_BIT_XOR':
-          case 'BINARY_BIT_AND':
-          case 'BINARY_BIT_OR':
-          case 'BINARY_IN':
-          case 'BINARY_INSTANCEOF':
-          case 'GET_PROPERTY':
-            break;
-
-          case 'UNARY_PLUS':
-          case 'UNARY_MINUS':
-          case 'UNARY_NOT':
-          case 'UNARY_BIT_NOT':
-          case 'UNARY_TYPEOF':
-          case 'UNARY_VOID':
-          case 'UNARY_THROW':
-            break;
-
-          case 'LOAD_VARIABLE':
-          case 'STORE_VARIABLE': {
-            const scopeId = this.readDword();
-            const dest = this.readDword();
-            instr.args.push({ type: 'scope', value: scopeId });
-            instr.args.push({ type: 'dest', value: dest });
-            break;
-          }
-
-          case 'LOAD_ARGUMENT': {
-            const idx = this.readDword();
-            instr.args.push({ type: 'arg_index', value: idx });
-            break;
-          }
-
-          case 'CALL_FUNCTION':
-          case 'CONSTRUCT':
-          case 'CALL_METHOD': {
-            const argCount = this.readDword();
-            instr.args.push({ type: 'arg_count', value: argCount });
-            break;
-          }
-
-          case 'BUILD_FUNCTION': {
-            const fnBodyLength = this.readDword();
-            const fnBody = [];
-            for (let i = 0; i < fnBodyLength; i++) {
-              fnBody.push(this.readInstruction());
-            }
-            instr.args.push({ type: 'fn_body_length', value: fnBodyLength });
-            instr.fnBody = fnBody;
-            instr.detectedVersion = this.detectedVersion;
-            break;
-          }
-
-          case 'JUMP':
-          case 'JUMP_IF_TRUE':
-          case 'JUMP_IF_FALSE': {
-            const addr = this.readDword();
-            instr.args.push({ type: 'address', value: addr });
-            break;
-          }
-
-          case 'RETURN': {
-            const hasValue = this.readInstruction();
-            instr.args.push({ type: 'has_value', value: hasValue === 1 });
-            break;
-          }
-
-          case 'BUILD_REGEXP': {
-            if (this.detectedVersion === NebulaVersion.V2_CURRENT) {
-              const hasFlags = this.readInstruction();
-              instr.args.push({ type: 'has_flags', value: hasFlags === 1 });
-            } else {
-              const patternIdx = this.readDword();
-              const flagsIdx = this.readDword();
-              instr.args.push({ type: 'pattern_index', value: patternIdx });
-              instr.args.push({ type: 'flags_index', value: flagsIdx });
-              instr.patternValue = this.strings[patternIdx] || `[pattern_${patternIdx}]`;
-              instr.flagsValue = this.strings[flagsIdx] || '';
-            }
-            break;
-          }
-
-          case 'TRY_PUSH': {
-            if (this.detectedVersion === NebulaVersion.V2_CURRENT) {
-              const catchAddr = this.readDword();
-              instr.args.push({ type: 'catch_addr', value: catchAddr });
-            } else {
-              const catchAddr = this.readDword();
-              const finallyAddr = this.readDword();
-              instr.args.push({ type: 'catch_addr', value: catchAddr });
-              instr.args.push({ type: 'finally_addr', value: finallyAddr });
-            }
-            break;
-          }
-
-          case 'LOAD_GLOBAL_PROP':
-          case 'SET_PROPERTY':
-          case 'DELETE_PROPERTY':
-          case 'SEQUENCE_POP':
-            break;
-
-          default:
-            break;
-        }
-      } catch (e) {
-        instr.error = e.message;
-      }
+    return this.decodeInstructions();
+  }
 
-      this.instructions.push(instr);
+  /**
+   * Disassemble the body of a BUILD_FUNCTION instruction.
+   * V2 bodies are raw bytecode; V1 bodies need a compression flag (0 =
+   * uncompressed) prepended before the usual version detection.
+   */
+  static disassembleFunctionBody(instr, strings, opcodeMap) {
+    if (!instr.fnBody) return [];
+
+    if (instr.detectedVersion === NebulaVersion.V2_CURRENT) {
+      const subDisasm = new Disassembler(
+        new Uint8Array(instr.fnBody),
+        strings,
+        opcodeMap,
+        null,
+        instr.detectedVersion
+      );
+      return subDisasm.disassembleWithoutVersionDetect();
     }
 
-    return this.instructions;
+    const subDisasm = new Disassembler(new Uint8Array([0, ...instr.fnBody]), strings, opcodeMap);
+    return subDisasm.disassemble();
   }
 }
@@ -0,0 +1,29 @@
+/**
+ * Error Types
+ *
+ * Errors thrown by the library API. All of them are DeobfuscationErrors;
+ * the subclass names the phase that failed. When the input holds several
+ * VM instances, `instance` is the index of the one that failed (null when
+ * the failure is not tied to an instance), and `cause` keeps the original
+ * error.
+ */
+
+export class DeobfuscationError extends Error {
+  constructor(message, { instance = null, cause } = {}) {
+    super(message, cause === undefined ? undefined : { cause });
+    this.name = this.constructor.name;
+    this.instance = instance;
+  }
+}
+
+/** The input could not be parsed or holds no NebulaVM bytecode */
+export class ExtractionError extends DeobfuscationError {}
+
+/** A user-supplied opcode map has the wrong shape or unknown opcodes */
+export class OpcodeMapError extends DeobfuscationError {}
+
+/** The bytecode could not be decoded into instructions */
+export class DisassemblyError extends DeobfuscationError {}
+
+/** The instructions could not be lifted back to JavaScript */
+export class GenerationError extends DeobfuscationError {}
@@ -3,6 +3,8 @@
  *
  * Extracts bytecode, strings, and opcode mappings from obfuscated NebulaVM code.
  * Parses the obfuscated JavaScript to locate the embedded VM components.
+ * Handlers are read from either an object dispatch table or a switch
+ * statement inside the fetch loop.
  */
 
 import { parse } from '@babel/parser';
@@ -11,17 +13,138 @@ import { decodeBytecode, decodeStringsBytes } from '../runtime/bytecodeReader.js
 import {
   findHelperFunctionsAST,
   findVMStateProperties,
-  analyzeHandlerStructure
+  analyzeHandlerStructure,
+  getSwitchCaseHandlers,
+  MIN_DISPATCHER_HANDLERS
 } from '../analysis/interpreterAnalyzer.js';
 
 const traverse = typeof _traverse === 'object' ? _traverse.default : _traverse;
 
-export function extractFromCode(code) {
-  let bytecodeBase64 = null;
-  let stringsBytes = null;
+/**
+ * Locate every NebulaVM instance in the input and extract it.
+ *
+ * An instance is the outermost IIFE that either takes the string table as
+ * an argument and holds the Base64 bytecode blob somewhere inside (NebulaVM
+ * output: `(n=>{...})([strings])()`, where the blob is passed to a decoder
+ * IIFE within the interpreter), or takes the blob itself as an argument.
+ * Its start and end include the call of the runner the IIFE returns.
+ * Bundles may contain several independently obfuscated modules, each with
+ * its own interpreter, opcode shuffle and string table.
+ *
+ * @param {string} code - The input
+ * @param {Object} [options]
+ * @param {boolean} [options.verifyHandlers] - Check handler fingerprints by
+ *   running the handlers (see handlerVerifier.js). This executes code from
+ *   the input
+ * @returns {Array} Instances in source order, each
+ *   { bytecode, strings, opcodeMap, swappedOpcodes, returnOpcode, handlers, loc, start, end }
+ *   where handlers holds the fingerprinting result of every handler found,
+ *   keyed by opcode: { candidates, swapped, verification } or
+ *   { candidates: [], error }, verification being null unless verified
+ */
+export function extractFromCode(code, options = {}) {
+  let ast;
+  try {
+    ast = parse(code, { sourceType: 'unambiguous' });
+  } catch (e) {
+    throw new Error(`Failed to parse obfuscated code: ${e.message}`);
+  }
+
+  const instances = [];
+
+  traverse(ast, {
+    CallExpression(path) {
+      const node = path.node;
+      if (!isFunctionCallee(node.callee)) return;
+
+      const stringsArg = node.arguments.find(isStringsArray);
+      const bytecodeArg = node.arguments.find(isBytecodeLiteral) ||
+        (stringsArg && findBytecodeLiteral(path));
+      if (!bytecodeArg) return;
+
+      // The IIFE returns the runner, which is called right away
+      const outer = path.parentPath.isCallExpression({ callee: node }) && path.parent.arguments.length === 0
+        ? path.parent
+        : node;
+
+      const instance = extractInstance(code.slice(node.start, node.end), bytecodeArg.value, stringsArg, options);
+      instance.loc = {
+        start: { line: outer.loc.start.line, column: outer.loc.start.column },
+        end: { line: outer.loc.end.line, column: outer.loc.end.column }
+      };
+      instance.start = outer.start;
+      instance.end = outer.end;
+      instances.push(instance);
+
+      // The interpreter body belongs to this instance
+      path.skip();
+    },
+  });
+
+  if (instances.length === 0) {
+    throw new Error('Could not extract bytecode from obfuscated code');
+  }
+
+  return instances;
+}
+
+function isFunctionCallee(callee) {
+  return callee.type === 'FunctionExpression' || callee.type === 'ArrowFunctionExpression';
+}
+
+/**
+ * The first bytecode blob inside a call, e.g. the argument of the decoder
+ * IIFE in the interpreter
+ */
+function findBytecodeLiteral(path) {
+  let found = null;
+  path.traverse({
+    StringLiteral(inner) {
+      // The Base64 alphabet of the decoder is a literal of its own
+      if (inner.listKey === 'arguments' && isBytecodeLiteral(inner.node)) {
+        found = inner.node;
+        inner.stop();
+      }
+    }
+  });
+  return found;
+}
+
+function isBytecodeLiteral(arg) {
+  return arg.type === 'StringLiteral' && arg.value.length > 50 &&
+    /^[A-Za-z0-9+/=]+$/.test(arg.value);
+}
+
+function isStringsArray(arg) {
+  return arg.type === 'ArrayExpression' && arg.elements.length > 10 &&
+    arg.elements.every(el =>
+      !el || el.type === 'NumericLiteral' ||
+      (el.type === 'UnaryExpression' && el.operator === '-')
+    );
+}
+
+function readStringsArray(arrayExpr) {
+  return arrayExpr.elements.map(el => {
+    if (!el) return 0;
+    if (el.type === 'NumericLiteral') return el.value;
+    if (el.type === 'UnaryExpression' && el.operator === '-' &&
+        el.argument.type === 'NumericLiteral') {
+      return -el.argument.value;
+    }
+    return 0;
+  });
+}
+
+/**
+ * Extract one VM instance from the source of its IIFE. The IIFE is parsed
+ * on its own so helper, state and handler detection only see this
+ * instance's interpreter.
+ */
+function extractInstance(source, bytecodeBase64, stringsArg, options) {
   let opcodeMap = {};
   let swappedOpcodes = new Set();
   let returnOpcode = null;
+  const handlers = {};
 
   let ast;
   let helperFns = {
@@ -32,55 +155,48 @@ export function extractFromCode(code) {
   };
   let vmState = {};
 
-  const returnMatchRight = code.match(/===\s*(\d+)\s*\)/);
-  const returnMatchLeft = code.match(/\((\d+)\s*===/);
+  const returnMatchRight = source.match(/===\s*(\d+)\s*\)/);
+  const returnMatchLeft = source.match(/\((\d+)\s*===/);
   const returnMatch = returnMatchRight || returnMatchLeft;
   if (returnMatch) {
     returnOpcode = parseInt(returnMatch[1], 10);
     opcodeMap[returnOpcode] = 'RETURN';
   }
 
+  /**
+   * Fingerprint one handler function and record its opcode. Handlers that
+   * match no rule or fail analysis stay out of opcodeMap but are kept in
+   * handlers for the opcode report.
+   */
+  function analyzeHandler(opcode, funcNode) {
+    if (opcode in opcodeMap) return;
+
+    try {
+      const result = analyzeHandlerStructure(funcNode, helperFns, vmState, { verify: options.verifyHandlers });
+      handlers[opcode] = {
+        candidates: result.candidates,
+        swapped: result.swapped,
+        verification: result.verification
+      };
+
+      if (result.opcode) {
+        opcodeMap[opcode] = result.opcode;
+        if (result.swapped) {
+          swappedOpcodes.add(opcode);
+        }
+      }
+    } catch (e) {
+      handlers[opcode] = { candidates: [], error: e.message };
+    }
+  }
+
   try {
-    ast = parse(code, { sourceType: 'script' });
+    ast = parse(source, { sourceType: 'script' });
 
     helperFns = findHelperFunctionsAST(ast);
     vmState = findVMStateProperties(ast);
 
     traverse(ast, {
-      CallExpression(path) {
-        const callee = path.node.callee;
-        const isFunctionCallee = callee.type === 'FunctionExpression' ||
-                                  callee.type === 'ArrowFunctionExpression';
-
-        if (isFunctionCallee && path.node.arguments.length >= 1) {
-          const args = path.node.arguments;
-
-          for (const arg of args) {
-            if (arg.type === 'StringLiteral' && arg.value.length > 50 &&
-                /^[A-Za-z0-9+/=]+$/.test(arg.value) && !bytecodeBase64) {
-              bytecodeBase64 = arg.value;
-            }
-            if (arg.type === 'ArrayExpression' && arg.elements.length > 10 && !stringsBytes) {
-              const allNumbers = arg.elements.every(el =>
-                !el || el.type === 'NumericLiteral' ||
-                (el.type === 'UnaryExpression' && el.operator === '-')
-              );
-              if (allNumbers) {
-                stringsBytes = arg.elements.map(el => {
-                  if (!el) return 0;
-                  if (el.type === 'NumericLiteral') return el.value;
-                  if (el.type === 'UnaryExpression' && el.operator === '-' &&
-                      el.argument.type === 'NumericLiteral') {
-                    return -el.argument.value;
-                  }
-                  return 0;
-                });
-              }
-            }
-          }
-        }
-      },
-
       ObjectExpression(path) {
         const props = path.node.properties;
         if (props.length < 3) return;
@@ -95,37 +211,38 @@ export function extractFromCode(code) {
         for (const prop of props) {
           if (prop.key && prop.key.type === 'NumericLiteral' &&
               prop.value && prop.value.type === 'FunctionExpression') {
-            const opcode = prop.key.value;
-
-            if (opcode in opcodeMap) continue;
-
-            try {
-              const result = analyzeHandlerStructure(prop.value, helperFns, vmState);
-
-              if (result && result.opcode) {
-                opcodeMap[opcode] = result.opcode;
-                if (result.swapped) {
-                  swappedOpcodes.add(opcode);
-                }
-              }
-            } catch {
-              // Handler analysis failed - skip this opcode
-            }
+            analyzeHandler(prop.key.value, prop.value);
           }
         }
       },
+
+      // Switch-based dispatcher: case bodies inlined in the fetch loop
+      SwitchStatement(path) {
+        const handlers = getSwitchCaseHandlers(path.node);
+        if (handlers.length < MIN_DISPATCHER_HANDLERS) return;
+
+        // A case that returns from the fetch loop is the RETURN handler. This
+        // beats the regex guess, which can match a comparison in a case body.
+        const returnHandler = handlers.find(h => h.returns);
+        if (returnHandler && returnHandler.opcode !== returnOpcode) {
+          if (returnOpcode !== null) delete opcodeMap[returnOpcode];
+          returnOpcode = returnHandler.opcode;
+          opcodeMap[returnOpcode] = 'RETURN';
+        }
+
+        for (const { opcode, funcNode } of handlers) {
+          analyzeHandler(opcode, funcNode);
+        }
+      },
     });
 
   } catch (e) {
     throw new Error(`Failed to parse obfuscated code: ${e.message}`);
   }
 
-  if (!bytecodeBase64) {
-    throw new Error('Could not extract bytecode from obfuscated code');
-  }
-
   const bytecode = decodeBytecode(bytecodeBase64);
 
+  const stringsBytes = stringsArg ? readStringsArray(stringsArg) : null;
   const strings = stringsBytes && stringsBytes.length > 0 ? decodeStringsBytes(stringsBytes) : [];
 
   return {
@@ -133,6 +250,7 @@ export function extractFromCode(code) {
     strings,
     opcodeMap,
     swappedOpcodes,
-    returnOpcode
+    returnOpcode,
+    handlers
   };
 }
@@ -0,0 +1,119 @@
+/**
+ * Opcode Map Files
+ *
+ * Lets a wrong fingerprint be corrected without touching the analyzer. A map
+ * is a JSON object keyed by handler number:
+ *
+ *   {
+ *     "12": "ARITHMETIC_ADD",
+ *     "31": { "opcode": "ARITHMETIC_SUB", "swapped": true },
+ *     "40": null
+ *   }
+ *
+ * A name maps the handler with the usual operand order, an object also sets
+ * the swapped flag, null drops the handler from the map. Mapping a handler
+ * to RETURN makes it the return opcode.
+ *
+ * A file holding a single map applies to every VM instance; an array holds
+ * one map per instance, in source order. --emit-opcode-map writes the
+ * detected maps in the same format, so a sample can be corrected by editing
+ * that file and passing it back with --opcode-map.
+ */
+
+import { OperationCode } from './opcodes.js';
+import { OpcodeMapError } from './errors.js';
+
+/**
+ * Serialize the opcode maps of all instances, one map per instance when
+ * there are several
+ *
+ * @param {Array} instances - Instances from extractFromCode
+ * @returns {Object|Array} Maps of { opcode, swapped } keyed by handler
+ */
+export function serializeOpcodeMaps(instances) {
+  const maps = instances.map(({ opcodeMap, swappedOpcodes }) => {
+    const map = {};
+    for (const handler of Object.keys(opcodeMap).map(Number).sort((a, b) => a - b)) {
+      map[handler] = { opcode: opcodeMap[handler], swapped: swappedOpcodes.has(handler) };
+    }
+    return map;
+  });
+  return maps.length === 1 ? maps[0] : maps;
+}
+
+/**
+ * Merge user-supplied opcode maps over the detected ones. Instances are
+ * updated in place; the handlers the user mapped are recorded in
+ * instance.userOpcodes.
+ *
+ * @param {Array} instances - Instances from extractFromCode
+ * @param {Object|Array} data - Parsed map file
+ * @throws {OpcodeMapError} If the map does not have the expected shape
+ */
+export function applyOpcodeMaps(instances, data) {
+  if (Array.isArray(data)) {
+    if (data.length !== instances.length) {
+      throw new OpcodeMapError(`Opcode map file has ${data.length} maps but the input has ${instances.length} VM instances`);
+    }
+    instances.forEach((instance, i) => applyOpcodeMap(instance, data[i], `map #${i}`));
+  } else {
+    for (const instance of instances) {
+      applyOpcodeMap(instance, data, 'map');
+    }
+  }
+}
+
+function applyOpcodeMap(instance, map, label) {
+  if (!map || typeof map !== 'object' || Array.isArray(map)) {
+    throw new OpcodeMapError(`Opcode ${label} must be an object keyed by handler number`);
+  }
+
+  // Validate the whole map before touching the instance
+  const entries = Object.entries(map).map(([key, value]) => {
+    if (!/^\d+$/.test(key)) {
+      throw new OpcodeMapError(`Opcode ${label}: "${key}" is not a handler number`);
+    }
+    return [Number(key), parseEntry(value, `${label}, handler ${key}`)];
+  });
+
+  const { opcodeMap, swappedOpcodes } = instance;
+  instance.userOpcodes = instance.userOpcodes || new Set();
+
+  for (const [handler, entry] of entries) {
+    instance.userOpcodes.add(handler);
+    swappedOpcodes.delete(handler);
+
+    if (!entry) {
+      delete opcodeMap[handler];
+      if (instance.returnOpcode === handler) instance.returnOpcode = null;
+      continue;
+    }
+
+    opcodeMap[handler] = entry.opcode;
+    if (entry.swapped) swappedOpcodes.add(handler);
+
+    if (entry.opcode === 'RETURN') {
+      const previous = instance.returnOpcode;
+      // The detected return handler goes unless the user mapped it too
+      if (previous !== null && previous !== handler && !map[previous]) {
+        delete opcodeMap[previous];
+      }
+      instance.returnOpcode = handler;
+    } else if (instance.returnOpcode === handler) {
+      instance.returnOpcode = null;
+    }
+  }
+}
+
+function parseEntry(value, label) {
+  if (value === null) return null;
+
+  const { opcode, swapped = false } = typeof value === 'string' ? { opcode: value } : value;
+  if (typeof opcode !== 'string' || !(opcode in OperationCode)) {
+    throw new OpcodeMapError(`Opcode ${label}: unknown opcode ${JSON.stringify(opcode)}`);
+  }
+  if (typeof swapped !== 'boolean') {
+    throw new OpcodeMapError(`Opcode ${label}: swapped must be true or false`);
+  }
+  return { opcode, swapped };
+}
@@ -0,0 +1,180 @@
+/**
+ * In-place Rewriter
+ *
+ * Puts decompiled code back into the original file. Each NebulaVM IIFE
+ * located by extractFromCode is replaced by the statements lifted from its
+ * bytecode; everything around it (imports, wrappers, exports, other scripts)
+ * is kept and the whole file is reprinted with @babel/generator.
+ *
+ * NebulaVM output is a chain, `(n=>{...})([strings])()`: the VM IIFE returns
+ * a runner that the file calls right away. The whole chain is replaced,
+ * never the IIFE alone, which would leave the runner call behind.
+ *
+ * Replacement strategy:
+ * - IIFE used as a statement (`(function(){...})(...)`, `!function(){...}()`):
+ *   the statement is replaced by the lifted statements directly
+ * - IIFE whose value is used (`module.exports = (function(){...})()`), or
+ *   lifted code that needs its own function (top-level return, this,
+ *   arguments, variables declared at the top level of a script, or names
+ *   that clash with the surrounding scope): the call is replaced by
+ *   `(function () { ... })()`
+ */
+
+import { parse } from '@babel/parser';
+import _traverse from '@babel/traverse';
+import _generate from '@babel/generator';
+import * as t from '@babel/types';
+
+const traverse = typeof _traverse === 'object' ? _traverse.default : _traverse;
+const generate = typeof _generate === 'object' ? _generate.default : _generate;
+
+const INSTANCE_SOURCE_PREFIX = 'vm-instance-';
+
+/**
+ * Rewrite code with every VM instance replaced by its decompiled statements.
+ *
+ * @param {string} code - The original input
+ * @param {Array} replacements - { instance, statements } per instance, where
+ *   instance comes from extractFromCode and statements from
+ *   CodeGenerator.generateProgram().body
+ * @returns {{code: string, lineAddresses: Map, mappings: Array}} The
+ *   rewritten file; for each output line lifted from bytecode
+ *   { instance, functionId, addr }; and every printed position as
+ *   { generated, instance, functionId, addr } when lifted or
+ *   { generated, original } when kept from the input
+ */
+export function rewriteInPlace(code, replacements) {
+  const ast = parse(code, { sourceType: 'unambiguous' });
+
+  const byStart = new Map();
+  replacements.forEach((replacement, index) => {
+    byStart.set(replacement.instance.start, { ...replacement, index });
+  });
+
+  traverse(ast, {
+    CallExpression(path) {
+      const replacement = byStart.get(path.node.start);
+      if (!replacement || path.node.end !== replacement.instance.end) return;
+
+      tagInstance(replacement.statements, replacement.index);
+      replaceInstance(path, replacement.statements);
+    },
+  });
+
+  const result = generate(ast, {
+    comments: true,
+    jsescOption: { minimal: true },
+    sourceMaps: true,
+    sourceFileName: 'input'
+  });
+
+  const lineAddresses = new Map();
+  const mappings = [];
+  for (const mapping of result.rawMappings || []) {
+    const { generated, original } = mapping;
+    if (!mapping.source || !mapping.source.startsWith(INSTANCE_SOURCE_PREFIX)) {
+      mappings.push({ generated, original });
+      continue;
+    }
+    const address = {
+      instance: Number(mapping.source.slice(INSTANCE_SOURCE_PREFIX.length)),
+      functionId: original.line - 1,
+      addr: original.column
+    };
+    mappings.push({ generated, ...address });
+    if (!lineAddresses.has(generated.line)) {
+      lineAddresses.set(generated.line, address);
+    }
+  }
+
+  return { code: result.code, lineAddresses, mappings };
+}
+
+/**
+ * Mark the bytecode locations of lifted nodes with their instance, so they
+ * can be told apart from the original file's own locations
+ */
+function tagInstance(statements, index) {
+  for (const statement of statements) {
+    t.traverseFast(statement, (node) => {
+      if (node.loc) node.loc.filename = `${INSTANCE_SOURCE_PREFIX}${index}`;
+    });
+  }
+}
+
+function replaceInstance(callPath, statements) {
+  // The call of the runner the VM IIFE returns goes with it
+  while (callPath.parentPath.isCallExpression({ callee: callPath.node }) &&
+         callPath.parent.arguments.length === 0) {
+    callPath = callPath.parentPath;
+  }
+
+  // Look through `!function(){}()` / `void function(){}()` style wrappers
+  let exprPath = callPath;
+  while (exprPath.parentPath.isUnaryExpression()) {
+    exprPath = exprPath.parentPath;
+  }
+
+  const isStatement = exprPath.parentPath.isExpressionStatement();
+  if (isStatement && !needsOwnFunction(statements, callPath.scope)) {
+    if (statements.length === 0) {
+      exprPath.parentPath.remove();
+    } else {
+      exprPath.parentPath.replaceWithMultiple(statements);
+    }
+    return;
+  }
+
+  callPath.replaceWith(
+    t.callExpression(t.functionExpression(null, [], t.blockStatement(statements)), [])
+  );
+}
+
+/**
+ * Check whether the lifted statements only make sense inside a function:
+ * they return, read this/arguments of the VM's top level, or declare names
+ * (variables or functions) that would become globals or are already used
+ * around the IIFE.
+ */
+function needsOwnFunction(statements, scope) {
+  const declared = new Set();
+  let needsFunction = false;
+
+  const visit = (node) => {
+    if (!node || typeof node.type !== 'string' || needsFunction) return;
+    if (t.isReturnStatement(node) || t.isThisExpression(node) ||
+        t.isIdentifier(node, { name: 'arguments' })) {
+      needsFunction = true;
+      return;
+    }
+    if (t.isFunctionDeclaration(node) && node.id) {
+      declared.add(node.id.name);
+    }
+    if (t.isFunction(node)) return;
+    if (t.isVariableDeclarator(node) && t.isIdentifier(node.id)) {
+      declared.add(node.id.name);
+    }
+    for (const key of t.VISITOR_KEYS[node.type] || []) {
+      const child = node[key];
+      if (Array.isArray(child)) {
+        child.forEach(visit);
+      } else {
+        visit(child);
+      }
+    }
+  };
+  statements.forEach(visit);
+
+  if (needsFunction) return true;
+
+  // At the top level of a script, var declarations would become globals
+  if (declared.size > 0 && scope.path.isProgram() && scope.path.node.sourceType === 'script') {
+    return true;
+  }
+
+  const programScope = scope.getProgramParent();
+  for (const name of declared) {
+    if (scope.hasBinding(name) || programScope.hasGlobal(name)) return true;
+  }
+  return false;
+}
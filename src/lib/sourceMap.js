@@ -0,0 +1,153 @@
+/**
+ * Source Maps
+ *
+ * Builds a standard (v3) source map from decompiled output back to the
+ * bytecode. Every function of every VM instance is its own source, named
+ * `bytecode/function-N` (`bytecode/instance-I/function-N` when the input
+ * has several instances), whose content is the function's disassembly with
+ * one instruction per line:
+ *
+ *   000012: STORE_VARIABLE                0, 1
+ *
+ * A mapping points at the line of the instruction the output was lifted
+ * from, so any source map viewer shows the bytecode next to the code. With
+ * --inplace the code kept from the input file maps back to the input.
+ */
+
+const BASE64 = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/';
+
+export class SourceMapBuilder {
+  /**
+   * @param {string} [file] - Name of the output file the map describes
+   */
+  constructor(file) {
+    this.file = file;
+    this.sources = [];
+    this.sourcesContent = [];
+    this.segments = [];
+    this.inputSource = null;
+    // "instance:functionId" -> { source, lines: addr -> line }
+    this.functions = new Map();
+  }
+
+  /**
+   * Add the input file, for output kept from it
+   */
+  addInput(name, code) {
+    this.inputSource = this.addSource(name, code);
+  }
+
+  /**
+   * Add every function lifted by a generator (the top level and all nested
+   * functions) as a source
+   *
+   * @param {number} instance - Index of the VM instance
+   * @param {CodeGenerator} generator - Top-level generator of the instance
+   * @param {boolean} multiple - Whether the input has several instances
+   */
+  addInstance(instance, generator, multiple) {
+    const prefix = multiple ? `bytecode/instance-${instance}/` : 'bytecode/';
+    const generators = [...generator.functionGenerators.values()].sort((a, b) => a.functionId - b.functionId);
+
+    for (const { functionId, bodyInstructions, strings } of generators) {
+      const lines = new Map();
+      bodyInstructions.forEach((instr, index) => lines.set(instr.addr, index));
+      const listing = bodyInstructions.map(instr => formatListingLine(instr, strings)).join('\n');
+      const source = this.addSource(`${prefix}function-${functionId}`, `${listing}\n`);
+      this.functions.set(`${instance}:${functionId}`, { source, lines });
+    }
+  }
+
+  /**
+   * Map an output position to the instruction it was lifted from
+   *
+   * @param {Object} generated - { line, column }, line 1-based
+   * @param {Object} origin - { instance, functionId, addr }
+   */
+  addLiftedMapping(generated, { instance, functionId, addr }) {
+    const fn = this.functions.get(`${instance}:${functionId}`);
+    if (!fn || !fn.lines.has(addr)) return;
+    this.segments.push({ generated, source: fn.source, line: fn.lines.get(addr), column: 0 });
+  }
+
+  /**
+   * Map an output position to a position in the input file
+   *
+   * @param {Object} generated - { line, column }, line 1-based
+   * @param {Object} original - { line, column }, line 1-based
+   */
+  addInputMapping(generated, original) {
+    if (this.inputSource === null) return;
+    this.segments.push({ generated, source: this.inputSource, line: original.line - 1, column: original.column });
+  }
+
+  addSource(name, content) {
+    this.sources.push(name);
+    this.sourcesContent.push(content);
+    return this.sources.length - 1;
+  }
+
+  /**
+   * The source map as a plain object, ready for JSON.stringify
+   */
+  toJSON() {
+    const segments = [...this.segments].sort((a, b) =>
+      a.generated.line - b.generated.line || a.generated.column - b.generated.column
+    );
+
+    const lines = [];
+    let previous = { source: 0, line: 0, column: 0 };
+    for (const segment of segments) {
+      const lineIndex = segment.generated.line - 1;
+      while (lines.length <= lineIndex) lines.push({ parts: [], column: 0 });
+      const line = lines[lineIndex];
+
+      line.parts.push(
+        encodeVLQ(segment.generated.column - line.column) +
+        encodeVLQ(segment.source - previous.source) +
+        encodeVLQ(segment.line - previous.line) +
+        encodeVLQ(segment.column - previous.column)
+      );
+      line.column = segment.generated.column;
+      previous = segment;
+    }
+
+    return {
+      version: 3,
+      ...(this.file ? { file: this.file } : {}),
+      sources: this.sources,
+      sourcesContent: this.sourcesContent,
+      names: [],
+      mappings: lines.map(line => line.parts.join(',')).join(';')
+    };
+  }
+}
+
+/**
+ * One instruction as a line of a function's listing: address, opcode name
+ * and operands, strings resolved
+ */
+export function formatListingLine(instr, strings) {
+  const args = instr.args.map(a => {
+    if (a.type === 'string_index') {
+      return JSON.stringify(strings[a.value] ?? '');
+    }
+    return String(a.value);
+  }).join(', ');
+  return `${String(instr.addr).padStart(6, '0')}: ${instr.opName.padEnd(30)}${args}`.trimEnd();
+}
+
+/**
+ * Base64 VLQ encoding of one signed number
+ */
+function encodeVLQ(value) {
+  let vlq = value < 0 ? (-value << 1) | 1 : value << 1;
+  let encoded = '';
+  do {
+    let digit = vlq & 31;
+    vlq >>>= 5;
+    if (vlq > 0) digit |= 32;
+    encoded += BASE64[digit];
+  } while (vlq > 0);
+  return encoded;
+}
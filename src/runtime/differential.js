@@ -0,0 +1,348 @@
+/**
+ * Differential Execution Harness
+ *
+ * Runs the obfuscated input and the deobfuscated output side by side in
+ * isolated node:vm contexts and compares what each of them does.
+ *
+ * Key concepts:
+ * - Sandbox: A fresh context per run with a recording console, virtual
+ *   timers and deterministic Math.random / Date so both runs see the same
+ *   environment. It is not a security boundary: the input runs for real,
+ *   the stubs are host-realm functions and node:vm does not isolate code,
+ *   so only inputs that may run on this machine should be verified
+ * - Trace: The ordered list of observable events - console calls, thrown
+ *   errors, the completion value and writes to global properties
+ * - Divergence: The first event where the two traces disagree, mapped back
+ *   to the bytecode address that produced the offending output line
+ */
+
+import vm from 'node:vm';
+
+const DEFAULT_TIMEOUT = 2000;
+const MAX_TIMER_CALLBACKS = 1000;
+const MAX_INTERVAL_RUNS = 10;
+const SERIALIZE_DEPTH = 3;
+const TIMER_CALLBACK = '__nebulaTimerCallback__';
+const FIXED_TIME = Date.UTC(2020, 0, 1);
+
+/**
+ * Evaluated inside every context before the code under test.
+ * Makes Math.random and Date reproducible across the two runs.
+ */
+const PRELUDE = `
+(function () {
+  var seed = 0x2545f491;
+  Math.random = function () {
+    seed ^= seed << 13; seed ^= seed >>> 17; seed ^= seed << 5;
+    return (seed >>> 0) / 4294967296;
+  };
+  var RealDate = Date;
+  var now = ${FIXED_TIME};
+  function FixedDate() {
+    if (!new.target) return new RealDate(now).toString();
+    return arguments.length ? new (Function.prototype.bind.apply(RealDate, [null].concat([].slice.call(arguments))))() : new RealDate(now);
+  }
+  FixedDate.prototype = RealDate.prototype;
+  FixedDate.now = function () { return now; };
+  FixedDate.UTC = RealDate.UTC;
+  FixedDate.parse = RealDate.parse;
+  Date = FixedDate;
+})();
+`;
+
+/**
+ * Convert a sandbox value into a stable, comparable description.
+ * Functions are not named since the deobfuscated output may name closures
+ * differently from the VM.
+ */
+export function serializeValue(value, depth = SERIALIZE_DEPTH, seen = new Set()) {
+  if (value === null) return 'null';
+  switch (typeof value) {
+    case 'undefined': return 'undefined';
+    case 'string': return JSON.stringify(value);
+    case 'number': return Object.is(value, -0) ? '-0' : String(value);
+    case 'bigint': return `${value}n`;
+    case 'boolean': return String(value);
+    case 'symbol': return value.toString();
+    case 'function': return '[Function]';
+  }
+
+  if (seen.has(value)) return '[Circular]';
+  if (isErrorLike(value)) return `${value.name}: ${value.message}`;
+  if (depth <= 0) return Array.isArray(value) ? '[Array]' : '[Object]';
+
+  seen.add(value);
+  let result;
+  try {
+    if (Array.isArray(value)) {
+      result = `[${value.map(v => serializeValue(v, depth - 1, seen)).join(', ')}]`;
+    } else {
+      const entries = Object.keys(value).map(k => `${JSON.stringify(k)}: ${serializeValue(value[k], depth - 1, seen)}`);
+      result = `{${entries.join(', ')}}`;
+    }
+  } catch (e) {
+    result = '[Unserializable]';
+  }
+  seen.delete(value);
+  return result;
+}
+
+/**
+ * Errors thrown inside a context come from that context's realm, so
+ * instanceof Error is unreliable.
+ */
+function isErrorLike(value) {
+  return value !== null && typeof value === 'object' &&
+    typeof value.name === 'string' && typeof value.message === 'string' &&
+    typeof value.stack === 'string';
+}
+
+function describeError(err) {
+  if (isErrorLike(err)) {
+    return { name: err.name, message: err.message };
+  }
+  return { name: 'thrown value', message: serializeValue(err) };
+}
+
+/**
+ * Find the line of the innermost stack frame inside the code under test
+ */
+function callerLine(filename) {
+  const limit = Error.stackTraceLimit;
+  Error.stackTraceLimit = 50;
+  const stack = new Error().stack || '';
+  Error.stackTraceLimit = limit;
+  return lineInStack(stack, filename);
+}
+
+/**
+ * First line number reported for filename in a stack string. Syntax and
+ * top-level errors from node:vm start with a bare "filename:line" header.
+ */
+function lineInStack(stack, filename) {
+  for (const frame of stack.split('\n')) {
+    const idx = frame.lastIndexOf(`${filename}:`);
+    if (idx === -1) continue;
+    const match = /^:(\d+)/.exec(frame.slice(idx + filename.length));
+    if (match) return Number(match[1]);
+  }
+  return null;
+}
+
+/**
+ * Run code in a fresh sandbox and record its observable behavior.
+ *
+ * @param {string} code - Script source
+ * @param {object} options - filename (used to locate call sites), timeout in ms
+ * @returns {Array} Trace events: { type, ..., line }
+ */
+export function runInSandbox(code, { filename = 'sandbox.js', timeout = DEFAULT_TIMEOUT } = {}) {
+  const trace = [];
+  const record = (event) => {
+    trace.push({ ...event, line: callerLine(filename) });
+  };
+
+  // Virtual timers: callbacks are queued and drained after the script in
+  // order of delay, without waiting
+  const timers = [];
+  let timerSeq = 0;
+  let clock = 0;
+  const schedule = (kind, fn, delay, args, repeat) => {
+    const id = ++timerSeq;
+    record({ type: 'timer', kind, delay: Number(delay) || 0 });
+    if (typeof fn === 'function') {
+      timers.push({ id, fn, args, delay: Number(delay) || 0, due: clock + (Number(delay) || 0), repeat, runs: 0 });
+    }
+    return id;
+  };
+  const cancel = (id) => {
+    const idx = timers.findIndex(timer => timer.id === id);
+    if (idx !== -1) timers.splice(idx, 1);
+  };
+
+  const consoleStub = {};
+  for (const method of ['log', 'info', 'warn', 'error', 'debug', 'trace', 'dir', 'table']) {
+    consoleStub[method] = (...args) => {
+      record({ type: 'console', method, args: args.map(arg => serializeValue(arg)) });
+    };
+  }
+
+  const sandbox = {
+    console: consoleStub,
+    setTimeout: (fn, delay, ...args) => schedule('setTimeout', fn, delay, args, false),
+    setInterval: (fn, delay, ...args) => schedule('setInterval', fn, delay, args, true),
+    setImmediate: (fn, ...args) => schedule('setImmediate', fn, 0, args, false),
+    clearTimeout: cancel,
+    clearInterval: cancel,
+    clearImmediate: cancel,
+    atob: (str) => Buffer.from(String(str), 'base64').toString('latin1'),
+    btoa: (str) => Buffer.from(String(str), 'latin1').toString('base64'),
+    TextEncoder,
+    TextDecoder
+  };
+
+  const context = vm.createContext(sandbox, { microtaskMode: 'afterEvaluate' });
+  vm.runInContext(PRELUDE, context);
+
+  const before = new Map();
+  for (const name of Object.getOwnPropertyNames(context)) {
+    before.set(name, context[name]);
+  }
+
+  const run = (source, runFilename) => {
+    try {
+      return { value: vm.runInContext(source, context, { filename: runFilename, timeout }) };
+    } catch (e) {
+      if (e && e.code === 'ERR_SCRIPT_EXECUTION_TIMEOUT') {
+        return { timeout: true };
+      }
+      return { error: e };
+    }
+  };
+
+  const main = run(code, filename);
+  if (main.timeout) {
+    trace.push({ type: 'timeout', line: null });
+  } else if (main.error !== undefined) {
+    trace.push({ type: 'throw', error: describeError(main.error), line: errorLine(main.error, filename) });
+  } else {
+    trace.push({ type: 'return', value: serializeValue(main.value), line: null });
+  }
+
+  // Drain timers. Callbacks go through the context so they stay bounded by
+  // the timeout.
+  let callbacks = 0;
+  while (timers.length > 0 && callbacks < MAX_TIMER_CALLBACKS) {
+    timers.sort((a, b) => a.due - b.due || a.id - b.id);
+    const timer = timers.shift();
+    clock = timer.due;
+    callbacks++;
+
+    if (timer.repeat && ++timer.runs < MAX_INTERVAL_RUNS) {
+      timer.due = clock + Math.max(timer.delay, 1);
+      timers.push(timer);
+    }
+
+    context[TIMER_CALLBACK] = () => timer.fn(...timer.args);
+    const result = run(`${TIMER_CALLBACK}()`, 'timer');
+    delete context[TIMER_CALLBACK];
+
+    if (result.timeout) {
+      trace.push({ type: 'timeout', line: null });
+      break;
+    }
+    if (result.error !== undefined) {
+      trace.push({ type: 'throw', error: describeError(result.error), line: errorLine(result.error, filename) });
+    }
+  }
+
+  for (const name of Object.getOwnPropertyNames(context)) {
+    if (name === TIMER_CALLBACK) continue;
+    let value;
+    try {
+      value = context[name];
+    } catch (e) {
+      continue;
+    }
+    if (!before.has(name) || before.get(name) !== value) {
+      trace.push({ type: 'global', name, value: serializeValue(value), line: null });
+    }
+  }
+
+  return trace;
+}
+
+function errorLine(err, filename) {
+  if (!err || typeof err.stack !== 'string') return null;
+  return lineInStack(err.stack, filename);
+}
+
+/**
+ * Comparison key for a trace event. Error messages are left out because
+ * they embed variable names, which differ between the two programs.
+ */
+function eventKey(event) {
+  switch (event.type) {
+    case 'console': return `console.${event.method}(${event.args.join(', ')})`;
+    case 'timer': return `${event.kind}(${event.delay})`;
+    case 'throw': return `throw ${event.error.name}`;
+    case 'return': return `return ${event.value}`;
+    case 'global': return `global ${event.name} = ${event.value}`;
+    default: return event.type;
+  }
+}
+
+/**
+ * Describe a trace event for reports
+ */
+export function formatEvent(event) {
+  if (!event) return '(no event)';
+  if (event.type === 'throw') return `throw ${event.error.name}: ${event.error.message}`;
+  return eventKey(event);
+}
+
+/**
+ * Find the first position where two traces disagree
+ *
+ * @returns {object|null} { index, expected, actual } or null if they match
+ */
+export function compareTraces(expected, actual) {
+  const length = Math.max(expected.length, actual.length);
+  for (let i = 0; i < length; i++) {
+    const a = expected[i];
+    const b = actual[i];
+    if (!a || !b || eventKey(a) !== eventKey(b)) {
+      return { index: i, expected: a || null, actual: b || null };
+    }
+  }
+  return null;
+}
+
+/**
+ * Run obfuscated and deobfuscated code and compare their traces. Both are
+ * executed; see the note on sandboxes above.
+ *
+ * @param {string} originalCode - The obfuscated input
+ * @param {string} deobfuscatedCode - CodeGenerator output
+ * @param {Map} lineAddresses - Output line -> { functionId, addr }, from
+ *   CodeGenerator.generateWithAddresses()
+ * @param {object} options - timeout, and wrap (default true): run the output
+ *   inside a function, for bare decompiled bodies
+ * @returns {object} { match, expected, actual, divergence }
+ */
+export function verifyDeobfuscation(originalCode, deobfuscatedCode, lineAddresses = new Map(), options = {}) {
+  const { wrap = true, ...sandboxOptions } = options;
+  const expected = runInSandbox(originalCode, { ...sandboxOptions, filename: 'obfuscated.js' });
+
+  // A bare body is wrapped in a function so its top-level var declarations
+  // stay local, as they are inside the VM. This shifts lines down by one.
+  const source = wrap ? `(function () {\n${deobfuscatedCode}\n}).call(this);` : deobfuscatedCode;
+  const actual = runInSandbox(source, { ...sandboxOptions, filename: 'deobfuscated.js' });
+  if (wrap) {
+    for (const event of actual) {
+      if (event.line != null) event.line -= 1;
+    }
+  }
+
+  const divergence = compareTraces(expected, actual);
+  if (divergence) {
+    divergence.location = locateDivergence(actual, divergence.index, lineAddresses);
+  }
+
+  return { match: !divergence, expected, actual, divergence };
+}
+
+/**
+ * Map a divergent event to the bytecode address responsible. When that
+ * event has no mapped output line, fall back to the closest earlier event
+ * that has one.
+ */
+function locateDivergence(trace, index, lineAddresses) {
+  for (let i = Math.min(index, trace.length - 1); i >= 0; i--) {
+    const line = trace[i].line;
+    const address = line != null ? lineAddresses.get(line) : null;
+    if (!address) continue;
+    return { ...address, line, exact: i === index };
+  }
+  return null;
+}
@@ -0,0 +1,485 @@
+/**
+ * NebulaVM Bytecode Emulator
+ *
+ * Executes the instruction IR produced by Disassembler.disassemble() with
+ * NebulaVM semantics, without running the interpreter embedded in the
+ * obfuscated file.
+ *
+ * Key concepts:
+ * - Frame: One activation of a bytecode function - its own operand stack,
+ *   try stack and program counter
+ * - Scopes: One array of scope objects indexed by absolute depth, shared by
+ *   every call like the interpreter's e.C: the top level starts with [{}],
+ *   STORE_VARIABLE, ASSIGN_VARIABLE and TRY_CATCH create a scope on first
+ *   use, and a call gets no scope of its own, so recursion and closures that
+ *   outlive their call see whatever was stored last
+ * - Try stack: TRY_PUSH records the catch address and the stack height; a
+ *   throw unwinds the stack to that height, pushes the error and jumps
+ * - Step hook: Called after every executed instruction with the stack, which
+ *   is how --trace prints execution and how opcode guesses can be checked
+ *   against real behavior
+ *
+ * This is not a sandbox. The bytecode's calls are made for real, and the
+ * arrays, objects and functions it builds belong to the host realm, so
+ * bytecode can reach the host's Function constructor through any of them.
+ * The global served to it (see createEmulatorGlobal) only keeps the host's
+ * own globals, console included, out of direct reach.
+ */
+
+import vm from 'node:vm';
+import { Disassembler } from '../lib/disassembler.js';
+
+const DEFAULT_MAX_STEPS = 1000000;
+
+export const BINARY_OPERATORS = {
+  ARITHMETIC_ADD: (a, b) => a + b,
+  ARITHMETIC_SUB: (a, b) => a - b,
+  ARITHMETIC_MUL: (a, b) => a * b,
+  ARITHMETIC_DIV: (a, b) => a / b,
+  ARITHMETIC_MOD: (a, b) => a % b,
+  COMPARISON_EQUAL: (a, b) => a == b,
+  COMPARISON_STRICT_EQUAL: (a, b) => a === b,
+  COMPARISON_NOT_EQUAL: (a, b) => a != b,
+  COMPARISON_STRICT_NOT_EQUAL: (a, b) => a !== b,
+  COMPARISON_LESS: (a, b) => a < b,
+  COMPARISON_LESS_OR_EQUAL: (a, b) => a <= b,
+  COMPARISON_GREATER: (a, b) => a > b,
+  COMPARISON_GREATER_OR_EQUAL: (a, b) => a >= b,
+  BINARY_BIT_SHIFT_LEFT: (a, b) => a << b,
+  BINARY_BIT_SHIFT_RIGHT: (a, b) => a >> b,
+  BINARY_UNSIGNED_BIT_SHIFT_RIGHT: (a, b) => a >>> b,
+  BINARY_BIT_XOR: (a, b) => a ^ b,
+  BINARY_BIT_AND: (a, b) => a & b,
+  BINARY_BIT_OR: (a, b) => a | b,
+  BINARY_IN: (a, b) => a in b,
+  BINARY_INSTANCEOF: (a, b) => a instanceof b,
+};
+
+export const UNARY_OPERATORS = {
+  UNARY_PLUS: (a) => +a,
+  UNARY_MINUS: (a) => -a,
+  UNARY_NOT: (a) => !a,
+  UNARY_BIT_NOT: (a) => ~a,
+  UNARY_TYPEOF: (a) => typeof a,
+  UNARY_VOID: () => undefined,
+};
+
+const ASSIGN_OPERATORS = {
+  ADD_ASSIGN_VARIABLE: BINARY_OPERATORS.ARITHMETIC_ADD,
+  SUB_ASSIGN_VARIABLE: BINARY_OPERATORS.ARITHMETIC_SUB,
+  MUL_ASSIGN_VARIABLE: BINARY_OPERATORS.ARITHMETIC_MUL,
+  DIV_ASSIGN_VARIABLE: BINARY_OPERATORS.ARITHMETIC_DIV,
+  MOD_ASSIGN_VARIABLE: BINARY_OPERATORS.ARITHMETIC_MOD,
+  BIT_SHIFT_LEFT_ASSIGN_VARIABLE: BINARY_OPERATORS.BINARY_BIT_SHIFT_LEFT,
+  BIT_SHIFT_RIGHT_ASSIGN_VAIRABLE: BINARY_OPERATORS.BINARY_BIT_SHIFT_RIGHT,
+  UNSIGNED_BIT_SHIFT_RIGHT_ASSIGN_VARIABLE: BINARY_OPERATORS.BINARY_UNSIGNED_BIT_SHIFT_RIGHT,
+  BIT_XOR_ASSIGN_VARIABLE: BINARY_OPERATORS.BINARY_BIT_XOR,
+  BIT_AND_ASSIGN_VARIABLE: BINARY_OPERATORS.BINARY_BIT_AND,
+  BIT_OR_ASSIGN_VARIABLE: BINARY_OPERATORS.BINARY_BIT_OR,
+};
+
+/**
+ * Evaluated in the global's context: a console whose methods record their
+ * calls, built in that realm so it leads nowhere in the host
+ */
+const CONSOLE_STUB = `
+(function () {
+  var calls = [];
+  var stub = {};
+  ['log', 'info', 'warn', 'error', 'debug'].forEach(function (method) {
+    stub[method] = function () {
+      calls.push({ method: method, args: Array.prototype.slice.call(arguments) });
+    };
+  });
+  globalThis.console = stub;
+  return calls;
+})()
+`;
+
+/**
+ * A global for the emulator: a fresh node:vm context whose console records
+ * calls instead of printing them.
+ *
+ * @returns {{global: Object, takeConsoleCalls: Function}} The global, and a
+ *   function returning the console calls ({ method, args }) made since it
+ *   was last called
+ */
+export function createEmulatorGlobal() {
+  // A global object with the host's Object.prototype would leak it
+  const global = vm.createContext(Object.create(null));
+  const calls = vm.runInContext(CONSOLE_STUB, global);
+  return { global, takeConsoleCalls: () => calls.splice(0, calls.length) };
+}
+
+export class Emulator {
+  /**
+   * @param {Array} instructions - Top-level instructions from the disassembler
+   * @param {Array} strings - String table
+   * @param {object} opcodeMap - Used to disassemble nested function bodies
+   * @param {object} options
+   *   - swappedOpcodes: opcodes whose binary handler computes second OP first
+   *   - global: object served by LOAD_GLOBAL / LOAD_GLOBAL_PROP
+   *   - onStep: called after each instruction with a step event
+   *   - maxSteps: abort after this many instructions
+   */
+  constructor(instructions, strings, opcodeMap, options = {}) {
+    this.instructions = instructions;
+    this.strings = strings;
+    this.opcodeMap = opcodeMap;
+    this.swappedOpcodes = options.swappedOpcodes || new Set();
+    this.global = options.global || globalThis;
+    this.onStep = options.onStep || null;
+    this.maxSteps = options.maxSteps ?? DEFAULT_MAX_STEPS;
+    this.steps = 0;
+    this.depth = 0;
+    this.functionBodies = new Map();
+    this.nextFunctionId = 1;
+  }
+
+  /**
+   * Run the top-level bytecode and return its completion value
+   */
+  run(thisRef = undefined, args = []) {
+    this.scopes = [{}];
+    return this.execute(this.instructions, args, thisRef, 0);
+  }
+
+  /**
+   * Disassemble a BUILD_FUNCTION body once and give it a function id.
+   * Ids are assigned in order of first creation; the top level is 0.
+   */
+  getFunctionBody(instr) {
+    if (!this.functionBodies.has(instr)) {
+      this.functionBodies.set(instr, {
+        id: this.nextFunctionId++,
+        instructions: Disassembler.disassembleFunctionBody(instr, this.strings, this.opcodeMap)
+      });
+    }
+    return this.functionBodies.get(instr);
+  }
+
+  /**
+   * Execute one bytecode function to completion
+   */
+  execute(instructions, args, thisRef, functionId) {
+    const addrToIndex = new Map();
+    instructions.forEach((instr, idx) => addrToIndex.set(instr.addr, idx));
+    // The VM stops once its program counter is past the bytecode
+    const last = instructions[instructions.length - 1];
+    const endAddr = last ? last.addr + last.size : 0;
+
+    const frame = { stack: [], tryStack: [], underflow: false };
+    const jumpTo = (addr) => {
+      if (addr >= endAddr) return instructions.length;
+      if (!addrToIndex.has(addr)) {
+        throw new Error(`Jump to invalid address ${addr} in function #${functionId}`);
+      }
+      return addrToIndex.get(addr);
+    };
+
+    this.depth++;
+    try {
+      let pc = 0;
+      while (pc < instructions.length) {
+        const instr = instructions[pc];
+        if (++this.steps > this.maxSteps) {
+          throw new Error(`Step limit of ${this.maxSteps} exceeded at address ${instr.addr}`);
+        }
+
+        frame.underflow = false;
+        let result;
+        let error;
+        try {
+          result = this.step(instr, frame, args, thisRef, functionId);
+        } catch (e) {
+          error = { value: e };
+        }
+
+        if (this.onStep) {
+          this.onStep({
+            functionId,
+            depth: this.depth - 1,
+            instr,
+            stack: frame.stack,
+            underflow: frame.underflow,
+            threw: error ? error.value : undefined,
+            hasThrown: !!error
+          });
+        }
+
+        if (error) {
+          if (frame.tryStack.length === 0) throw error.value;
+          const handler = frame.tryStack.pop();
+          frame.stack.length = handler.stackLength;
+          frame.stack.push(error.value);
+          pc = jumpTo(handler.catchAddr);
+          continue;
+        }
+
+        if (result && result.return) return result.value;
+        pc = result && result.jump != null ? jumpTo(result.jump) : pc + 1;
+      }
+      return undefined;
+    } finally {
+      this.depth--;
+    }
+  }
+
+  /**
+   * Execute a single instruction. Returns { jump } for taken branches and
+   * { return, value } for RETURN.
+   */
+  step(instr, frame, args, thisRef, functionId) {
+    const stack = frame.stack;
+    const pop = () => {
+      if (stack.length === 0) {
+        frame.underflow = true;
+        return undefined;
+      }
+      return stack.pop();
+    };
+    const arg = (i) => instr.args[i]?.value;
+    const scopes = this.scopes;
+    // Reading a scope nothing was stored into throws, as in the VM
+    const scope = (id) => (scopes[id] ??= {});
+
+    if (instr.opName in BINARY_OPERATORS) {
+      const first = pop();
+      const second = pop();
+      const op = BINARY_OPERATORS[instr.opName];
+      stack.push(this.swappedOpcodes.has(instr.opcode) ? op(second, first) : op(first, second));
+      return null;
+    }
+
+    if (instr.opName in UNARY_OPERATORS) {
+      stack.push(UNARY_OPERATORS[instr.opName](pop()));
+      return null;
+    }
+
+    switch (instr.opName) {
+      case 'STACK_PUSH_STRING':
+        stack.push(this.strings[arg(0)]);
+        break;
+
+      case 'STACK_PUSH_DWORD':
+      case 'STACK_PUSH_DOUBLE':
+      case 'STACK_PUSH_BOOLEAN':
+        stack.push(arg(0));
+        break;
+
+      case 'STACK_PUSH_NULL':
+        stack.push(null);
+        break;
+
+      case 'STACK_PUSH_UNDEFINED':
+        stack.push(undefined);
+        break;
+
+      case 'STACK_PUSH_DUPLICATE':
+        if (stack.length === 0) frame.underflow = true;
+        stack.push(stack[stack.length - 1]);
+        break;
+
+      case 'STACK_POP':
+      case 'SEQUENCE_POP':
+        pop();
+        break;
+
+      case 'UNARY_THROW':
+        throw pop();
+
+      case 'UPDATE_PLUS':
+      case 'UPDATE_MINUS': {
+        const target = scopes[arg(1)];
+        const key = arg(2);
+        const old = +target[key];
+        target[key] = instr.opName === 'UPDATE_PLUS' ? old + 1 : old - 1;
+        stack.push(arg(0) ? target[key] : old);
+        break;
+      }
+
+      case 'PROP_UPDATE_PLUS':
+      case 'PROP_UPDATE_MINUS': {
+        const prop = pop();
+        const target = scopes[arg(1)][arg(2)];
+        const old = +target[prop];
+        target[prop] = instr.opName === 'PROP_UPDATE_PLUS' ? old + 1 : old - 1;
+        stack.push(arg(0) ? target[prop] : old);
+        break;
+      }
+
+      case 'COMPLEX_PROP_UPDATE_PLUS':
+      case 'COMPLEX_PROP_UPDATE_MINUS': {
+        const prop = pop();
+        const target = pop();
+        const old = +target[prop];
+        target[prop] = instr.opName === 'COMPLEX_PROP_UPDATE_PLUS' ? old + 1 : old - 1;
+        stack.push(arg(0) ? target[prop] : old);
+        break;
+      }
+
+      case 'LOAD_VARIABLE':
+        stack.push(scopes[arg(0)][arg(1)]);
+        break;
+
+      case 'STORE_VARIABLE':
+        scope(arg(0))[arg(1)] = pop();
+        break;
+
+      case 'ASSIGN_VARIABLE': {
+        const value = pop();
+        const target = scope(arg(1));
+        const key = arg(2);
+        const op = arg(0) ? ASSIGN_OPERATORS[arg(3)] : null;
+        if (arg(0) && !op) {
+          throw new Error(`Unknown compound assignment ${arg(3)} at address ${instr.addr}`);
+        }
+        target[key] = op ? op(target[key], value) : value;
+        stack.push(target[key]);
+        break;
+      }
+
+      case 'LOAD_GLOBAL':
+        stack.push(this.global);
+        break;
+
+      case 'LOAD_GLOBAL_PROP':
+        stack.push(this.global[pop()]);
+        break;
+
+      case 'LOAD_THIS':
+        stack.push(thisRef);
+        break;
+
+      case 'LOAD_ARGUMENT':
+        stack.push(args[arg(0)]);
+        break;
+
+      case 'LOAD_ARGUMENTS':
+        stack.push(args);
+        break;
+
+      case 'CALL_FUNCTION': {
+        const fn = pop();
+        const callArgs = this.popArguments(pop, arg(0));
+        stack.push(Reflect.apply(fn, undefined, callArgs));
+        break;
+      }
+
+      case 'CALL_METHOD': {
+        const key = pop();
+        const obj = pop();
+        const callArgs = this.popArguments(pop, arg(0));
+        stack.push(Reflect.apply(obj[key], obj, callArgs));
+        break;
+      }
+
+      case 'CONSTRUCT': {
+        const cls = pop();
+        const callArgs = this.popArguments(pop, arg(0));
+        stack.push(Reflect.construct(cls, callArgs));
+        break;
+      }
+
+      case 'GET_PROPERTY': {
+        const key = pop();
+        const obj = pop();
+        stack.push(obj[key]);
+        break;
+      }
+
+      case 'SET_PROPERTY': {
+        const value = pop();
+        const key = pop();
+        if (stack.length === 0) frame.underflow = true;
+        stack[stack.length - 1][key] = value;
+        break;
+      }
+
+      case 'BUILD_ARRAY':
+        stack.push(this.popArguments(pop, arg(0)));
+        break;
+
+      case 'BUILD_OBJECT': {
+        const obj = {};
+        for (let i = 0; i < arg(0); i++) {
+          const value = pop();
+          obj[pop()] = value;
+        }
+        stack.push(obj);
+        break;
+      }
+
+      case 'BUILD_FUNCTION':
+        stack.push(this.buildClosure(instr));
+        break;
+
+      case 'JUMP':
+        return { jump: arg(0) };
+
+      case 'JUMP_IF_TRUE':
+        return pop() ? { jump: arg(0) } : null;
+
+      case 'JUMP_IF_FALSE':
+        return pop() ? null : { jump: arg(0) };
+
+      case 'RETURN':
+        return { return: true, value: arg(0) ? pop() : undefined };
+
+      case 'DEBUGGER':
+        break;
+
+      case 'BUILD_REGEXP': {
+        if (instr.args[0]?.type === 'has_flags') {
+          const flags = arg(0) ? pop() : '';
+          stack.push(new RegExp(pop(), flags));
+        } else {
+          stack.push(new RegExp(instr.patternValue || '', instr.flagsValue || ''));
+        }
+        break;
+      }
+
+      case 'TRY_PUSH':
+        frame.tryStack.push({ catchAddr: arg(0), stackLength: stack.length });
+        break;
+
+      case 'TRY_POP':
+        frame.tryStack.pop();
+        break;
+
+      case 'TRY_CATCH':
+        scope(arg(0))[arg(1)] = pop();
+        break;
+
+      case 'TRY_FINALLY':
+        break;
+
+      default:
+        throw new Error(`Cannot emulate ${instr.opName} at address ${instr.addr} in function #${functionId}`);
+    }
+    return null;
+  }
+
+  /**
+   * Pop call arguments; the first pop is the first argument
+   */
+  popArguments(pop, count) {
+    const values = [];
+    for (let i = 0; i < count; i++) {
+      values.push(pop());
+    }
+    return values;
+  }
+
+  /**
+   * Create a host function that runs a BUILD_FUNCTION body. Like the VM's
+   * closure it captures nothing: the body runs on the shared scopes.
+   */
+  buildClosure(instr) {
+    const emulator = this;
+    const body = this.getFunctionBody(instr);
+    return function () {
+      return emulator.execute(body.instructions, arguments, this, body.id);
+    };
+  }
+}
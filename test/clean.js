@@ -1,17 +1,17 @@
-var var_2 = function() {
-    var var_0 = arguments[0];
-    var var_1 = arguments[1];
-    return (var_0 + var_1);
-};
-var var_4 = function() {
-    var var_3 = arguments[0];
-    console.log((("Hello, " + var_3) + "!"));
-    return (("Hello, " + var_3) + "!");
-};
-var var_5 = var_2(5, 3);
-console.log(("5 + 3 = " + var_5));
-var_4("World");
+function fn_0(var_2, var_3) {
+  return var_2 + var_3;
+}
+function fn_1(var_4) {
+  console.log("Hello, " + var_4 + "!");
+  return "Hello, " + var_4 + "!";
+}
+var var_5 = fn_0(5, 3);
+console.log("5 + 3 = " + var_5);
+fn_1("World");
 var var_6 = [1, 2, 3, 4, 5];
 console.log("Array:", var_6);
-var var_7 = { version: "1.0.0", name: "Test App" };
+var var_7 = {
+  version: "1.0.0",
+  name: "Test App"
+};
 console.log("Config:", var_7);
\ No newline at end of file
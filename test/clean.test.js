@@ -0,0 +1,25 @@
+/**
+ * Golden test: test/obfuscated.js, real NebulaVM output, must decompile to
+ * test/clean.js. After a deliberate change to the output, regenerate the
+ * fixture with
+ *
+ *   node src/index.js test/obfuscated.js -o test/clean.js
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import { deobfuscate } from '../src/api.js';
+import { roundTrip } from './support/roundTrip.js';
+
+const read = name => fs.readFileSync(new URL(name, import.meta.url), 'utf-8');
+
+test('test/obfuscated.js decompiles to test/clean.js', () => {
+  assert.equal(deobfuscate(read('obfuscated.js')).code, read('clean.js'));
+});
+
+test('test/obfuscated.js behaves the same once decompiled', () => {
+  const { verification } = roundTrip(read('obfuscated.js'));
+  assert.ok(verification.match);
+  assert.equal(verification.expected.length, 5);
+});
@@ -0,0 +1,108 @@
+/**
+ * Operand decoding: every instruction with operands is assembled, then
+ * disassembled at the top level and inside a BUILD_FUNCTION body, which
+ * must decode the same way.
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { Disassembler } from '../src/lib/disassembler.js';
+import { OpcodeNames } from '../src/lib/opcodes.js';
+import { assemble } from './support/assembler.js';
+
+const STRINGS = ['console', 'log'];
+
+const PROGRAM = [
+  ['STACK_PUSH_STRING', 1],
+  ['STACK_PUSH_DWORD', -2],
+  ['STACK_PUSH_DOUBLE', 1.5],
+  ['STACK_PUSH_BOOLEAN', true],
+  ['STACK_PUSH_BOOLEAN', false],
+  ['UPDATE_PLUS', true, 1, 4],
+  ['UPDATE_MINUS', false, 0, 2],
+  ['PROP_UPDATE_PLUS', false, 1, 3],
+  ['COMPLEX_PROP_UPDATE_MINUS', true],
+  ['LOAD_VARIABLE', 1, 2],
+  ['STORE_VARIABLE', 0, 7],
+  ['ASSIGN_VARIABLE', false, 0, 5],
+  ['ASSIGN_VARIABLE', true, 1, 6, 'ARITHMETIC_SUB'],
+  ['LOAD_ARGUMENT', 3],
+  ['CALL_METHOD', 2],
+  ['BUILD_OBJECT', 1],
+  'target',
+  ['JUMP_IF_FALSE', 'target'],
+  ['BUILD_REGEXP', true],
+  ['TRY_PUSH', 'catch'],
+  ['TRY_POP'],
+  'catch',
+  ['TRY_CATCH', 1, 9],
+  ['RETURN', true]
+];
+
+const EXPECTED = [
+  ['STACK_PUSH_STRING', [{ type: 'string_index', value: 1 }]],
+  ['STACK_PUSH_DWORD', [{ type: 'dword', value: -2 }]],
+  ['STACK_PUSH_DOUBLE', [{ type: 'double', value: 1.5 }]],
+  ['STACK_PUSH_BOOLEAN', [{ type: 'boolean', value: true }]],
+  ['STACK_PUSH_BOOLEAN', [{ type: 'boolean', value: false }]],
+  ['UPDATE_PLUS', [{ type: 'prefix', value: true }, { type: 'scope', value: 1 }, { type: 'dest', value: 4 }]],
+  ['UPDATE_MINUS', [{ type: 'prefix', value: false }, { type: 'scope', value: 0 }, { type: 'dest', value: 2 }]],
+  ['PROP_UPDATE_PLUS', [{ type: 'prefix', value: false }, { type: 'scope', value: 1 }, { type: 'dest', value: 3 }]],
+  ['COMPLEX_PROP_UPDATE_MINUS', [{ type: 'prefix', value: true }]],
+  ['LOAD_VARIABLE', [{ type: 'scope', value: 1 }, { type: 'dest', value: 2 }]],
+  ['STORE_VARIABLE', [{ type: 'scope', value: 0 }, { type: 'dest', value: 7 }]],
+  ['ASSIGN_VARIABLE', [{ type: 'is_op', value: 0 }, { type: 'scope', value: 0 }, { type: 'dest', value: 5 }]],
+  ['ASSIGN_VARIABLE', [
+    { type: 'is_op', value: 1 }, { type: 'scope', value: 1 }, { type: 'dest', value: 6 },
+    { type: 'assign_op', value: 'ARITHMETIC_SUB' }
+  ]],
+  ['LOAD_ARGUMENT', [{ type: 'index', value: 3 }]],
+  ['CALL_METHOD', [{ type: 'argc', value: 2 }]],
+  ['BUILD_OBJECT', [{ type: 'length', value: 1 }]],
+  ['JUMP_IF_FALSE', [{ type: 'address', value: 'target' }]],
+  ['BUILD_REGEXP', [{ type: 'has_flags', value: true }]],
+  ['TRY_PUSH', [{ type: 'catch_addr', value: 'catch' }]],
+  ['TRY_POP', []],
+  ['TRY_CATCH', [{ type: 'scope', value: 1 }, { type: 'var_slot', value: 9 }]],
+  ['RETURN', [{ type: 'has_value', value: true }]]
+];
+
+/**
+ * Check a disassembly against EXPECTED, with label operands resolved to
+ * the address of the instruction they name
+ */
+function assertDecoded(instructions, labels) {
+  assert.deepEqual(
+    instructions.map(({ opName, args }) => [opName, args]),
+    EXPECTED.map(([opName, args]) => [opName, args.map(arg =>
+      labels[arg.value] === undefined ? arg : { ...arg, value: instructions[labels[arg.value]].addr }
+    )])
+  );
+  assert.ok(instructions.every(instr => !instr.error));
+}
+
+// Index of the instruction each label names
+const LABELS = { target: 16, catch: 20 };
+
+test('top-level operands are decoded as assembled', () => {
+  // V2: the compression flag (0) is the last byte
+  const bytes = new Uint8Array([...assemble(PROGRAM), 0]);
+  const instructions = new Disassembler(bytes, STRINGS, OpcodeNames).disassemble();
+
+  assertDecoded(instructions, LABELS);
+  assert.equal(instructions[0].addr, 0);
+  assert.equal(instructions[2].size, 9);
+  const last = instructions[instructions.length - 1];
+  assert.equal(last.addr + last.size, bytes.length - 1);
+});
+
+test('a nested function body decodes like the top level', () => {
+  const bytes = new Uint8Array([...assemble([['BUILD_FUNCTION', PROGRAM], ['RETURN', false]]), 0]);
+  const [build] = new Disassembler(bytes, STRINGS, OpcodeNames).disassemble();
+  const body = Disassembler.disassembleFunctionBody(build, STRINGS, OpcodeNames);
+
+  assertDecoded(body, LABELS);
+  // Addresses in a body count from its first byte, as its jumps do
+  assert.equal(body[0].addr, 0);
+  assert.equal(body[LABELS.target].addr, assemble(PROGRAM.slice(0, PROGRAM.indexOf('target'))).length);
+});
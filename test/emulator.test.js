@@ -0,0 +1,111 @@
+/**
+ * The emulator against the interpreter: each program runs in a
+ * NebulaVM-shaped file and in the emulator, which must make the same
+ * console calls.
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import vm from 'node:vm';
+import { deobfuscate } from '../src/api.js';
+import { Emulator, createEmulatorGlobal } from '../src/runtime/emulator.js';
+import { logCall } from './support/assembler.js';
+import { buildVM } from './support/nebulaFile.js';
+
+const STRINGS = ['console', 'log'];
+
+const num = (value) => ['STACK_PUSH_DWORD', value];
+const load = (slot, scope = 0) => ['LOAD_VARIABLE', scope, slot];
+const store = (slot, scope = 0) => ['STORE_VARIABLE', scope, slot];
+
+const consoleCall = ({ method, args }) => [method, ...args];
+
+/**
+ * Run a file's bytecode in the emulator
+ *
+ * @returns {{calls: Array, emulator: Emulator}} Console calls as
+ *   [method, ...args], and the emulator after its run
+ */
+function emulate(code, opcodeMap) {
+  const { instructions, strings, opcodeMap: map } = deobfuscate(code, { opcodeMap });
+  const { global, takeConsoleCalls } = createEmulatorGlobal();
+  const emulator = new Emulator(instructions, strings, map, { global });
+  emulator.run();
+  return { calls: Array.from(takeConsoleCalls(), consoleCall), emulator };
+}
+
+/**
+ * Run a program in the interpreter and in the emulator
+ *
+ * @returns {{expected: Array, actual: Array, emulator: Emulator}} Console
+ *   calls of each, and the emulator after its run
+ */
+function runBoth(program) {
+  const { code, opcodeMap } = buildVM(program, STRINGS);
+
+  const interpreter = createEmulatorGlobal();
+  interpreter.global.atob = atob;
+  vm.runInContext(code, interpreter.global);
+  const expected = Array.from(interpreter.takeConsoleCalls(), consoleCall);
+
+  const { calls, emulator } = emulate(code, opcodeMap);
+  return { expected, actual: calls, emulator };
+}
+
+test('a jump past the last instruction ends the program', () => {
+  const { expected, actual } = runBoth([
+    num(0), store(0),
+    'cond', num(3), load(0), ['COMPARISON_LESS'], ['JUMP_IF_FALSE', 'end'],
+    ...logCall(load(0)),
+    ['UPDATE_PLUS', false, 0, 0], ['STACK_POP'],
+    ['JUMP', 'cond'],
+    'end'
+  ]);
+  assert.deepEqual(expected, [['log', 0], ['log', 1], ['log', 2]]);
+  assert.deepEqual(actual, expected);
+});
+
+test('a jump into the middle of an instruction is an error', () => {
+  const { code, opcodeMap } = buildVM([
+    num(1), ['JUMP_IF_TRUE', 1],
+    ...logCall(num(2)), ...logCall(num(3))
+  ], STRINGS);
+  assert.throws(() => emulate(code, opcodeMap), /Jump to invalid address 1 in function #0/);
+});
+
+test('recursive calls share one scope', () => {
+  // function f(n) { if (n > 0) f(n - 1); console.log(n); } f(2);
+  const { expected, actual } = runBoth([
+    ['BUILD_FUNCTION', [
+      ['LOAD_ARGUMENT', 0], store(0, 1),
+      num(0), load(0, 1), ['COMPARISON_GREATER'], ['JUMP_IF_FALSE', 'print'],
+      num(1), load(0, 1), ['ARITHMETIC_SUB'], load(0), ['CALL_FUNCTION', 1], ['STACK_POP'],
+      'print', ...logCall(load(0, 1)),
+      ['RETURN', false]
+    ]],
+    store(0),
+    num(2), load(0), ['CALL_FUNCTION', 1], ['STACK_POP']
+  ]);
+  // The inner calls overwrite n before the outer ones print it
+  assert.deepEqual(expected, [['log', 0], ['log', 0], ['log', 0]]);
+  assert.deepEqual(actual, expected);
+});
+
+test('a closure sees what the latest call stored', () => {
+  // function g(x) { return () => x; } var a = g(1); g(2); console.log(a());
+  const { expected, actual, emulator } = runBoth([
+    ['BUILD_FUNCTION', [
+      ['LOAD_ARGUMENT', 0], store(0, 1),
+      ['BUILD_FUNCTION', [load(0, 1), ['RETURN', true]]],
+      ['RETURN', true]
+    ]],
+    store(0),
+    num(1), load(0), ['CALL_FUNCTION', 1], store(1),
+    num(2), load(0), ['CALL_FUNCTION', 1], ['STACK_POP'],
+    load(1), ['CALL_FUNCTION', 0], store(2),
+    ...logCall(load(2))
+  ]);
+  assert.deepEqual(expected, [['log', 2]]);
+  assert.deepEqual(actual, expected);
+  assert.equal(emulator.scopes.length, 2);
+});
@@ -0,0 +1,196 @@
+/**
+ * Whole-file behavior: several VM instances in one file, --inplace, opcode
+ * map files, source maps and the --disasm --json tree, on files built from
+ * crafted programs.
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { deobfuscate, OpcodeMapError } from '../src/api.js';
+import { buildDisassemblyTree } from '../src/analysis/disassemblyTree.js';
+import { logCall } from './support/assembler.js';
+import { buildVM } from './support/nebulaFile.js';
+import { roundTrip, divergenceOf } from './support/roundTrip.js';
+
+const STRINGS = ['console', 'log', 'first', 'second'];
+
+// console.log("first", 3 + 5); console.log("second");
+// (the extractor only takes bytecode literals of some length)
+const ADD = [
+  ['STACK_PUSH_DWORD', 5], ['STACK_PUSH_DWORD', 3], ['ARITHMETIC_ADD'], ['STACK_PUSH_STRING', 2],
+  ['STACK_PUSH_STRING', 0], ['LOAD_GLOBAL_PROP'], ['STACK_PUSH_STRING', 1], ['CALL_METHOD', 2], ['STACK_POP'],
+  ...logCall(['STACK_PUSH_STRING', 3])
+];
+
+// var fn = function (a) { console.log("second", a); }; fn(7);
+const CALL = [
+  ['BUILD_FUNCTION', [
+    ['LOAD_ARGUMENT', 0], ['STORE_VARIABLE', 1, 0],
+    ...logCall(['LOAD_VARIABLE', 1, 0], ['STACK_PUSH_STRING', 3]),
+    ['RETURN', false]
+  ]],
+  ['STORE_VARIABLE', 0, 0],
+  ['STACK_PUSH_DWORD', 7], ['LOAD_VARIABLE', 0, 0], ['CALL_FUNCTION', 1], ['STACK_POP']
+];
+
+const handlerOf = (opcodeMap, name) => Object.keys(opcodeMap).find(handler => opcodeMap[handler] === name);
+
+test('every VM instance in a file is decompiled, in source order', () => {
+  const first = buildVM(ADD, STRINGS, { seed: 3 });
+  const second = buildVM(CALL, STRINGS, { seed: 11 });
+  const source = `${first.code};\n${second.code};\n`;
+
+  const { result, verification } = roundTrip(source, { opcodeMap: [first.opcodeMap, second.opcodeMap] });
+  assert.ok(verification.match, divergenceOf(verification));
+  assert.equal(result.instances.length, 2);
+
+  const headers = [...result.code.matchAll(/^\/\/ NebulaVM instance at line (\d+):\d+$/gm)].map(m => Number(m[1]));
+  assert.deepEqual(headers, [1, first.code.split('\n').length + 1]);
+  assert.ok(result.code.indexOf('"first"') < result.code.indexOf('function fn_'));
+
+  // Variables are numbered across instances, so sections never share a name
+  assert.match(result.code, /function fn_\d+\(var_\d+\)/);
+  assert.equal(new Set(result.code.match(/var_\d+/g)).size, 1);
+});
+
+test('--inplace keeps the code around the VM', () => {
+  const { code, opcodeMap } = buildVM(ADD, STRINGS);
+  const source = `var before = "kept";\nconsole.log(before);\n${code};\nconsole.log("after");\n`;
+
+  const { result, verification } = roundTrip(source, { opcodeMap, inplace: true });
+  assert.ok(verification.match, divergenceOf(verification));
+  assert.match(result.code, /^var before = "kept";\nconsole\.log\(before\);\n/);
+  assert.match(result.code, /console\.log\("first", 3 \+ 5\);/);
+  assert.match(result.code, /console\.log\("after"\);$/);
+  assert.doesNotMatch(result.code, /Uint8Array/);
+});
+
+test('--inplace keeps the value the VM returns', () => {
+  const { code, opcodeMap } = buildVM([...CALL, ['STACK_PUSH_DWORD', 42], ['RETURN', true]], STRINGS);
+  const source = `var r = ${code};\nconsole.log("r", r);\n`;
+
+  const { result, verification } = roundTrip(source, { opcodeMap, inplace: true });
+  assert.ok(verification.match, divergenceOf(verification));
+  assert.match(result.code, /^var r = function \(\) \{\n[^]*\n {2}return 42;\n\}\(\);\n/);
+  assert.deepEqual(result.diagnostics.filter(d => d.level === 'error'), []);
+});
+
+test('--inplace returns from the middle of the top level', () => {
+  const { code, opcodeMap } = buildVM([
+    ['STACK_PUSH_BOOLEAN', true], ['JUMP_IF_FALSE', 'late'],
+    ['STACK_PUSH_STRING', 2], ['RETURN', true],
+    'late', ...ADD, ['STACK_PUSH_STRING', 3], ['RETURN', true]
+  ], STRINGS);
+  const source = `var r = ${code};\nconsole.log("r", r);\n`;
+
+  const { result, verification } = roundTrip(source, { opcodeMap, inplace: true });
+  assert.ok(verification.match, divergenceOf(verification));
+  assert.match(result.code, /return "first";/);
+  assert.doesNotMatch(result.code, /program_\d+/);
+});
+
+test('an opcode map overrides the detected handlers', () => {
+  const { code, opcodeMap } = buildVM(ADD, STRINGS);
+  const add = handlerOf(opcodeMap, 'ARITHMETIC_ADD');
+
+  const mapped = deobfuscate(code, { opcodeMap: { ...opcodeMap, [add]: 'ARITHMETIC_SUB' } });
+  assert.match(mapped.code, /console\.log\("first", 3 - 5\);/);
+
+  const swapped = deobfuscate(code, { opcodeMap: { ...opcodeMap, [add]: { opcode: 'ARITHMETIC_SUB', swapped: true } } });
+  assert.match(swapped.code, /console\.log\("first", 5 - 3\);/);
+});
+
+test('a malformed opcode map is rejected', () => {
+  const { code, opcodeMap } = buildVM(ADD, STRINGS);
+  assert.throws(() => deobfuscate(code, { opcodeMap: [] }), OpcodeMapError);
+  assert.throws(() => deobfuscate(code, { opcodeMap: { x: 'ARITHMETIC_ADD' } }), OpcodeMapError);
+  assert.throws(() => deobfuscate(code, { opcodeMap: { ...opcodeMap, 1: 'NOT_AN_OPCODE' } }), OpcodeMapError);
+});
+
+test('the source map points each output line at the instruction it was lifted from', () => {
+  const { code, opcodeMap } = buildVM(CALL, STRINGS);
+  const { code: output, map } = deobfuscate(code, { opcodeMap, sourceMap: true, sourceMapFile: 'out.js' });
+
+  assert.equal(map.version, 3);
+  assert.equal(map.file, 'out.js');
+  assert.deepEqual(map.sources, ['bytecode/function-0', 'bytecode/function-1']);
+
+  const outputLines = output.split('\n');
+  const logLine = outputLines.findIndex(line => line.includes('console.log'));
+  const [segment] = decodeMappings(map.mappings)[logLine];
+  assert.equal(map.sources[segment.source], 'bytecode/function-1');
+  const instruction = map.sourcesContent[segment.source].split('\n')[segment.line];
+  assert.match(instruction, /^\d+: (LOAD_VARIABLE|STACK_PUSH_STRING|LOAD_GLOBAL_PROP|CALL_METHOD|STACK_POP)\b/);
+
+  const callLine = outputLines.findIndex(line => /^fn_\d+\(7\);$/.test(line));
+  const [call] = decodeMappings(map.mappings)[callLine];
+  assert.match(map.sourcesContent[call.source].split('\n')[call.line], /^\d+: (STACK_PUSH_DWORD|LOAD_VARIABLE|CALL_FUNCTION|STACK_POP)\b/);
+});
+
+test('the disassembly tree lists nested functions with their parent', () => {
+  const { code, opcodeMap } = buildVM(CALL, STRINGS);
+  const { instructions, strings, opcodeMap: map } = deobfuscate(code, { opcodeMap });
+  const tree = buildDisassemblyTree(instructions, strings, map);
+
+  assert.deepEqual(tree.map(({ id, parentId }) => ({ id, parentId })), [
+    { id: 0, parentId: null },
+    { id: 1, parentId: 0 }
+  ]);
+  const build = tree[0].instructions.find(instr => instr.name === 'BUILD_FUNCTION');
+  assert.equal(build.function, 1);
+  assert.equal(tree[1].addr, build.addr);
+  assert.deepEqual(tree[1].instructions.map(instr => instr.name), [
+    'LOAD_ARGUMENT', 'STORE_VARIABLE', 'LOAD_VARIABLE', 'STACK_PUSH_STRING', 'STACK_PUSH_STRING',
+    'LOAD_GLOBAL_PROP', 'STACK_PUSH_STRING', 'CALL_METHOD', 'STACK_POP', 'RETURN'
+  ]);
+  const push = tree[1].instructions[3];
+  assert.deepEqual(push.operands, [{ type: 'string_index', value: 3, string: 'second' }]);
+});
+
+test('the API returns the listing and graphs of every function when asked', () => {
+  const { code, opcodeMap } = buildVM(CALL, STRINGS);
+  const plain = deobfuscate(code, { opcodeMap });
+  assert.equal(plain.instances[0].listing, undefined);
+  assert.equal(plain.instances[0].graphs, undefined);
+
+  const [instance] = deobfuscate(code, { opcodeMap, listing: true, graphs: true }).instances;
+  assert.deepEqual(instance.listing.map(({ id, parentId }) => ({ id, parentId })), [
+    { id: 0, parentId: null },
+    { id: 1, parentId: 0 }
+  ]);
+  const [block] = instance.listing[1].blocks;
+  assert.deepEqual(block.stackBefore, []);
+  assert.ok(block.statements.some(statement => /console\.log\("second", var_\d+\);/.test(statement)));
+  assert.deepEqual(instance.graphs.map(graph => graph.name), ['function_0', 'function_1']);
+});
+
+/**
+ * Decode the mappings of a v3 source map into absolute segments, one array
+ * per output line
+ */
+function decodeMappings(mappings) {
+  const BASE64 = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/';
+  const state = [0, 0, 0, 0];
+  return mappings.split(';').map(line => {
+    state[0] = 0;
+    return line.split(',').filter(Boolean).map(segment => {
+      const values = [];
+      let value = 0;
+      let shift = 0;
+      for (const char of segment) {
+        const digit = BASE64.indexOf(char);
+        value += (digit & 31) << shift;
+        if (digit & 32) {
+          shift += 5;
+        } else {
+          values.push(value & 1 ? -(value >> 1) : value >> 1);
+          value = 0;
+          shift = 0;
+        }
+      }
+      values.forEach((delta, i) => { state[i] += delta; });
+      const [column, source, sourceLine] = state;
+      return { column, source, line: sourceLine };
+    });
+  });
+}
@@ -0,0 +1,212 @@
+/**
+ * Control flow lifting: each program is assembled into a NebulaVM-shaped
+ * file, decompiled, and run next to its output. The output must behave the
+ * same and have the structure the lifting pass is meant to recover.
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { parse } from '@babel/parser';
+import { logCall } from './support/assembler.js';
+import { roundTripProgram, divergenceOf } from './support/roundTrip.js';
+
+const STRINGS = ['console', 'log', 'done', 'zero', 'small', 'three', 'other', 'caught', 'finally'];
+
+const str = (index) => ['STACK_PUSH_STRING', index];
+const num = (value) => ['STACK_PUSH_DWORD', value];
+const load = (slot, scope = 0) => ['LOAD_VARIABLE', scope, slot];
+const store = (slot, scope = 0) => ['STORE_VARIABLE', scope, slot];
+const inc = (slot, scope = 0) => [['UPDATE_PLUS', false, scope, slot], ['STACK_POP']];
+// slot === value and slot < value; the first operand popped is the left one
+const is = (slot, value) => [num(value), load(slot), ['COMPARISON_STRICT_EQUAL']];
+const below = (slot, value) => [num(value), load(slot), ['COMPARISON_LESS']];
+
+/**
+ * Decompile a program, check that the output behaves like the VM and
+ * parses as a script, and return the output and its diagnostics
+ */
+function lift(program) {
+  const { result, verification } = roundTripProgram(program, STRINGS);
+  assert.ok(verification.match, divergenceOf(verification));
+  assert.doesNotThrow(() => parse(result.code, { sourceType: 'script' }));
+  return { code: result.code, messages: result.diagnostics.map(d => d.message) };
+}
+
+test('a loop updating its counter at the end becomes a for loop', () => {
+  const { code } = lift([
+    num(0), store(0),
+    'cond', ...below(0, 3), ['JUMP_IF_FALSE', 'exit'],
+    ...logCall(load(0)),
+    ...inc(0),
+    ['JUMP', 'cond'],
+    'exit', ...logCall(str(2))
+  ]);
+  assert.match(code, /for \(var (var_\d+) = 0; \1 < 3; \1\+\+\) \{/);
+});
+
+test('a backward conditional jump becomes do-while with break and continue', () => {
+  const { code } = lift([
+    num(0), store(0),
+    'body', ...inc(0),
+    ...is(0, 2), ['JUMP_IF_FALSE', 'l1'], ['JUMP', 'cond'], 'l1',
+    ...is(0, 5), ['JUMP_IF_FALSE', 'l2'], ['JUMP', 'exit'], 'l2',
+    ...logCall(load(0)),
+    'cond', ...below(0, 10), ['JUMP_IF_TRUE', 'body'],
+    'exit', ...logCall(str(2))
+  ]);
+  assert.match(code, /do \{/);
+  assert.match(code, /\} while \(var_\d+ < 10\);/);
+  assert.match(code, /if \(var_\d+ === 2\) continue;/);
+  assert.match(code, /if \(var_\d+ === 5\) break;/);
+});
+
+test('a jump to the next iteration of an outer loop becomes a labeled continue', () => {
+  const { code } = lift([
+    num(0), store(0),
+    'outer', ...below(0, 3), ['JUMP_IF_FALSE', 'exit'],
+    num(0), store(1), ...inc(0),
+    'inner', ...below(1, 3), ['JUMP_IF_FALSE', 'next'],
+    ...inc(1),
+    ...is(1, 2), ['JUMP_IF_FALSE', 'l1'], ['JUMP', 'outer'], 'l1',
+    ...logCall(load(1)),
+    ['JUMP', 'inner'],
+    'next', ['JUMP', 'outer'],
+    'exit', ...logCall(str(2))
+  ]);
+  const label = code.match(/(loop_\d+): while/);
+  assert.ok(label, code);
+  assert.match(code, new RegExp(`continue ${label[1]};`));
+});
+
+test('an if that breaks out of a loop keeps its region', () => {
+  const { code } = lift([
+    num(0), store(0),
+    'cond', ...below(0, 10), ['JUMP_IF_FALSE', 'exit'],
+    ...inc(0),
+    num(5), load(0), ['COMPARISON_GREATER'], ['JUMP_IF_FALSE', 'l1'], ['JUMP', 'exit'], 'l1',
+    ...logCall(load(0)),
+    ['JUMP', 'cond'],
+    'exit', ...logCall(str(2))
+  ]);
+  assert.match(code, /if \(var_\d+ > 5\) break;/);
+  assert.doesNotMatch(code, /label_\d+:/);
+});
+
+test('a chain of duplicate-and-compare jumps becomes a switch with fallthrough', () => {
+  const test = (value, label) => [['STACK_PUSH_DUPLICATE'], num(value), ['COMPARISON_STRICT_EQUAL'], ['JUMP_IF_TRUE', label]];
+  const { code } = lift([
+    num(0), store(0),
+    'cond', ...below(0, 5), ['JUMP_IF_FALSE', 'exit'],
+    ...inc(0), load(0),
+    ...test(0, 'c0'), ...test(1, 'c12'), ...test(2, 'c12'), ...test(3, 'c3'),
+    ['JUMP', 'default'],
+    'c0', ...logCall(str(3)), ['JUMP', 'end'],
+    'c12', ...logCall(str(4)),
+    'c3', ...logCall(str(5)), ['JUMP', 'end'],
+    'default', ...logCall(str(6)), ['JUMP', 'end'],
+    'end', ['STACK_POP'],
+    ...logCall(load(0)),
+    ['JUMP', 'cond'],
+    'exit', ...logCall(str(2))
+  ]);
+  assert.match(code, /switch \(var_\d+\) \{/);
+  assert.match(code, /case 1:\n\s*case 2:\n\s*console\.log\("small"\);\n\s*case 3:/);
+  assert.match(code, /default:/);
+});
+
+test('exception regions become nested try/catch/finally', () => {
+  const { code } = lift([
+    ['TRY_PUSH', 'catch'],
+    ...logCall(str(3)), str(4), ['UNARY_THROW'],
+    ['TRY_POP'], ['JUMP', 'after'],
+    'catch', ['TRY_CATCH', 0, 0],
+    ...logCall(load(0), str(7)),
+    'after', ...logCall(str(2)),
+    ['TRY_PUSH', 'finally'],
+    ['TRY_PUSH', 'inner'],
+    ...logCall(str(5)), str(6), ['UNARY_THROW'],
+    ['TRY_POP'], ['JUMP', 'innerEnd'],
+    'inner', ['TRY_CATCH', 0, 1],
+    ...logCall(load(1)),
+    'innerEnd', ['TRY_POP'],
+    ...logCall(str(8)),
+    ['JUMP', 'end'],
+    'finally', ['TRY_FINALLY'],
+    ...logCall(str(8)),
+    'end', ...logCall(str(2))
+  ]);
+  assert.match(code, /\} catch \(e_0\) \{\n\s*console\.log\("caught", e_0\);/);
+  assert.match(code, /try \{\n\s*try \{/);
+  assert.match(code, /\} finally \{\n\s*console\.log\("finally"\);/);
+});
+
+test('jumps into the middle of a loop are lifted as a state machine', () => {
+  const { code, messages } = lift([
+    num(0), store(0),
+    ...is(0, 0), ['JUMP_IF_FALSE', 'b'],
+    'a', ...logCall(str(3)), ...inc(0),
+    ...below(0, 3), ['JUMP_IF_TRUE', 'b'], ['JUMP', 'end'],
+    'b', ...logCall(str(4)), ...inc(0),
+    ...below(0, 4), ['JUMP_IF_TRUE', 'a'],
+    'end', ...logCall(load(0))
+  ]);
+  assert.match(code, /while \(true\) \{\n\s*switch \(state_\d+\)/);
+  assert.ok(messages.some(message => /lifted as a state machine/.test(message)), messages.join('\n'));
+});
+
+test('a state machine with a try region catches in a handler state', () => {
+  const { code, messages } = lift([
+    num(0), store(0),
+    ['TRY_PUSH', 'catch'],
+    ...is(0, 0), ['JUMP_IF_FALSE', 'b'],
+    'a', ...logCall(str(3)), ...inc(0),
+    ...below(0, 3), ['JUMP_IF_TRUE', 'b'], ['JUMP', 'throw'],
+    'b', ...logCall(str(4)), ...inc(0),
+    ...below(0, 4), ['JUMP_IF_TRUE', 'a'],
+    'throw', str(5), ['UNARY_THROW'],
+    ['TRY_POP'], ['JUMP', 'end'],
+    'catch', ['TRY_CATCH', 0, 1],
+    ...logCall(load(1), str(7)),
+    'end', ...logCall(load(0))
+  ]);
+  assert.match(code, /while \(true\) \{\n\s*try \{\n\s*switch \(state_\d+\)/);
+  assert.match(code, /\} catch \((e_\d+)\) \{\n\s*if \(tries_\d+\.length === 0\) throw \1;/);
+  assert.doesNotMatch(code, /goto/);
+  assert.ok(messages.some(message => /lifted as a state machine/.test(message)), messages.join('\n'));
+});
+
+test('an early exit from the top level leaves a label instead of returning', () => {
+  const { code } = lift([
+    num(1), store(0),
+    ...is(0, 1), ['JUMP_IF_FALSE', 'go'],
+    ...logCall(str(3)), ['RETURN', false],
+    'go', ...logCall(str(4))
+  ]);
+  assert.doesNotMatch(code, /return/);
+  assert.match(code, /break (program_\d+);/);
+});
+
+test('nested functions get named parameters and become declarations', () => {
+  const { code } = lift([
+    ['BUILD_FUNCTION', [
+      ['LOAD_ARGUMENT', 0], store(0, 1),
+      ['LOAD_ARGUMENT', 1], store(1, 1),
+      load(1, 1), load(0, 1), ['ARITHMETIC_ADD'], ['RETURN', true]
+    ]],
+    store(0),
+    num(3), num(5), load(0), ['CALL_FUNCTION', 2], store(1),
+    ...logCall(load(1), str(2))
+  ]);
+  assert.match(code, /^function (fn_\d+)\((var_\d+), (var_\d+)\) \{\n\s*return \2 \+ \3;\n\}/);
+  assert.match(code, /console\.log\("done", var_\d+\);/);
+});
+
+test('a function that prints as invalid JavaScript is repaired and reported', () => {
+  const { code, messages } = lift([
+    ['BUILD_FUNCTION', [str(3), str(4), ['BUILD_REGEXP', true], ['RETURN', true]]],
+    store(0),
+    ...logCall(str(2))
+  ]);
+  assert.match(code, /Invalid statement at address \d+/);
+  assert.ok(messages.some(message => /invalid statement at address \d+ .*it was dropped/.test(message)), messages.join('\n'));
+});
@@ -0,0 +1,111 @@
+/**
+ * --rename: each hint the renamer knows, on decompiler-shaped code with
+ * generated var_N and e_N names.
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { parse } from '@babel/parser';
+import _generate from '@babel/generator';
+import { renameVariables } from '../src/emission/variableRenamer.js';
+
+const generate = typeof _generate === 'object' ? _generate.default : _generate;
+
+/**
+ * Rename the generated names of a script and print it again
+ */
+function rename(code, reserved) {
+  const { program } = parse(code, { sourceType: 'script' });
+  renameVariables(program, reserved);
+  return generate(program).code;
+}
+
+test('known constructors, lookups and modules name their result', () => {
+  const code = rename(`
+    var var_0 = new XMLHttpRequest();
+    var var_1 = document.getElementById("app");
+    var var_2 = new Date();
+    var var_3 = require("fs");
+    var var_4 = JSON.parse("{}");
+    console.log(var_0, var_1, var_2, var_3, var_4);
+  `);
+  assert.match(code, /var xhr = new XMLHttpRequest\(\);/);
+  assert.match(code, /var element = document\.getElementById\("app"\);/);
+  assert.match(code, /var date = new Date\(\);/);
+  assert.match(code, /var fs = require\("fs"\);/);
+  assert.match(code, /var data = JSON\.parse\("\{\}"\);/);
+});
+
+test('loop counters become i, then j inside it', () => {
+  const code = rename(`
+    var var_0 = [1, 2];
+    for (var var_1 = 0; var_1 < var_0.length; var_1++) {
+      for (var var_2 = 0; var_2 < 3; var_2++) console.log(var_1, var_2);
+    }
+  `);
+  assert.match(code, /for \(var i = 0; i < list\.length; i\+\+\)/);
+  assert.match(code, /for \(var j = 0; j < 3; j\+\+\) console\.log\(i, j\);/);
+});
+
+test('properties name what is read from or stored to them', () => {
+  const code = rename(`
+    var var_0 = location.hostname;
+    var var_1 = user.getEmail();
+    var var_2 = 1;
+    var var_3 = 2;
+    user.age = var_2;
+    send({ count: var_3 }, var_0, var_1);
+  `);
+  assert.match(code, /var hostname = location\.hostname;/);
+  assert.match(code, /var email = user\.getEmail\(\);/);
+  assert.match(code, /var age = 1;/);
+  assert.match(code, /var count = 2;/);
+});
+
+test('console.log labels name the value after them', () => {
+  const code = rename(`
+    var var_0 = f();
+    var var_1 = f();
+    var var_2 = f();
+    console.log("Length:", var_0);
+    console.log("Total = " + var_1);
+    console.log("5 + 3 = " + var_2);
+  `);
+  assert.match(code, /console\.log\("Length:", lengthValue\);/);
+  assert.match(code, /console\.log\("Total = " \+ total\);/);
+  assert.match(code, /console\.log\("5 \+ 3 = " \+ result\);/);
+});
+
+test('logged parameters are named after how they are printed', () => {
+  const code = rename(`
+    function fn_0(var_0) { console.log("Hello, " + var_0 + "!"); }
+    function fn_1(var_1) { console.log(var_1); }
+    function fn_2(var_2) { console.log("got " + var_2); }
+  `);
+  assert.match(code, /function fn_0\(name\) \{\n\s*console\.log\("Hello, " \+ name \+ "!"\);/);
+  assert.match(code, /function fn_1\(message\) \{\n\s*console\.log\(message\);/);
+  assert.match(code, /function fn_2\(value\) \{\n\s*console\.log\("got " \+ value\);/);
+});
+
+test('literal kinds and caught errors get generic names', () => {
+  const code = rename(`
+    var var_0 = [];
+    var var_1 = {};
+    try { f(var_0, var_1); } catch (e_0) { console.log(e_0); }
+  `);
+  assert.match(code, /var list = \[\];/);
+  assert.match(code, /var obj = \{\};/);
+  assert.match(code, /catch \(error\) \{\n\s*console\.log\(error\);/);
+});
+
+test('a taken name gets a numbered variant, and reserved names are skipped', () => {
+  const reserved = new Set(['element']);
+  const code = rename(`
+    var list = 0;
+    var var_0 = [list];
+    var var_1 = document.querySelector("a");
+  `, reserved);
+  assert.match(code, /var list2 = \[list\];/);
+  assert.match(code, /var element2 = document\.querySelector\("a"\);/);
+  assert.ok(reserved.has('list2') && reserved.has('element2'));
+});
@@ -0,0 +1,131 @@
+/**
+ * Bytecode Assembler for Tests
+ *
+ * Turns a readable program into NebulaVM V2 bytecode, so tests can build
+ * exactly the instruction sequences a decompiler path is meant to handle.
+ * A program is a list of instructions, [opName, ...operands], and labels,
+ * plain strings that name the address of the next instruction:
+ *
+ *   [
+ *     ['STACK_PUSH_DWORD', 0], ['STORE_VARIABLE', 0, 0],
+ *     'loop',
+ *     ...
+ *     ['JUMP_IF_TRUE', 'loop'],
+ *     ['RETURN', false]
+ *   ]
+ *
+ * Operands are given in the order the disassembler reports them. Jump and
+ * TRY_PUSH targets may be labels; BUILD_FUNCTION takes a nested program,
+ * whose labels are local to it.
+ */
+
+import { OperationCode } from '../../src/lib/opcodes.js';
+
+/**
+ * Assemble a program
+ *
+ * @param {Array} program - Instructions and labels
+ * @param {Function} opcodeOf - Opcode name -> byte, for shuffled maps
+ * @returns {Array<number>} Bytecode, without the compression flag
+ */
+export function assemble(program, opcodeOf = name => OperationCode[name]) {
+  const labels = new Map();
+  let addr = 0;
+  for (const item of program) {
+    if (typeof item === 'string') {
+      labels.set(item, addr);
+    } else {
+      addr += encode(item, opcodeOf, () => 0).length;
+    }
+  }
+
+  const target = (value) => {
+    if (typeof value !== 'string') return value;
+    if (!labels.has(value)) throw new Error(`Unknown label ${value}`);
+    return labels.get(value);
+  };
+  return program.filter(item => typeof item !== 'string').flatMap(item => encode(item, opcodeOf, target));
+}
+
+function encode([opName, ...operands], opcodeOf, target) {
+  const opcode = opcodeOf(opName);
+  if (opcode === undefined) throw new Error(`Unknown opcode ${opName}`);
+  const bytes = [opcode];
+
+  switch (opName) {
+    case 'STACK_PUSH_STRING':
+    case 'STACK_PUSH_DWORD':
+    case 'LOAD_ARGUMENT':
+    case 'CALL_FUNCTION':
+    case 'CALL_METHOD':
+    case 'CONSTRUCT':
+    case 'BUILD_ARRAY':
+    case 'BUILD_OBJECT':
+      bytes.push(...dword(operands[0]));
+      break;
+
+    case 'STACK_PUSH_DOUBLE':
+      bytes.push(...new Uint8Array(new Float64Array([operands[0]]).buffer));
+      break;
+
+    case 'STACK_PUSH_BOOLEAN':
+    case 'RETURN':
+    case 'COMPLEX_PROP_UPDATE_PLUS':
+    case 'COMPLEX_PROP_UPDATE_MINUS':
+    case 'BUILD_REGEXP':
+      bytes.push(operands[0] ? 1 : 0);
+      break;
+
+    case 'UPDATE_PLUS':
+    case 'UPDATE_MINUS':
+    case 'PROP_UPDATE_PLUS':
+    case 'PROP_UPDATE_MINUS':
+      bytes.push(operands[0] ? 1 : 0, ...dword(operands[1]), ...dword(operands[2]));
+      break;
+
+    case 'LOAD_VARIABLE':
+    case 'STORE_VARIABLE':
+    case 'TRY_CATCH':
+      bytes.push(...dword(operands[0]), ...dword(operands[1]));
+      break;
+
+    case 'ASSIGN_VARIABLE': {
+      // [isOp, scope, slot, compound opcode name]
+      const [isOp, scope, slot, op] = operands;
+      bytes.push(isOp ? 1 : 0, ...dword(scope), ...dword(slot));
+      if (isOp) bytes.push(opcodeOf(op));
+      break;
+    }
+
+    case 'JUMP':
+    case 'JUMP_IF_TRUE':
+    case 'JUMP_IF_FALSE':
+    case 'TRY_PUSH':
+      bytes.push(...dword(target(operands[0])));
+      break;
+
+    case 'BUILD_FUNCTION': {
+      const body = assemble(operands[0], opcodeOf);
+      bytes.push(...dword(body.length), ...body);
+      break;
+    }
+  }
+  return bytes;
+}
+
+function dword(value) {
+  return [value & 255, (value >> 8) & 255, (value >> 16) & 255, (value >>> 24) & 255];
+}
+
+/**
+ * console.log(...) of the values the given instructions push, as a
+ * statement. Arguments are pushed last to first, as the compiler does, and
+ * "console" and "log" must be strings 0 and 1.
+ */
+export function logCall(...loads) {
+  return [
+    ...loads,
+    ['STACK_PUSH_STRING', 0], ['LOAD_GLOBAL_PROP'], ['STACK_PUSH_STRING', 1],
+    ['CALL_METHOD', loads.length], ['STACK_POP']
+  ];
+}
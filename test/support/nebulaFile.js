@@ -0,0 +1,190 @@
+/**
+ * NebulaVM Output Builder for Tests
+ *
+ * Wraps assembled bytecode in an interpreter shaped like real NebulaVM
+ * output (see test/obfuscated.js): an arrow IIFE taking the encoded string
+ * table, with the handlers in an object keyed by shuffled opcode, the
+ * bytecode decoded from a Base64 literal, and the runner returned for the
+ * caller to invoke:
+ *
+ *   (n => { ...interpreter... return ..., f; })([strings])()
+ *
+ * The VM state follows the real interpreter: one scope array e.C shared by
+ * every call (STORE creates a scope on first use), closures that save and
+ * restore the bytecode, stack, arguments and this around a call, and a
+ * RETURN handled inline by the dispatch loop. Try regions, which the
+ * sample does not use, unwind to the innermost TRY_PUSH of the frame.
+ */
+
+import { assemble } from './assembler.js';
+
+const HANDLERS = {
+  STACK_PUSH_STRING: 'r(e.t[C()]);',
+  STACK_PUSH_DWORD: 'r(C());',
+  STACK_PUSH_DOUBLE: 'for (let g = 0; g < 8; g++) o[g] = A(); r(new Float64Array(o.buffer)[0]);',
+  STACK_PUSH_BOOLEAN: 'r(1 === A());',
+  STACK_PUSH_NULL: 'r(null);',
+  STACK_PUSH_UNDEFINED: 'r(void 0);',
+  STACK_PUSH_DUPLICATE: 'r(e.I[e.I.length - 1]);',
+  STACK_POP: 't();',
+  ARITHMETIC_ADD: 'r(t() + t());',
+  ARITHMETIC_SUB: 'r(t() - t());',
+  ARITHMETIC_MUL: 'r(t() * t());',
+  ARITHMETIC_DIV: 'r(t() / t());',
+  ARITHMETIC_MOD: 'r(t() % t());',
+  COMPARISON_EQUAL: 'r(t() == t());',
+  COMPARISON_STRICT_EQUAL: 'r(t() === t());',
+  COMPARISON_NOT_EQUAL: 'r(t() != t());',
+  COMPARISON_STRICT_NOT_EQUAL: 'r(t() !== t());',
+  COMPARISON_LESS: 'r(t() < t());',
+  COMPARISON_LESS_OR_EQUAL: 'r(t() <= t());',
+  COMPARISON_GREATER: 'r(t() > t());',
+  COMPARISON_GREATER_OR_EQUAL: 'r(t() >= t());',
+  BINARY_BIT_XOR: 'r(t() ^ t());',
+  BINARY_BIT_AND: 'r(t() & t());',
+  BINARY_BIT_OR: 'r(t() | t());',
+  BINARY_IN: 'r(t() in t());',
+  BINARY_INSTANCEOF: 'r(t() instanceof t());',
+  UNARY_NOT: 'r(!t());',
+  UNARY_BIT_NOT: 'r(~t());',
+  UNARY_MINUS: 'r(-t());',
+  UNARY_TYPEOF: 'r(typeof t());',
+  UNARY_THROW: 'throw t();',
+  UPDATE_PLUS: 'var g = A(), I = C(), n = C(); r(g ? ++e.C[I][n] : e.C[I][n]++);',
+  UPDATE_MINUS: 'var g = A(), I = C(), n = C(); r(g ? --e.C[I][n] : e.C[I][n]--);',
+  LOAD_VARIABLE: 'var g = C(), I = C(); r(e.C[g][I]);',
+  STORE_VARIABLE: 'var g = t(), I = C(), A = C(); e.C[I] ??= {}, e.C[I][A] = g;',
+  ASSIGN_VARIABLE: 'var g = A(), I = C(), n = C(); g && A(); e.C[I] ??= {}, r(e.C[I][n] = t());',
+  LOAD_GLOBAL: 'r(e.Global);',
+  LOAD_GLOBAL_PROP: 'var g = t(); try { r(Reflect.get(e.Global, g)); } catch (g) { r(void 0); }',
+  LOAD_THIS: 'r(e.i);',
+  LOAD_ARGUMENT: 'var g = C(); r(e.A[g]);',
+  LOAD_ARGUMENTS: 'r(e.A);',
+  CALL_FUNCTION: 'var g = t(), I = C(), A = new Array(I); for (let g = 0; g < I; g++) A[g] = t(); r(g(...A));',
+  CALL_METHOD: 'var g = t(), I = t(), A = C(), n = new Array(A); for (let g = 0; g < A; g++) n[g] = t(); r(I[g].apply(I, n));',
+  CONSTRUCT: 'var g = t(), I = C(), A = new Array(I); for (let g = 0; g < I; g++) A[g] = t(); r(new g(...A));',
+  GET_PROPERTY: 'var g = t(); r(t()[g]);',
+  SET_PROPERTY: 'var g = t(), I = t(); e.I[e.I.length - 1][I] = g;',
+  BUILD_ARRAY: 'var I = C(), A = new Array(I); for (let g = 0; g < I; g++) A[g] = t(); r(A);',
+  BUILD_OBJECT: 'var I = C(), A = {}; for (let g = 0; g < I; g++) { var n = t(); A[t()] = n; } r(A);',
+  BUILD_FUNCTION: `var I = C(); let i = new Array(I); for (let g = 0; g < I; g++) i[g] = A();
+        r(function () {
+          let g;
+          var I = arguments, A = e.g, n = e.I, C = e.A, r = e.i, T = e.T, t = l;
+          try {
+            e.g = o.constructor.from(i), e.I = [], e.A = [...I], e.i = this, e.T = [], l = 0, g = f();
+          } finally {
+            e.g = A, e.I = n, e.A = C, e.i = r, e.T = T, l = t;
+          }
+          return g;
+        });`,
+  JUMP: 'l = C();',
+  JUMP_IF_TRUE: 'var g = C(); t() && (l = g);',
+  JUMP_IF_FALSE: 'var g = C(); t() || (l = g);',
+  DEBUGGER: 'debugger;',
+  BUILD_REGEXP: 'var g = A() ? t() : "", I = t(); r(new RegExp(I, g));',
+  TRY_PUSH: 'e.T.push({ c: C(), l: e.I.length });',
+  TRY_POP: 'e.T.pop();',
+  TRY_CATCH: 'var g = C(), I = C(); e.C[g] ??= {}, e.C[g][I] = t();',
+  TRY_FINALLY: ''
+};
+
+/**
+ * Build the VM expression for a program
+ *
+ * @param {Array} program - Assembler program for the top level
+ * @param {Array<string>} strings - String table
+ * @param {Object} options - seed: shuffles the opcode numbers
+ * @returns {{code: string, opcodeMap: Object}} The expression, and the
+ *   handler -> opcode name map it uses, in the --opcode-map format
+ */
+export function buildVM(program, strings, { seed = 7 } = {}) {
+  const names = [...Object.keys(HANDLERS), 'RETURN'];
+  const numbers = shuffle([...Array(80).keys()], seed).slice(0, names.length);
+  const opcodeOf = Object.fromEntries(names.map((name, i) => [name, numbers[i]]));
+
+  // V2 format: the compression flag (0, uncompressed) is the last byte
+  const bytes = [...assemble(program, name => opcodeOf[name]), 0];
+  const blob = Buffer.from(bytes.map(b => b ^ 0x80)).toString('base64');
+
+  const table = [];
+  for (const str of strings) {
+    table.push(...dword(str.length));
+    for (const ch of str) {
+      const code = ch.charCodeAt(0) ^ 0x80;
+      table.push(code & 255, code >> 8);
+    }
+  }
+
+  const handlers = Object.keys(HANDLERS)
+    .map(name => `      ${opcodeOf[name]}: function () {\n        ${HANDLERS[name]}\n      }`)
+    .join(',\n');
+
+  const code = `(n => {
+  let o = new Uint8Array(8),
+    e = { g: null, I: null, A: null, C: null, t: null, T: null, Global: null, i: null },
+    l = 0,
+    I = {
+${handlers}
+    };
+  function A() {
+    return e.g[l++];
+  }
+  function C() {
+    return e.g[l++] | e.g[l++] << 8 | e.g[l++] << 16 | e.g[l++] << 24;
+  }
+  function r(g) {
+    e.I.push(g);
+  }
+  function t() {
+    return e.I.pop();
+  }
+  function f() {
+    for (; l < e.g.length;) {
+      var g = A();
+      if (${opcodeOf.RETURN} === g) return A() ? t() : void 0;
+      g = I[g];
+      if (!g) throw new Error("???");
+      try {
+        g();
+      } catch (g) {
+        if (!e.T.length) throw g;
+        var h = e.T.pop();
+        e.I.length = h.l, r(g), l = h.c;
+      }
+    }
+  }
+  if (e.g = (g => {
+    let I = 0;
+    for (var A = g.length, n = new Uint8Array(A); I < A;) n[I] = g.charCodeAt(I) ^ 128, I++;
+    return n;
+  })(atob(${JSON.stringify(blob)})), e.I = [], e.A = [], e.C = [{}], e.t = [], e.T = [], e.i = null, e.Global = "undefined" != typeof window ? window : "undefined" != typeof global ? global : new Function("return this")(), l = 0, n.length) for (let A = 0; A < n.length;) {
+    let I = "";
+    var i = n[A + 0] | n[A + 1] << 8 | n[A + 2] << 16 | n[A + 3] << 24;
+    A += 4;
+    for (let g = 0; g < i; g++) {
+      var u = n[A + 0] | n[A + 1] << 8;
+      A += 2, I += String.fromCharCode(128 ^ u);
+    }
+    e.t.push(I);
+  }
+  return e.g = e.g.slice(0, -1), f;
+})(${JSON.stringify(table)})()`;
+
+  const opcodeMap = Object.fromEntries(names.map(name => [opcodeOf[name], name]));
+  return { code, opcodeMap };
+}
+
+function dword(value) {
+  return [value & 255, (value >> 8) & 255, (value >> 16) & 255, (value >>> 24) & 255];
+}
+
+function shuffle(items, seed) {
+  let x = seed;
+  const random = () => (x = (x * 1103515245 + 12345) & 0x7fffffff) / 0x7fffffff;
+  for (let i = items.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [items[i], items[j]] = [items[j], items[i]];
+  }
+  return items;
+}
@@ -0,0 +1,41 @@
+/**
+ * Decompile a file and run it next to its output with the --verify
+ * harness, so tests check behavior and not just the printed shape.
+ */
+
+import { deobfuscate } from '../../src/api.js';
+import { verifyDeobfuscation, formatEvent } from '../../src/runtime/differential.js';
+import { buildVM } from './nebulaFile.js';
+
+/**
+ * @param {string} source - File holding one or more VM expressions
+ * @param {Object} options - deobfuscate() options
+ * @returns {{result: Object, verification: Object}}
+ */
+export function roundTrip(source, options = {}) {
+  const result = deobfuscate(source, options);
+  const verification = verifyDeobfuscation(source, result.code, result.lineAddresses, { wrap: !options.inplace });
+  return { result, verification };
+}
+
+/**
+ * Build a file running one program, decompile it with the opcode map the
+ * file was built with, and run both
+ *
+ * @param {Array} program - Assembler program for the top level
+ * @param {Array<string>} strings - String table
+ * @param {Object} options - deobfuscate() options
+ */
+export function roundTripProgram(program, strings, options = {}) {
+  const { code, opcodeMap } = buildVM(program, strings);
+  return roundTrip(`${code};\n`, { opcodeMap, ...options });
+}
+
+/**
+ * Describe the first divergence, as an assertion message
+ */
+export function divergenceOf(verification) {
+  if (verification.match) return 'behavior matches';
+  const { index, expected, actual } = verification.divergence;
+  return `event #${index}: expected ${formatEvent(expected)}, got ${formatEvent(actual)}`;
+}